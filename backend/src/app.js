@@ -0,0 +1,77 @@
+// Express application: middleware and routes, without seeding or listening
+// (see server.js), so tests can mount it on a port of their own
+import express from 'express';
+import cors from 'cors';
+import { errorHandler, notFound } from './middleware/errorHandler.js';
+import { requestContext } from './middleware/requestContext.js';
+
+// Import routes
+import authRoutes from './routes/authRoutes.js';
+import productRoutes from './routes/productRoutes.js';
+import categoryRoutes from './routes/categoryRoutes.js';
+import orderRoutes from './routes/orderRoutes.js';
+import reviewRoutes from './routes/reviewRoutes.js';
+import cartRoutes from './routes/cartRoutes.js';
+import adminRoutes from './routes/adminRoutes.js';
+import sellerApplicationRoutes from './routes/sellerApplicationRoutes.js';
+import apiKeyRoutes from './routes/apiKeyRoutes.js';
+
+const app = express();
+
+// Middleware
+// Expose the headers the frontend reads for optimistic concurrency and support requests
+app.use(cors({ exposedHeaders: ['ETag', 'X-Request-Id'] }));
+// Imports are parsed by the admin router, after the admin check (see adminRoutes.js)
+const IMPORT_PATH = /^\/api\/admin\/import\/?$/i;
+const jsonParser = express.json();
+app.use((req, res, next) => (IMPORT_PATH.test(req.path) ? next() : jsonParser(req, res, next)));
+app.use(express.urlencoded({ extended: true }));
+// Request ID and acting user for the audit trail
+app.use(requestContext);
+
+// Health check endpoint
+app.get('/health', (req, res) => {
+  res.json({
+    success: true,
+    message: 'Marketplace API is running',
+    timestamp: new Date().toISOString()
+  });
+});
+
+// API Routes
+app.use('/api/auth', authRoutes);
+app.use('/api/products', productRoutes);
+app.use('/api/categories', categoryRoutes);
+app.use('/api/orders', orderRoutes);
+app.use('/api/reviews', reviewRoutes);
+app.use('/api/cart', cartRoutes);
+app.use('/api/seller-applications', sellerApplicationRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/admin', adminRoutes);
+
+// Root endpoint
+app.get('/', (req, res) => {
+  res.json({
+    success: true,
+    message: 'Welcome to Marketplace API',
+    version: '1.0.0',
+    endpoints: {
+      auth: '/api/auth',
+      products: '/api/products',
+      categories: '/api/categories',
+      orders: '/api/orders',
+      reviews: '/api/reviews',
+      cart: '/api/cart',
+      sellerApplications: '/api/seller-applications',
+      apiKeys: '/api/api-keys',
+      admin: '/api/admin'
+    },
+    documentation: 'See README.md for API documentation'
+  });
+});
+
+// Error handling middleware
+app.use(notFound);
+app.use(errorHandler);
+
+export default app;
@@ -0,0 +1,161 @@
+import fs from 'fs';
+import path from 'path';
+import { createMemoryAdapter } from './memoryAdapter.js';
+
+// File-backed storage adapter
+// Serves reads from memory and makes every write durable in an append-only
+// journal. On startup the last snapshot is loaded, the journal is replayed on
+// top of it and both are compacted into a fresh snapshot. A transaction is
+// written as a single batch entry, so it is replayed entirely or not at all.
+
+const SNAPSHOT_FILE = 'snapshot.json';
+const JOURNAL_FILE = 'journal.ndjson';
+const SNAPSHOT_VERSION = 1;
+
+export const createFileAdapter = ({ collections, indexes, directory, compactThreshold = 1000 }) => {
+  const memory = createMemoryAdapter({ collections, indexes });
+  const snapshotPath = path.join(directory, SNAPSHOT_FILE);
+  const journalPath = path.join(directory, JOURNAL_FILE);
+  let journalEntries = 0;
+
+  // Entries written by the running transaction, null outside of one
+  let batch = null;
+
+  fs.mkdirSync(directory, { recursive: true });
+
+  // Apply a journal entry to the in-memory copy
+  const applyEntry = (entry) => {
+    if (entry.op === 'put') {
+      if (memory.get(entry.collection, entry.record.id)) {
+        memory.update(entry.collection, entry.record.id, entry.record);
+      } else {
+        memory.insert(entry.collection, entry.record);
+      }
+    } else if (entry.op === 'delete') {
+      memory.remove(entry.collection, entry.id);
+    } else if (entry.op === 'clear') {
+      memory.clear();
+    } else if (entry.op === 'batch') {
+      entry.entries.forEach(applyEntry);
+    }
+  };
+
+  // Write the full state to a temp file and swap it in, then reset the journal
+  const compact = () => {
+    const snapshot = {
+      version: SNAPSHOT_VERSION,
+      savedAt: new Date().toISOString(),
+      collections: Object.fromEntries(
+        collections.map(collection => [collection, memory.all(collection)])
+      )
+    };
+    const tempPath = `${snapshotPath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(snapshot));
+    fs.renameSync(tempPath, snapshotPath);
+    fs.writeFileSync(journalPath, '');
+    journalEntries = 0;
+  };
+
+  const append = (entry) => {
+    if (batch) {
+      batch.push(entry);
+      return;
+    }
+    fs.appendFileSync(journalPath, `${JSON.stringify(entry)}\n`);
+    journalEntries += 1;
+    if (journalEntries >= compactThreshold) {
+      compact();
+    }
+  };
+
+  const load = () => {
+    if (fs.existsSync(snapshotPath)) {
+      const snapshot = JSON.parse(fs.readFileSync(snapshotPath, 'utf8'));
+      if (snapshot.version !== SNAPSHOT_VERSION) {
+        throw new Error(`Unsupported snapshot version ${snapshot.version} in ${snapshotPath}`);
+      }
+      Object.entries(snapshot.collections).forEach(([collection, records]) => {
+        if (collections.includes(collection)) {
+          records.forEach(record => memory.insert(collection, record));
+        }
+      });
+    }
+
+    if (fs.existsSync(journalPath)) {
+      const lines = fs.readFileSync(journalPath, 'utf8').split('\n');
+      lines.forEach((line, index) => {
+        if (!line.trim()) return;
+        try {
+          applyEntry(JSON.parse(line));
+        } catch (error) {
+          // A torn final line means the process died mid-write; anything else is corruption
+          if (index < lines.length - 1) {
+            throw new Error(`Corrupt journal entry at ${journalPath}:${index + 1}`);
+          }
+        }
+      });
+    }
+
+    compact();
+  };
+
+  load();
+
+  return {
+    ...memory,
+    name: 'file',
+
+    insert: (collection, record) => {
+      const stored = memory.insert(collection, record);
+      append({ op: 'put', collection, record: stored });
+      return stored;
+    },
+
+    update: (collection, id, updates) => {
+      const updated = memory.update(collection, id, updates);
+      if (updated) {
+        append({ op: 'put', collection, record: updated });
+      }
+      return updated;
+    },
+
+    remove: (collection, id) => {
+      const removed = memory.remove(collection, id);
+      if (removed) {
+        append({ op: 'delete', collection, id });
+      }
+      return removed;
+    },
+
+    // Inside a transaction the wipe is journaled with the rest of the batch,
+    // so a failed transaction leaves the data in place
+    clear: () => {
+      memory.clear();
+      if (batch) {
+        batch.push({ op: 'clear' });
+      } else {
+        compact();
+      }
+    },
+
+    transaction: (fn) => {
+      if (batch) return fn();
+
+      batch = [];
+      try {
+        const result = memory.transaction(fn);
+        const entries = batch;
+        batch = null;
+        if (entries.length > 0) {
+          append(entries.length === 1 ? entries[0] : { op: 'batch', entries });
+        }
+        return result;
+      } catch (error) {
+        batch = null;
+        throw error;
+      }
+    },
+
+    compact
+  };
+};
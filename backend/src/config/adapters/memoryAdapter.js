@@ -0,0 +1,182 @@
+// In-memory storage adapter
+// Keeps every collection in a primary-key map plus one secondary index per
+// indexed field, so lookups by id or indexed field never scan the collection.
+// Data is lost when the process exits.
+
+/**
+ * Storage adapter interface shared by all adapters:
+ *
+ *   all(collection)                    -> records in insertion order
+ *   get(collection, id)                -> record or undefined
+ *   findBy(collection, field, value)   -> records whose field equals value
+ *   insert(collection, record)         -> stored record
+ *   update(collection, id, updates)    -> merged record or null
+ *   remove(collection, id)             -> removed record or null
+ *   clear()                            -> wipes every collection
+ *   isEmpty()                          -> true when no collection holds records
+ *   transaction(fn)                    -> runs fn synchronously; every write it made
+ *                                         is rolled back if it throws
+ */
+export const createMemoryAdapter = ({ collections, indexes = {} }) => {
+  const data = {};
+
+  // Undo steps for the running transaction, null outside of one
+  let undoLog = null;
+  const track = (undo) => {
+    if (undoLog) undoLog.push(undo);
+  };
+
+  const createCollection = (collection) => ({
+    // id -> record, iterated in insertion order
+    records: new Map(),
+    // id -> insertion sequence number, used to keep results in insertion order
+    sequence: new Map(),
+    nextSequence: 0,
+    // field -> (value -> Set of ids)
+    indexes: new Map((indexes[collection] || []).map(field => [field, new Map()]))
+  });
+
+  const getCollection = (collection) => {
+    if (!data[collection]) {
+      throw new Error(`Unknown collection: ${collection}`);
+    }
+    return data[collection];
+  };
+
+  const addToIndexes = (store, record) => {
+    store.indexes.forEach((index, field) => {
+      const value = record[field];
+      if (!index.has(value)) {
+        index.set(value, new Set());
+      }
+      index.get(value).add(record.id);
+    });
+  };
+
+  const removeFromIndexes = (store, record) => {
+    store.indexes.forEach((index, field) => {
+      const ids = index.get(record[field]);
+      if (ids) {
+        ids.delete(record.id);
+        if (ids.size === 0) {
+          index.delete(record[field]);
+        }
+      }
+    });
+  };
+
+  const byInsertionOrder = (store) => (a, b) => store.sequence.get(a.id) - store.sequence.get(b.id);
+
+  // Put a record back at its original position after a rolled back removal
+  const restore = (store, record, sequence) => {
+    store.sequence.set(record.id, sequence);
+    store.records.set(record.id, record);
+    addToIndexes(store, record);
+
+    const sorted = [...store.records.values()].sort(byInsertionOrder(store));
+    store.records = new Map(sorted.map(r => [r.id, r]));
+  };
+
+  const clear = () => {
+    const previous = { ...data };
+    collections.forEach(collection => {
+      data[collection] = createCollection(collection);
+    });
+    track(() => Object.assign(data, previous));
+  };
+
+  clear();
+
+  return {
+    name: 'memory',
+
+    all: (collection) => [...getCollection(collection).records.values()],
+
+    get: (collection, id) => getCollection(collection).records.get(id),
+
+    findBy: (collection, field, value) => {
+      const store = getCollection(collection);
+      const index = store.indexes.get(field);
+
+      // Unindexed fields fall back to a scan
+      if (!index) {
+        return [...store.records.values()].filter(r => r[field] === value);
+      }
+
+      const ids = index.get(value);
+      if (!ids) return [];
+      return [...ids].map(id => store.records.get(id)).sort(byInsertionOrder(store));
+    },
+
+    insert: (collection, record) => {
+      const store = getCollection(collection);
+      if (store.records.has(record.id)) {
+        throw new Error(`Duplicate id "${record.id}" in ${collection}`);
+      }
+
+      store.records.set(record.id, record);
+      store.sequence.set(record.id, store.nextSequence++);
+      addToIndexes(store, record);
+
+      track(() => {
+        removeFromIndexes(store, record);
+        store.records.delete(record.id);
+        store.sequence.delete(record.id);
+      });
+      return record;
+    },
+
+    update: (collection, id, updates) => {
+      const store = getCollection(collection);
+      const previous = store.records.get(id);
+      if (!previous) return null;
+
+      const updated = { ...previous, ...updates, id };
+      removeFromIndexes(store, previous);
+      store.records.set(id, updated);
+      addToIndexes(store, updated);
+
+      track(() => {
+        removeFromIndexes(store, updated);
+        store.records.set(id, previous);
+        addToIndexes(store, previous);
+      });
+      return updated;
+    },
+
+    remove: (collection, id) => {
+      const store = getCollection(collection);
+      const removed = store.records.get(id);
+      if (!removed) return null;
+
+      const sequence = store.sequence.get(id);
+      removeFromIndexes(store, removed);
+      store.records.delete(id);
+      store.sequence.delete(id);
+
+      track(() => restore(store, removed, sequence));
+      return removed;
+    },
+
+    clear,
+
+    isEmpty: () => collections.every(collection => data[collection].records.size === 0),
+
+    transaction: (fn) => {
+      // Nested transactions join the outer one
+      if (undoLog) return fn();
+
+      undoLog = [];
+      try {
+        const result = fn();
+        undoLog = null;
+        return result;
+      } catch (error) {
+        const steps = undoLog;
+        undoLog = null;
+        steps.reverse().forEach(undo => undo());
+        throw error;
+      }
+    }
+  };
+};
@@ -0,0 +1,145 @@
+import fs from 'fs';
+import path from 'path';
+import Database from 'better-sqlite3';
+import { runMigrations } from '../migrate.js';
+
+// SQLite storage adapter
+// Records are stored as JSON documents; the fields the database layer filters
+// on are mirrored into indexed columns (see migrations/). Requires the optional
+// better-sqlite3 dependency.
+
+// Record field -> indexed column, per collection
+export const INDEXED_COLUMNS = {
+  users: { email: 'email' },
+  categories: { parentId: 'parent_id' },
+  products: { categoryId: 'category_id', sellerId: 'seller_id' },
+  orders: { userId: 'user_id' },
+  reviews: { productId: 'product_id', userId: 'user_id' },
+  cart: { userId: 'user_id', productId: 'product_id' },
+  audit: { entityId: 'entity_id', userId: 'user_id' },
+  sessions: { userId: 'user_id' },
+  tokens: { userId: 'user_id' },
+  sellerApplications: { userId: 'user_id' },
+  apiKeys: { userId: 'user_id' }
+};
+
+export const resolveSqliteFilename = (filename = process.env.DB_SQLITE_FILE) => {
+  if (filename === ':memory:') return filename;
+  return path.resolve(filename || path.join('.data', 'marketplace.db'));
+};
+
+export const openSqliteDatabase = (filename) => {
+  const resolved = resolveSqliteFilename(filename);
+  if (resolved !== ':memory:') {
+    fs.mkdirSync(path.dirname(resolved), { recursive: true });
+  }
+  const database = new Database(resolved);
+  database.pragma('journal_mode = WAL');
+  return database;
+};
+
+export const createSqliteAdapter = ({ collections, filename }) => {
+  const database = openSqliteDatabase(filename);
+  runMigrations(database);
+
+  const parse = (row) => (row ? JSON.parse(row.data) : undefined);
+
+  // Statements are prepared once per collection
+  const statements = {};
+  collections.forEach(collection => {
+    const columns = Object.values(INDEXED_COLUMNS[collection] || {});
+    const columnList = ['id', ...columns, 'data'];
+    const placeholders = columnList.map(column => `@${column}`).join(', ');
+    const assignments = [...columns, 'data'].map(column => `${column} = @${column}`).join(', ');
+
+    statements[collection] = {
+      all: database.prepare(`SELECT data FROM ${collection} ORDER BY rowid`),
+      get: database.prepare(`SELECT data FROM ${collection} WHERE id = ?`),
+      insert: database.prepare(
+        `INSERT INTO ${collection} (${columnList.join(', ')}) VALUES (${placeholders})`
+      ),
+      update: database.prepare(`UPDATE ${collection} SET ${assignments} WHERE id = @id`),
+      remove: database.prepare(`DELETE FROM ${collection} WHERE id = ?`),
+      clear: database.prepare(`DELETE FROM ${collection}`),
+      count: database.prepare(`SELECT COUNT(*) AS count FROM ${collection}`),
+      findBy: Object.fromEntries(
+        Object.entries(INDEXED_COLUMNS[collection] || {}).map(([field, column]) => [
+          field,
+          database.prepare(`SELECT data FROM ${collection} WHERE ${column} IS ? ORDER BY rowid`)
+        ])
+      )
+    };
+  });
+
+  const getStatements = (collection) => {
+    if (!statements[collection]) {
+      throw new Error(`Unknown collection: ${collection}`);
+    }
+    return statements[collection];
+  };
+
+  // Named parameters for the insert/update statements
+  const toRow = (collection, record) => {
+    const row = { id: record.id, data: JSON.stringify(record) };
+    Object.entries(INDEXED_COLUMNS[collection] || {}).forEach(([field, column]) => {
+      row[column] = record[field] ?? null;
+    });
+    return row;
+  };
+
+  const adapter = {
+    name: 'sqlite',
+
+    all: (collection) => getStatements(collection).all.all().map(parse),
+
+    get: (collection, id) => parse(getStatements(collection).get.get(id)),
+
+    findBy: (collection, field, value) => {
+      const statement = getStatements(collection).findBy[field];
+      if (statement) {
+        return statement.all(value ?? null).map(parse);
+      }
+      // Unindexed fields fall back to a scan
+      return adapter.all(collection).filter(r => r[field] === value);
+    },
+
+    insert: (collection, record) => {
+      getStatements(collection).insert.run(toRow(collection, record));
+      return record;
+    },
+
+    update: (collection, id, updates) => {
+      const existing = adapter.get(collection, id);
+      if (!existing) return null;
+
+      const updated = { ...existing, ...updates };
+      getStatements(collection).update.run(toRow(collection, updated));
+      return updated;
+    },
+
+    remove: (collection, id) => {
+      const existing = adapter.get(collection, id);
+      if (!existing) return null;
+
+      getStatements(collection).remove.run(id);
+      return existing;
+    },
+
+    clear: database.transaction(() => {
+      collections.forEach(collection => getStatements(collection).clear.run());
+    }),
+
+    isEmpty: () => collections.every(collection => getStatements(collection).count.get().count === 0),
+
+    // BEGIN IMMEDIATE takes the write lock up front, so reads inside the
+    // transaction cannot be invalidated by another connection
+    transaction: (fn) => {
+      if (database.inTransaction) return fn();
+      return database.transaction(fn).immediate();
+    },
+
+    close: () => database.close()
+  };
+
+  return adapter;
+};
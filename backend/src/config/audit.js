@@ -0,0 +1,91 @@
+import { v4 as uuidv4 } from 'uuid';
+import { getRequestContext } from '../utils/requestContext.js';
+
+// Audit trail for the database layer
+// Wraps a storage adapter so every insert, update and remove on an audited
+// collection also writes an entry to the `audit` collection with the changed
+// fields, the acting user and the request ID. Entries are written through the
+// same adapter, so they are rolled back together with a failed transaction.
+
+export const AUDIT_COLLECTION = 'audit';
+
+// Collection -> entity name used in audit entries and queries
+export const AUDITED_ENTITIES = {
+  users: 'user',
+  products: 'product',
+  categories: 'category',
+  orders: 'order',
+  reviews: 'review',
+  sellerApplications: 'sellerApplication',
+  settings: 'setting'
+};
+
+const REDACTED_FIELDS = ['password'];
+
+const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Field-level before/after diff of two versions of a record
+export const diffRecords = (before = {}, after = {}) => {
+  const changes = {};
+  new Set([...Object.keys(before), ...Object.keys(after)]).forEach(field => {
+    if (isEqual(before[field], after[field])) return;
+    changes[field] = REDACTED_FIELDS.includes(field)
+      ? { from: '[redacted]', to: '[redacted]' }
+      : { from: before[field] ?? null, to: after[field] ?? null };
+  });
+  return changes;
+};
+
+// Soft deletes and restores are plain updates of deletedAt
+const updateAction = (before, after) => {
+  if (!before.deletedAt && after.deletedAt) return 'delete';
+  if (before.deletedAt && !after.deletedAt) return 'restore';
+  return 'update';
+};
+
+export const withAudit = (store) => {
+  const record = (collection, entityId, action, before, after) => {
+    const entity = AUDITED_ENTITIES[collection];
+    if (!entity) return;
+
+    const changes = diffRecords(before || undefined, after || undefined);
+    if (Object.keys(changes).length === 0) return;
+
+    const req = getRequestContext()?.req;
+    store.insert(AUDIT_COLLECTION, {
+      id: uuidv4(),
+      entity,
+      entityId,
+      action,
+      changes,
+      // No user or request means the change came from the system (seeding, jobs, scripts)
+      userId: req?.user?.id || null,
+      requestId: req?.id || null,
+      createdAt: new Date().toISOString()
+    });
+  };
+
+  return {
+    ...store,
+    insert: (collection, newRecord) => {
+      const inserted = store.insert(collection, newRecord);
+      record(collection, inserted.id, 'create', null, inserted);
+      return inserted;
+    },
+    update: (collection, id, updates) => {
+      const before = store.get(collection, id);
+      const updated = store.update(collection, id, updates);
+      if (updated) {
+        record(collection, id, updateAction(before, updated), before, updated);
+      }
+      return updated;
+    },
+    remove: (collection, id) => {
+      const removed = store.remove(collection, id);
+      if (removed) {
+        record(collection, id, removed.deletedAt ? 'purge' : 'delete', removed, null);
+      }
+      return removed;
+    }
+  };
+};
@@ -0,0 +1,47 @@
+// Write notifications for the database layer
+// Wraps a storage adapter so every insert, update, remove and clear is reported to
+// the registered listeners once it has happened, with the record before and after.
+// Services that keep data derived from the store in memory (the search index, the
+// category tree) use it to drop their caches instead of re-checking on every read.
+// A clear is reported with a null collection. Writes undone by a failed
+// transaction are not reported again, so listeners should only drop caches and
+// rebuild them lazily, never copy the records they are handed.
+
+export const withChangeListeners = (store) => {
+  const listeners = new Set();
+  const notify = (collection, before, after) => {
+    listeners.forEach(listener => listener(collection, before, after));
+  };
+
+  return {
+    ...store,
+    onChange: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    insert: (collection, record) => {
+      const inserted = store.insert(collection, record);
+      notify(collection, null, inserted);
+      return inserted;
+    },
+    update: (collection, id, updates) => {
+      const previous = store.get(collection, id);
+      const updated = store.update(collection, id, updates);
+      if (updated) {
+        notify(collection, previous, updated);
+      }
+      return updated;
+    },
+    remove: (collection, id) => {
+      const removed = store.remove(collection, id);
+      if (removed) {
+        notify(collection, removed, null);
+      }
+      return removed;
+    },
+    clear: () => {
+      store.clear();
+      notify(null, null, null);
+    }
+  };
+};
@@ -1,176 +1,412 @@
-// In-memory database for mockup data
-// In production, this would connect to a real database
-
-let users = [];
-let products = [];
-let categories = [];
-let orders = [];
-let reviews = [];
-let cart = [];
-
-// Initialize with mock data
-const initializeDatabase = () => {
-  // Data will be populated from mock data files
-  return {
-    users,
-    products,
-    categories,
-    orders,
-    reviews,
-    cart
+// Database facade over a pluggable storage adapter
+// Controllers only talk to the `db` object below; where the data actually
+// lives is decided by the DB_ADAPTER environment variable:
+//   memory (default) - indexed in-process maps, wiped on restart
+//   file             - snapshot + append-only journal in DB_FILE_DIR (default .data)
+//   sqlite           - SQLite database at DB_SQLITE_FILE (default .data/marketplace.db)
+
+import path from 'path';
+import { createMemoryAdapter } from './adapters/memoryAdapter.js';
+import { createFileAdapter } from './adapters/fileAdapter.js';
+import { withAudit } from './audit.js';
+import { withVersioning } from './versioning.js';
+import { withChangeListeners } from './changes.js';
+import { BadRequestError, NotFoundError } from '../utils/errors.js';
+import { findVariant, describeVariant, sumVariantStock } from '../utils/variants.js';
+
+export const COLLECTIONS = ['users', 'products', 'categories', 'orders', 'reviews', 'cart', 'audit', 'sessions', 'tokens', 'loginAttempts', 'sellerApplications', 'twoFactor', 'settings', 'apiKeys'];
+
+// Secondary indexes kept by the in-memory store (SQLite mirrors these as columns)
+export const INDEXED_FIELDS = {
+  users: ['email'],
+  products: ['categoryId', 'sellerId'],
+  categories: ['parentId'],
+  orders: ['userId'],
+  reviews: ['productId', 'userId'],
+  cart: ['userId'],
+  audit: ['entityId', 'userId'],
+  sessions: ['userId'],
+  tokens: ['userId'],
+  sellerApplications: ['userId'],
+  apiKeys: ['userId']
+};
+
+const createAdapter = async () => {
+  const adapter = process.env.DB_ADAPTER || 'memory';
+
+  switch (adapter) {
+    case 'memory':
+      return createMemoryAdapter({ collections: COLLECTIONS, indexes: INDEXED_FIELDS });
+    case 'file':
+      return createFileAdapter({
+        collections: COLLECTIONS,
+        indexes: INDEXED_FIELDS,
+        directory: path.resolve(process.env.DB_FILE_DIR || '.data')
+      });
+    case 'sqlite': {
+      // Loaded lazily so the native driver is only needed when SQLite is selected
+      const { createSqliteAdapter } = await import('./adapters/sqliteAdapter.js');
+      return createSqliteAdapter({ collections: COLLECTIONS, filename: process.env.DB_SQLITE_FILE });
+    }
+    default:
+      throw new Error(`Unknown DB_ADAPTER "${adapter}". Expected one of: memory, file, sqlite`);
+  }
+};
+
+// Records of mutable entities carry a `version` bumped on every write
+export const VERSIONED_COLLECTIONS = ['users', 'products', 'categories', 'orders', 'reviews'];
+
+// Every write to an audited collection also records an audit entry, and every
+// write is reported to the caches subscribed through db.onChange
+const store = withChangeListeners(withAudit(withVersioning(await createAdapter(), VERSIONED_COLLECTIONS)));
+
+// Collections whose records are soft deleted: delete* only stamps deletedAt/deletedBy,
+// and the record stays out of every lookup until it is restored or purged
+export const SOFT_DELETE_COLLECTIONS = ['users', 'products', 'categories', 'reviews'];
+
+const isLive = (record) => Boolean(record) && !record.deletedAt;
+const live = (record, { includeDeleted = false } = {}) => {
+  return includeDeleted || isLive(record) ? record : undefined;
+};
+const liveOnly = (records) => records.filter(isLive);
+
+const softDelete = (collection, id, deletedBy = null) => {
+  if (!isLive(store.get(collection, id))) return null;
+  return store.update(collection, id, { deletedAt: new Date().toISOString(), deletedBy });
+};
+
+// Ids of a collection's records that other records (deleted ones included) still
+// point at. Purging those would leave orders, reviews and products dangling.
+const referencedIds = (collection) => {
+  const ids = new Set();
+  const add = (id) => id && ids.add(id);
+
+  if (collection === 'users') {
+    store.all('orders').forEach(order => add(order.userId));
+    store.all('reviews').forEach(review => add(review.userId));
+    store.all('products').forEach(product => add(product.sellerId));
+  } else if (collection === 'products') {
+    store.all('orders').forEach(order => (order.items || []).forEach(item => add(item.productId)));
+    store.all('reviews').forEach(review => add(review.productId));
+    store.all('cart').forEach(item => add(item.productId));
+  } else if (collection === 'categories') {
+    store.all('products').forEach(product => add(product.categoryId));
+    store.all('categories').forEach(category => add(category.parentId));
+  }
+  return ids;
+};
+
+const emptyRatingDistribution = () => ({ 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 });
+
+// Recompute a product's rating aggregates from its stored reviews
+const syncProductRating = (productId) => {
+  const product = store.get('products', productId);
+  if (!product) return null;
+
+  const productReviews = liveOnly(store.findBy('reviews', 'productId', productId));
+  const ratingDistribution = emptyRatingDistribution();
+  let ratingTotal = 0;
+
+  productReviews.forEach(review => {
+    ratingDistribution[review.rating] = (ratingDistribution[review.rating] || 0) + 1;
+    ratingTotal += review.rating;
+  });
+
+  const aggregates = {
+    reviewCount: productReviews.length,
+    rating: productReviews.length > 0
+      ? parseFloat((ratingTotal / productReviews.length).toFixed(1))
+      : 0,
+    ratingDistribution
   };
+
+  // Skip no-op writes so the product version only moves on real changes
+  const unchanged = Object.entries(aggregates).every(([field, value]) => {
+    return JSON.stringify(product[field]) === JSON.stringify(value);
+  });
+  return unchanged ? product : store.update('products', productId, aggregates);
+};
+
+// Cart lines are per product and variant (`variantId` is null for products without variants)
+const findCartItem = (userId, productId, variantId = null) => {
+  return store.findBy('cart', 'userId', userId)
+    .find(c => c.productId === productId && (c.variantId || null) === (variantId || null));
 };
 
 // Database operations
 const db = {
-  // Users
-  getUsers: () => users,
-  getUserById: (id) => users.find(u => u.id === id),
-  getUserByEmail: (email) => users.find(u => u.email === email),
-  createUser: (user) => {
-    users.push(user);
-    return user;
-  },
-  updateUser: (id, updates) => {
-    const index = users.findIndex(u => u.id === id);
-    if (index !== -1) {
-      users[index] = { ...users[index], ...updates };
-      return users[index];
+  // Storage
+  adapter: store.name,
+  isEmpty: () => store.isEmpty(),
+  reset: () => store.clear(),
+  // Subscribe to writes: listener(collection, before, after), collection null on a reset
+  onChange: (listener) => store.onChange(listener),
+
+  // Bulk access for export/import: raw records of any collection
+  exportCollection: (collection) => store.all(collection),
+  // With replace, the collection is emptied first so it ends up holding exactly `records`
+  importRecords: (collection, records, { replace = false } = {}) => {
+    if (replace) {
+      store.all(collection).forEach(record => store.remove(collection, record.id));
     }
-    return null;
+    const counts = { created: 0, updated: 0 };
+    records.forEach(record => {
+      if (store.get(collection, record.id)) {
+        store.update(collection, record.id, record);
+        counts.updated += 1;
+      } else {
+        store.insert(collection, record);
+        counts.created += 1;
+      }
+    });
+
+    // Keep rating aggregates consistent with the imported reviews
+    if (collection === 'reviews' || collection === 'products') {
+      new Set(records.map(r => (collection === 'reviews' ? r.productId : r.id))).forEach(syncProductRating);
+    }
+    return counts;
   },
-  deleteUser: (id) => {
-    const index = users.findIndex(u => u.id === id);
-    if (index !== -1) {
-      return users.splice(index, 1)[0];
+
+  // Run fn as one unit of work: if it throws, none of its writes are kept.
+  // fn must be synchronous so no other request can interleave with it.
+  transaction: (fn) => store.transaction(() => {
+    const result = fn();
+    if (result && typeof result.then === 'function') {
+      throw new Error('db.transaction callbacks must be synchronous');
     }
-    return null;
+    return result;
+  }),
+
+  // Users
+  getUsers: () => liveOnly(store.all('users')),
+  getUserById: (id, options) => live(store.get('users', id), options),
+  getUserByEmail: (email, options) => {
+    return store.findBy('users', 'email', email).find(user => live(user, options));
   },
+  createUser: (user) => store.insert('users', user),
+  updateUser: (id, updates) => store.update('users', id, updates),
+  deleteUser: (id, deletedBy) => softDelete('users', id, deletedBy),
 
   // Products
-  getProducts: () => products,
-  getProductById: (id) => products.find(p => p.id === id),
-  getProductsByCategory: (categoryId) => products.filter(p => p.categoryId === categoryId),
-  getProductsBySeller: (sellerId) => products.filter(p => p.sellerId === sellerId),
+  getProducts: () => liveOnly(store.all('products')),
+  getProductById: (id, options) => live(store.get('products', id), options),
+  getProductsByCategory: (categoryId) => liveOnly(store.findBy('products', 'categoryId', categoryId)),
+  getProductsBySeller: (sellerId) => liveOnly(store.findBy('products', 'sellerId', sellerId)),
   createProduct: (product) => {
-    products.push(product);
-    return product;
+    // New products start without reviews
+    store.insert('products', {
+      ...product,
+      reviewCount: 0,
+      rating: 0,
+      ratingDistribution: emptyRatingDistribution()
+    });
+    return syncProductRating(product.id);
   },
-  updateProduct: (id, updates) => {
-    const index = products.findIndex(p => p.id === id);
-    if (index !== -1) {
-      products[index] = { ...products[index], ...updates };
-      return products[index];
+  updateProduct: (id, updates) => store.update('products', id, updates),
+  // Apply a stock delta, refusing to take stock below zero. With a variant, its
+  // stock changes and the product stock follows as the sum over all variants.
+  adjustStock: (id, delta, variantId = null) => {
+    const product = live(store.get('products', id));
+    if (!product) {
+      throw new NotFoundError(`Product ${id} not found`);
     }
-    return null;
-  },
-  deleteProduct: (id) => {
-    const index = products.findIndex(p => p.id === id);
-    if (index !== -1) {
-      return products.splice(index, 1)[0];
+    if (variantId) {
+      const variant = findVariant(product, variantId);
+      if (!variant) {
+        throw new NotFoundError(`Variant ${variantId} of ${product.name} not found`);
+      }
+      if (variant.stock + delta < 0) {
+        throw new BadRequestError(`Insufficient stock for ${product.name} (${describeVariant(variant)})`);
+      }
+      const variants = product.variants.map(v => (v.id === variantId ? { ...v, stock: v.stock + delta } : v));
+      return store.update('products', id, { variants, stock: sumVariantStock(variants) });
     }
-    return null;
+    if (product.stock + delta < 0) {
+      throw new BadRequestError(`Insufficient stock for ${product.name}`);
+    }
+    return store.update('products', id, { stock: product.stock + delta });
   },
+  deleteProduct: (id, deletedBy) => softDelete('products', id, deletedBy),
 
   // Categories
-  getCategories: () => categories,
-  getCategoryById: (id) => categories.find(c => c.id === id),
-  createCategory: (category) => {
-    categories.push(category);
-    return category;
-  },
-  updateCategory: (id, updates) => {
-    const index = categories.findIndex(c => c.id === id);
-    if (index !== -1) {
-      categories[index] = { ...categories[index], ...updates };
-      return categories[index];
+  getCategories: () => liveOnly(store.all('categories')),
+  getCategoryById: (id, options) => live(store.get('categories', id), options),
+  getSubcategories: (parentId) => liveOnly(store.findBy('categories', 'parentId', parentId)),
+  createCategory: (category) => store.insert('categories', category),
+  updateCategory: (id, updates) => store.update('categories', id, updates),
+  deleteCategory: (id, deletedBy) => softDelete('categories', id, deletedBy),
+
+  // Orders
+  getOrders: () => store.all('orders'),
+  getOrderById: (id) => store.get('orders', id),
+  getOrdersByUser: (userId) => store.findBy('orders', 'userId', userId),
+  // Orders with at least one item sold by the seller (deleted products included)
+  getOrdersBySeller: (sellerId) => {
+    const productIds = new Set(store.findBy('products', 'sellerId', sellerId).map(product => product.id));
+    return store.all('orders').filter(order => (order.items || []).some(item => productIds.has(item.productId)));
+  },
+  createOrder: (order) => store.insert('orders', order),
+  updateOrder: (id, updates) => store.update('orders', id, updates),
+
+  // Reviews
+  getReviews: () => liveOnly(store.all('reviews')),
+  getReviewById: (id, options) => live(store.get('reviews', id), options),
+  getReviewsByProduct: (productId) => liveOnly(store.findBy('reviews', 'productId', productId)),
+  getReviewsByUser: (userId) => liveOnly(store.findBy('reviews', 'userId', userId)),
+  createReview: (review) => {
+    const created = store.insert('reviews', review);
+    syncProductRating(created.productId);
+    return created;
+  },
+  updateReview: (id, updates) => {
+    const previous = store.get('reviews', id);
+    if (!previous) return null;
+
+    const updated = store.update('reviews', id, updates);
+    syncProductRating(updated.productId);
+    if (previous.productId !== updated.productId) {
+      syncProductRating(previous.productId);
     }
-    return null;
+    return updated;
   },
-  deleteCategory: (id) => {
-    const index = categories.findIndex(c => c.id === id);
-    if (index !== -1) {
-      return categories.splice(index, 1)[0];
+  deleteReview: (id, deletedBy) => {
+    const removed = softDelete('reviews', id, deletedBy);
+    if (removed) {
+      syncProductRating(removed.productId);
     }
-    return null;
+    return removed;
   },
 
-  // Orders
-  getOrders: () => orders,
-  getOrderById: (id) => orders.find(o => o.id === id),
-  getOrdersByUser: (userId) => orders.filter(o => o.userId === userId),
-  createOrder: (order) => {
-    orders.push(order);
-    return order;
-  },
-  updateOrder: (id, updates) => {
-    const index = orders.findIndex(o => o.id === id);
-    if (index !== -1) {
-      orders[index] = { ...orders[index], ...updates };
-      return orders[index];
+  // Trash (soft deleted records)
+  getDeleted: (collection) => store.all(collection).filter(record => record.deletedAt),
+  restore: (collection, id) => {
+    const record = store.get(collection, id);
+    if (!record?.deletedAt) return null;
+
+    const restored = store.update(collection, id, { deletedAt: null, deletedBy: null });
+    if (collection === 'reviews') {
+      syncProductRating(restored.productId);
     }
-    return null;
+    return restored;
+  },
+  // Permanently remove records that were deleted before the cutoff, except
+  // those still referenced elsewhere: they stay in the trash
+  purgeDeleted: (collection, cutoff) => {
+    let purged = 0;
+    let expired;
+    // Categories reference each other, so purging a subcategory can free its parent
+    do {
+      const referenced = referencedIds(collection);
+      expired = store.all(collection).filter(record => {
+        return record.deletedAt && new Date(record.deletedAt) < cutoff && !referenced.has(record.id);
+      });
+      expired.forEach(record => store.remove(collection, record.id));
+      purged += expired.length;
+    } while (expired.length > 0);
+    return purged;
   },
 
-  // Reviews
-  getReviews: () => reviews,
-  getReviewById: (id) => reviews.find(r => r.id === id),
-  getReviewsByProduct: (productId) => reviews.filter(r => r.productId === productId),
-  getReviewsByUser: (userId) => reviews.filter(r => r.userId === userId),
-  createReview: (review) => {
-    reviews.push(review);
-    return review;
+  // Seller applications
+  getSellerApplications: () => store.all('sellerApplications'),
+  getSellerApplicationById: (id) => store.get('sellerApplications', id),
+  getSellerApplicationsByUser: (userId) => store.findBy('sellerApplications', 'userId', userId),
+  createSellerApplication: (application) => store.insert('sellerApplications', application),
+  updateSellerApplication: (id, updates) => store.update('sellerApplications', id, updates),
+
+  // Two-factor secrets and recovery codes, keyed by user id
+  getTwoFactor: (userId) => store.get('twoFactor', userId),
+  saveTwoFactor: (record) => {
+    if (store.get('twoFactor', record.id)) {
+      return store.update('twoFactor', record.id, record);
+    }
+    return store.insert('twoFactor', record);
   },
-  updateReview: (id, updates) => {
-    const index = reviews.findIndex(r => r.id === id);
-    if (index !== -1) {
-      reviews[index] = { ...reviews[index], ...updates };
-      return reviews[index];
+  deleteTwoFactor: (userId) => store.remove('twoFactor', userId),
+
+  // Application settings changed at runtime by admins
+  getSetting: (id) => store.get('settings', id),
+  saveSetting: (setting) => {
+    if (store.get('settings', setting.id)) {
+      return store.update('settings', setting.id, setting);
     }
-    return null;
+    return store.insert('settings', setting);
+  },
+
+  // API keys (hashed) for integrations
+  getApiKeyById: (id) => store.get('apiKeys', id),
+  getApiKeysByUser: (userId) => store.findBy('apiKeys', 'userId', userId),
+  createApiKey: (key) => store.insert('apiKeys', key),
+  updateApiKey: (id, updates) => store.update('apiKeys', id, updates),
+
+  // Sessions (one per refresh token family)
+  getSessionById: (id) => store.get('sessions', id),
+  getSessionsByUser: (userId) => store.findBy('sessions', 'userId', userId),
+  createSession: (session) => store.insert('sessions', session),
+  updateSession: (id, updates) => store.update('sessions', id, updates),
+  deleteSession: (id) => store.remove('sessions', id),
+
+  // One-time tokens (email verification, password reset)
+  getTokenById: (id) => store.get('tokens', id),
+  getTokensByUser: (userId) => store.findBy('tokens', 'userId', userId),
+  createToken: (token) => store.insert('tokens', token),
+  deleteToken: (id) => store.remove('tokens', id),
+
+  // Failed login counters (see services/loginLimiter.js)
+  getLoginAttempts: () => store.all('loginAttempts'),
+  getLoginAttempt: (id) => store.get('loginAttempts', id),
+  saveLoginAttempt: (entry) => {
+    if (store.get('loginAttempts', entry.id)) {
+      return store.update('loginAttempts', entry.id, entry);
+    }
+    return store.insert('loginAttempts', entry);
   },
-  deleteReview: (id) => {
-    const index = reviews.findIndex(r => r.id === id);
-    if (index !== -1) {
-      return reviews.splice(index, 1)[0];
+  deleteLoginAttempt: (id) => store.remove('loginAttempts', id),
+
+  // Audit trail, newest first
+  getAuditLog: ({ entity, entityId, userId } = {}) => {
+    let entries;
+    if (entityId) {
+      entries = store.findBy('audit', 'entityId', entityId);
+    } else if (userId) {
+      entries = store.findBy('audit', 'userId', userId);
+    } else {
+      entries = store.all('audit');
     }
-    return null;
+
+    return entries
+      .filter(entry => (!entity || entry.entity === entity) && (!userId || entry.userId === userId))
+      .reverse();
   },
 
   // Cart
-  getCartByUser: (userId) => cart.filter(c => c.userId === userId),
+  getCartByUser: (userId) => store.findBy('cart', 'userId', userId),
   addToCart: (item) => {
-    const existing = cart.find(c => c.userId === item.userId && c.productId === item.productId);
+    const existing = findCartItem(item.userId, item.productId, item.variantId);
     if (existing) {
-      existing.quantity += item.quantity || 1;
-      return existing;
+      return store.update('cart', existing.id, {
+        quantity: existing.quantity + (item.quantity || 1)
+      });
     }
-    cart.push(item);
-    return item;
+    return store.insert('cart', item);
   },
-  updateCartItem: (userId, productId, quantity) => {
-    const item = cart.find(c => c.userId === userId && c.productId === productId);
+  updateCartItem: (userId, productId, quantity, variantId = null) => {
+    const item = findCartItem(userId, productId, variantId);
     if (item) {
-      item.quantity = quantity;
-      return item;
+      return store.update('cart', item.id, { quantity });
     }
     return null;
   },
-  removeFromCart: (userId, productId) => {
-    const index = cart.findIndex(c => c.userId === userId && c.productId === productId);
-    if (index !== -1) {
-      return cart.splice(index, 1)[0];
+  removeFromCart: (userId, productId, variantId = null) => {
+    const item = findCartItem(userId, productId, variantId);
+    if (item) {
+      return store.remove('cart', item.id);
     }
     return null;
   },
   clearCart: (userId) => {
-    cart = cart.filter(c => c.userId !== userId);
+    store.findBy('cart', 'userId', userId).forEach(item => store.remove('cart', item.id));
     return true;
   }
 };
 
-// Initialize database
-initializeDatabase();
-
 export default db;
-
@@ -0,0 +1,61 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Versioned SQL migrations
+// Files in ./migrations are named <version>_<description>.sql and applied in
+// version order. Applied versions are recorded in the schema_migrations table.
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+export const listMigrations = (directory = MIGRATIONS_DIR) => {
+  return fs.readdirSync(directory)
+    .filter(file => /^\d+_.+\.sql$/.test(file))
+    .map(file => ({
+      version: parseInt(file.split('_')[0], 10),
+      name: file.replace(/\.sql$/, ''),
+      file: path.join(directory, file)
+    }))
+    .sort((a, b) => a.version - b.version);
+};
+
+const ensureMigrationsTable = (database) => {
+  database.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT NOT NULL
+    )
+  `);
+};
+
+export const getMigrationStatus = (database, directory = MIGRATIONS_DIR) => {
+  ensureMigrationsTable(database);
+  const applied = new Set(
+    database.prepare('SELECT version FROM schema_migrations').all().map(row => row.version)
+  );
+
+  return listMigrations(directory).map(migration => ({
+    ...migration,
+    applied: applied.has(migration.version)
+  }));
+};
+
+// Apply every pending migration, each one in its own transaction
+export const runMigrations = (database, directory = MIGRATIONS_DIR) => {
+  const pending = getMigrationStatus(database, directory).filter(m => !m.applied);
+  const record = database.prepare(
+    'INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)'
+  );
+
+  pending.forEach(migration => {
+    const sql = fs.readFileSync(migration.file, 'utf8');
+    database.transaction(() => {
+      database.exec(sql);
+      record.run(migration.version, migration.name, new Date().toISOString());
+    })();
+  });
+
+  return pending;
+};
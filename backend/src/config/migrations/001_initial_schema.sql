@@ -0,0 +1,54 @@
+-- Initial schema
+-- Each collection stores the full record as JSON in `data`; fields the
+-- database layer looks records up by are copied into indexed columns.
+
+CREATE TABLE users (
+  id TEXT PRIMARY KEY,
+  email TEXT NOT NULL UNIQUE,
+  data TEXT NOT NULL CHECK (json_valid(data))
+);
+
+CREATE TABLE categories (
+  id TEXT PRIMARY KEY,
+  parent_id TEXT,
+  data TEXT NOT NULL CHECK (json_valid(data))
+);
+
+CREATE INDEX idx_categories_parent_id ON categories (parent_id);
+
+CREATE TABLE products (
+  id TEXT PRIMARY KEY,
+  category_id TEXT,
+  seller_id TEXT,
+  data TEXT NOT NULL CHECK (json_valid(data))
+);
+
+CREATE INDEX idx_products_category_id ON products (category_id);
+CREATE INDEX idx_products_seller_id ON products (seller_id);
+
+CREATE TABLE orders (
+  id TEXT PRIMARY KEY,
+  user_id TEXT,
+  data TEXT NOT NULL CHECK (json_valid(data))
+);
+
+CREATE INDEX idx_orders_user_id ON orders (user_id);
+
+CREATE TABLE reviews (
+  id TEXT PRIMARY KEY,
+  product_id TEXT,
+  user_id TEXT,
+  data TEXT NOT NULL CHECK (json_valid(data))
+);
+
+CREATE INDEX idx_reviews_product_id ON reviews (product_id);
+CREATE INDEX idx_reviews_user_id ON reviews (user_id);
+
+CREATE TABLE cart (
+  id TEXT PRIMARY KEY,
+  user_id TEXT,
+  product_id TEXT,
+  data TEXT NOT NULL CHECK (json_valid(data))
+);
+
+CREATE INDEX idx_cart_user_id ON cart (user_id);
@@ -0,0 +1,11 @@
+-- Audit trail of changes to users, products, categories, orders and reviews
+
+CREATE TABLE audit (
+  id TEXT PRIMARY KEY,
+  entity_id TEXT,
+  user_id TEXT,
+  data TEXT NOT NULL CHECK (json_valid(data))
+);
+
+CREATE INDEX idx_audit_entity_id ON audit (entity_id);
+CREATE INDEX idx_audit_user_id ON audit (user_id);
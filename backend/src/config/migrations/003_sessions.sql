@@ -0,0 +1,9 @@
+-- Login sessions: one row per refresh token family
+
+CREATE TABLE sessions (
+  id TEXT PRIMARY KEY,
+  user_id TEXT,
+  data TEXT NOT NULL CHECK (json_valid(data))
+);
+
+CREATE INDEX idx_sessions_user_id ON sessions (user_id);
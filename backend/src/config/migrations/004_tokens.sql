@@ -0,0 +1,9 @@
+-- Single-use tokens sent by email (email verification, password reset)
+
+CREATE TABLE tokens (
+  id TEXT PRIMARY KEY,
+  user_id TEXT,
+  data TEXT NOT NULL CHECK (json_valid(data))
+);
+
+CREATE INDEX idx_tokens_user_id ON tokens (user_id);
@@ -0,0 +1,6 @@
+-- Failed login counters and lockouts, keyed by account or IP
+
+CREATE TABLE loginAttempts (
+  id TEXT PRIMARY KEY,
+  data TEXT NOT NULL CHECK (json_valid(data))
+);
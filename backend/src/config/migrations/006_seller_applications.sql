@@ -0,0 +1,9 @@
+-- Buyers applying to become sellers
+
+CREATE TABLE sellerApplications (
+  id TEXT PRIMARY KEY,
+  user_id TEXT,
+  data TEXT NOT NULL CHECK (json_valid(data))
+);
+
+CREATE INDEX idx_seller_applications_user_id ON sellerApplications (user_id);
@@ -0,0 +1,11 @@
+-- TOTP secrets and recovery codes (keyed by user id) and runtime settings
+
+CREATE TABLE twoFactor (
+  id TEXT PRIMARY KEY,
+  data TEXT NOT NULL CHECK (json_valid(data))
+);
+
+CREATE TABLE settings (
+  id TEXT PRIMARY KEY,
+  data TEXT NOT NULL CHECK (json_valid(data))
+);
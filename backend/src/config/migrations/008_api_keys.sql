@@ -0,0 +1,9 @@
+-- Hashed API keys for seller integrations
+
+CREATE TABLE apiKeys (
+  id TEXT PRIMARY KEY,
+  user_id TEXT,
+  data TEXT NOT NULL CHECK (json_valid(data))
+);
+
+CREATE INDEX idx_api_keys_user_id ON apiKeys (user_id);
@@ -0,0 +1,20 @@
+// Optimistic concurrency support for the database layer
+// Wraps a storage adapter so records of the given collections carry a `version`
+// that starts at 1 and is bumped on every update. Controllers expose it as an
+// ETag and compare it against If-Match before writing.
+
+export const withVersioning = (store, collections) => ({
+  ...store,
+  insert: (collection, record) => {
+    if (!collections.includes(collection)) return store.insert(collection, record);
+    return store.insert(collection, { ...record, version: record.version || 1 });
+  },
+  update: (collection, id, updates) => {
+    if (!collections.includes(collection)) return store.update(collection, id, updates);
+
+    const previous = store.get(collection, id);
+    if (!previous) return null;
+    // Records stored before versioning count as version 1
+    return store.update(collection, id, { ...updates, version: (previous.version || 1) + 1 });
+  }
+});
@@ -0,0 +1,189 @@
+import db, { COLLECTIONS } from '../config/database.js';
+import { validateFixture } from '../data/seed.js';
+
+export const EXPORT_FORMAT = 'marketplace-export';
+export const EXPORT_VERSION = 1;
+
+const IMPORT_MODES = ['merge', 'replace'];
+
+// Sign-in state and the audit trail belong to this server, not to the
+// marketplace: they are never exported, and imports leave them alone
+const AUTH_STATE_COLLECTIONS = ['audit', 'sessions', 'tokens', 'loginAttempts', 'twoFactor', 'apiKeys'];
+export const EXPORT_COLLECTIONS = COLLECTIONS.filter(collection => !AUTH_STATE_COLLECTIONS.includes(collection));
+
+// User fields an import never overwrites on an existing account
+const CREDENTIAL_FIELDS = ['password', 'passwordChangedAt', 'twoFactorEnabled'];
+
+// Strip secrets from a record before it leaves the server
+const sanitizeRecord = (collection, record, includePasswords) => {
+  if (collection !== 'users' || includePasswords) return record;
+  const { password: _, ...rest } = record;
+  return rest;
+};
+
+const exportRecords = (collection, includePasswords) => {
+  return db.exportCollection(collection).map(record => sanitizeRecord(collection, record, includePasswords));
+};
+
+// Existing accounts keep their password and 2FA; new ones bring a hash and start without 2FA
+const withCurrentCredentials = (users) => users.map(user => {
+  const current = db.getUserById(user.id, { includeDeleted: true });
+  const rest = Object.fromEntries(Object.entries(user).filter(([field]) => !CREDENTIAL_FIELDS.includes(field)));
+  if (!current) {
+    return { ...rest, password: user.password };
+  }
+  const credentials = CREDENTIAL_FIELDS.filter(field => field in current).map(field => [field, current[field]]);
+  return { ...rest, ...Object.fromEntries(credentials) };
+});
+
+export const exportData = (req, res, next) => {
+  try {
+    const format = req.query.format === 'ndjson' ? 'ndjson' : 'json';
+    // Passwords are bcrypt hashes; they are only included when explicitly requested
+    const includePasswords = req.query.passwords === 'hashed';
+    const exportedAt = new Date().toISOString();
+    const header = {
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      exportedAt,
+      adapter: db.adapter,
+      passwords: includePasswords ? 'hashed' : 'excluded'
+    };
+    const filename = `marketplace-export-${exportedAt.replace(/[:.]/g, '-')}.${format}`;
+
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    // Records are written one at a time so large stores are never serialized in one piece
+    if (format === 'ndjson') {
+      res.setHeader('Content-Type', 'application/x-ndjson');
+      res.write(`${JSON.stringify({ type: 'header', ...header })}\n`);
+      EXPORT_COLLECTIONS.forEach(collection => {
+        exportRecords(collection, includePasswords).forEach(record => {
+          const line = { type: 'record', collection, record };
+          res.write(`${JSON.stringify(line)}\n`);
+        });
+      });
+      return res.end();
+    }
+
+    res.setHeader('Content-Type', 'application/json');
+    res.write(`${JSON.stringify(header).slice(0, -1)},"collections":{`);
+    EXPORT_COLLECTIONS.forEach((collection, collectionIndex) => {
+      res.write(`${collectionIndex > 0 ? ',' : ''}${JSON.stringify(collection)}:[`);
+      exportRecords(collection, includePasswords).forEach((record, index) => {
+        res.write(`${index > 0 ? ',' : ''}${JSON.stringify(record)}`);
+      });
+      res.write(']');
+    });
+    res.end('}}');
+  } catch (error) {
+    // Once the download has started the status can no longer change; cut it short
+    // so the client sees a truncated file instead of a valid-looking one
+    if (res.headersSent) {
+      console.error('Export failed mid-stream:', error);
+      return res.destroy(error);
+    }
+    next(error);
+  }
+};
+
+// Accept either the JSON export document or its NDJSON form
+const parseExport = (body) => {
+  if (typeof body === 'string') {
+    const lines = body.split('\n').filter(line => line.trim());
+    const header = JSON.parse(lines[0] || '{}');
+    const collections = {};
+    lines.slice(1).forEach(line => {
+      const { collection, record } = JSON.parse(line);
+      (collections[collection] = collections[collection] || []).push(record);
+    });
+    return { ...header, collections };
+  }
+  return body;
+};
+
+export const importData = (req, res, next) => {
+  try {
+    const mode = req.query.mode || 'merge';
+    const dryRun = req.query.dryRun === 'true';
+
+    if (!IMPORT_MODES.includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid import mode. Expected one of: ${IMPORT_MODES.join(', ')}`
+      });
+    }
+
+    let snapshot;
+    try {
+      snapshot = parseExport(req.body);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Import body is not a valid export document'
+      });
+    }
+
+    if (snapshot?.format !== EXPORT_FORMAT || snapshot.version !== EXPORT_VERSION) {
+      return res.status(400).json({
+        success: false,
+        message: `Unsupported export format. Expected ${EXPORT_FORMAT} version ${EXPORT_VERSION}`
+      });
+    }
+
+    const data = snapshot.collections || {};
+    const unknown = Object.keys(data).filter(collection => !EXPORT_COLLECTIONS.includes(collection));
+    const existing = mode === 'merge'
+      ? Object.fromEntries(EXPORT_COLLECTIONS.map(collection => [collection, db.exportCollection(collection)]))
+      : {};
+
+    const errors = unknown.map(collection => `Unknown collection ${collection}`);
+    errors.push(...validateFixture(data, existing));
+
+    // Users exported without passwords can only update accounts that already have one
+    (errors.length === 0 ? data.users || [] : []).forEach(user => {
+      if (!user.password && !db.getUserById(user.id, { includeDeleted: true })) {
+        errors.push(`User ${user.id} has no password hash and does not exist yet`);
+      }
+    });
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors
+      });
+    }
+
+    const counts = {};
+    if (dryRun) {
+      // Count what would change without writing anything
+      EXPORT_COLLECTIONS.forEach(collection => {
+        const existingIds = new Set((existing[collection] || []).map(r => r.id));
+        const records = data[collection] || [];
+        const updated = records.filter(r => existingIds.has(r.id)).length;
+        counts[collection] = { created: records.length - updated, updated };
+      });
+    } else {
+      const records = { ...data, users: withCurrentCredentials(data.users || []) };
+      // The wipe is part of the transaction, so a failed import keeps the old data
+      db.transaction(() => {
+        EXPORT_COLLECTIONS.forEach(collection => {
+          counts[collection] = db.importRecords(collection, records[collection] || [], { replace: mode === 'replace' });
+        });
+      });
+    }
+
+    res.json({
+      success: true,
+      message: dryRun ? 'Import validated (dry run, nothing was written)' : 'Import completed successfully',
+      data: {
+        mode,
+        dryRun,
+        counts
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,61 @@
+import db from '../config/database.js';
+import {
+  API_KEY_SCOPES,
+  listApiKeys,
+  createApiKey as issueApiKey,
+  revokeApiKey as markRevoked
+} from '../services/apiKeys.js';
+
+export const getApiKeys = (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        apiKeys: listApiKeys(req.user.id),
+        availableScopes: API_KEY_SCOPES
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const createApiKey = (req, res, next) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body;
+
+    // The full key is only part of this response; the server keeps a hash
+    const { apiKey, key } = issueApiKey(db.getUserById(req.user.id), { name, scopes, expiresInDays });
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Copy it now, it will not be shown again.',
+      data: {
+        ...apiKey,
+        key
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const revokeApiKey = (req, res, next) => {
+  try {
+    const apiKey = markRevoked(req.params.id, req.user.id);
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'API key revoked successfully',
+      data: apiKey
+    });
+  } catch (error) {
+    next(error);
+  }
+};
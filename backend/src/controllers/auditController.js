@@ -0,0 +1,51 @@
+import db from '../config/database.js';
+import { AUDITED_ENTITIES } from '../config/audit.js';
+import { paginate } from '../utils/pagination.js';
+
+const ENTITIES = Object.values(AUDITED_ENTITIES);
+const ACTIONS = ['create', 'update', 'delete', 'restore', 'purge'];
+
+export const getAuditLog = (req, res, next) => {
+  try {
+    const { entity, id, userId, requestId, action } = req.query;
+
+    if (entity && !ENTITIES.includes(entity)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid entity. Expected one of: ${ENTITIES.join(', ')}`
+      });
+    }
+    if (action && !ACTIONS.includes(action)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid action. Expected one of: ${ACTIONS.join(', ')}`
+      });
+    }
+
+    let entries = db.getAuditLog({ entity, entityId: id, userId });
+
+    if (requestId) {
+      entries = entries.filter(entry => entry.requestId === requestId);
+    }
+    if (action) {
+      entries = entries.filter(entry => entry.action === action);
+    }
+
+    // Newest first, paged by ?cursor= or ?page=
+    const { items, pagination } = paginate(entries, {
+      sort: [{ value: entry => entry.createdAt, direction: 'desc' }],
+      sortName: 'newest',
+      query: req.query
+    });
+
+    res.json({
+      success: true,
+      data: {
+        entries: items,
+        pagination
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
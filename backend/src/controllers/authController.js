@@ -1,15 +1,123 @@
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
 import db from '../config/database.js';
+import {
+  startSession,
+  refreshSession,
+  revokeSession,
+  revokeOtherSessions,
+  listUserSessions,
+  getRefreshTokenSessionId,
+  verifyAccessToken
+} from '../services/sessions.js';
+import {
+  sendVerificationEmail,
+  resendVerificationEmail,
+  verifyEmail as markEmailVerified
+} from '../services/emailVerification.js';
+import {
+  validateNewPassword,
+  requestPasswordReset,
+  resetPassword as applyPasswordReset,
+  changePassword as applyPasswordChange
+} from '../services/passwords.js';
+import { checkLogin, recordLoginFailure, recordLoginSuccess } from '../services/loginLimiter.js';
+import { takeEmailRequest } from '../services/emailThrottle.js';
+import {
+  createLoginChallenge,
+  verifyLoginChallenge,
+  verifySecondFactor,
+  needsTwoFactorSetup
+} from '../services/twoFactor.js';
+import { ConflictError } from '../utils/errors.js';
+
+// 429 for a client IP that asked for too many emails (see services/emailThrottle.js)
+const tooManyEmailRequests = (res, retryAfter) => {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    success: false,
+    message: `Too many requests. Try again in ${retryAfter} second(s).`
+  });
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// 429 with the time the client may try again
+const tooManyAttempts = (res, status) => {
+  res.set('Retry-After', String(status.retryAfter));
+  return res.status(429).json({
+    success: false,
+    message: status.locked
+      ? `Too many failed login attempts. Login is locked until ${status.retryAt}.`
+      : `Too many failed login attempts. Try again in ${status.retryAfter} second(s).`,
+    data: {
+      locked: status.locked,
+      retryAt: status.retryAt,
+      retryAfter: status.retryAfter
+    }
+  });
+};
+
+// Start a session: short-lived access token plus a refresh token
+const sendLoginResponse = (req, res, user) => {
+  const { token, refreshToken } = startSession(user, req);
+
+  // Remove password from response
+  const { password: _, ...userResponse } = user;
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      user: userResponse,
+      token,
+      refreshToken,
+      // Required 2FA is not set up yet: only the setup endpoints accept this token for now
+      twoFactorSetupRequired: needsTwoFactorSetup(user)
+    }
+  });
+};
+
+const emailTaken = (email) => Boolean(db.getUserByEmail(email, { includeDeleted: true }));
+
+// Timestamp ids, moved past any taken by a signup in the same millisecond
+const nextUserId = () => {
+  let time = Date.now();
+  while (db.getUserById(`user-${time}`, { includeDeleted: true })) {
+    time += 1;
+  }
+  return `user-${time}`;
+};
 
 export const register = async (req, res, next) => {
   try {
-    const { email, password, firstName, lastName, role = 'buyer', phone, address } = req.body;
+    const { email, password, firstName, lastName, role, phone, address } = req.body;
 
-    // Check if user already exists
-    const existingUser = db.getUserByEmail(email);
-    if (existingUser) {
+    // Everyone signs up as a buyer; sellers apply afterwards and admins are appointed
+    if (role && role !== 'buyer') {
       return res.status(400).json({
+        success: false,
+        message: 'Only buyer accounts can be registered. Apply to become a seller after signing up.'
+      });
+    }
+
+    if (typeof email !== 'string' || !EMAIL_PATTERN.test(email)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid email address is required'
+      });
+    }
+    if (![firstName, lastName].every(name => typeof name === 'string' && name.trim())) {
+      return res.status(400).json({
+        success: false,
+        message: 'First name and last name are required'
+      });
+    }
+    // Same rule as password reset and change
+    validateNewPassword(password);
+
+    // Check if user already exists (deleted accounts keep their email until purged)
+    if (emailTaken(email)) {
+      return res.status(409).json({
         success: false,
         message: 'User with this email already exists'
       });
@@ -18,28 +126,34 @@ export const register = async (req, res, next) => {
     // Hash password
     const hashedPassword = await bcrypt.hash(password, 10);
 
-    // Create user
-    const user = {
-      id: `user-${Date.now()}`,
-      email,
-      password: hashedPassword,
-      firstName,
-      lastName,
-      role,
-      phone,
-      address,
-      createdAt: new Date().toISOString(),
-      isVerified: false
-    };
-
-    db.createUser(user);
-
-    // Generate token
-    const token = jwt.sign(
-      { id: user.id, email: user.email, role: user.role },
-      process.env.JWT_SECRET || 'default-development-secret-key-change-in-production',
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-    );
+    // Create user; another request may have taken the email while the password was hashed
+    const user = db.transaction(() => {
+      if (emailTaken(email)) {
+        throw new ConflictError('User with this email already exists');
+      }
+      return db.createUser({
+        id: nextUserId(),
+        email,
+        password: hashedPassword,
+        firstName,
+        lastName,
+        role: 'buyer',
+        phone,
+        address,
+        createdAt: new Date().toISOString(),
+        isVerified: false
+      });
+    });
+
+    // A failing mail transport must not fail the registration; the user can ask for a new link
+    try {
+      await sendVerificationEmail(user);
+    } catch (error) {
+      console.error('Failed to send verification email:', error);
+    }
+
+    // Start a session: short-lived access token plus a refresh token
+    const { token, refreshToken } = startSession(user, req);
 
     // Remove password from response
     const { password: _, ...userResponse } = user;
@@ -49,7 +163,8 @@ export const register = async (req, res, next) => {
       message: 'User registered successfully',
       data: {
         user: userResponse,
-        token
+        token,
+        refreshToken
       }
     });
   } catch (error) {
@@ -61,40 +176,350 @@ export const login = async (req, res, next) => {
   try {
     const { email, password } = req.body;
 
-    // Find user
+    if (!email || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email and password are required'
+      });
+    }
+
+    // Refuse attempts while the account or IP is locked or still has to wait
+    const limit = await checkLogin(email, req.ip);
+    if (limit.blocked) {
+      return tooManyAttempts(res, limit);
+    }
+
+    // Find user and check password (unknown emails count as failures too)
     const user = db.getUserByEmail(email);
-    if (!user) {
+    const isPasswordValid = user ? await bcrypt.compare(String(password), user.password) : false;
+    if (!isPasswordValid) {
+      const failure = await recordLoginFailure(email, req.ip);
+      if (failure.locked) {
+        return tooManyAttempts(res, failure);
+      }
       return res.status(401).json({
         success: false,
-        message: 'Invalid email or password'
+        message: 'Invalid email or password',
+        data: {
+          attemptsRemaining: failure.attemptsRemaining
+        }
       });
     }
 
-    // Check password
-    const isPasswordValid = await bcrypt.compare(password, user.password);
-    if (!isPasswordValid) {
+    if (user.suspendedAt) {
+      return res.status(403).json({
+        success: false,
+        message: 'This account has been suspended.'
+      });
+    }
+
+    // With 2FA the password only earns a challenge; failures are cleared once the code is accepted
+    if (user.twoFactorEnabled) {
+      return res.json({
+        success: true,
+        message: 'Enter the code from your authenticator app',
+        data: {
+          twoFactorRequired: true,
+          challengeToken: createLoginChallenge(user)
+        }
+      });
+    }
+
+    await recordLoginSuccess(email);
+
+    sendLoginResponse(req, res, user);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const loginTwoFactor = async (req, res, next) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!code && !recoveryCode) {
+      return res.status(400).json({
+        success: false,
+        message: 'Authentication code or recovery code is required'
+      });
+    }
+
+    // Throws a 401 once the challenge has expired
+    const user = db.getUserById(verifyLoginChallenge(challengeToken));
+    if (!user || !user.twoFactorEnabled) {
       return res.status(401).json({
         success: false,
-        message: 'Invalid email or password'
+        message: 'Login challenge has expired. Please log in again.'
       });
     }
 
-    // Generate token
-    const token = jwt.sign(
-      { id: user.id, email: user.email, role: user.role },
-      process.env.JWT_SECRET || 'default-development-secret-key-change-in-production',
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-    );
+    if (user.suspendedAt) {
+      return res.status(403).json({
+        success: false,
+        message: 'This account has been suspended.'
+      });
+    }
 
-    // Remove password from response
+    // Wrong codes count towards the same lockout as wrong passwords
+    const limit = await checkLogin(user.email, req.ip);
+    if (limit.blocked) {
+      return tooManyAttempts(res, limit);
+    }
+
+    if (!verifySecondFactor(user, { code, recoveryCode })) {
+      const failure = await recordLoginFailure(user.email, req.ip);
+      if (failure.locked) {
+        return tooManyAttempts(res, failure);
+      }
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code',
+        data: {
+          attemptsRemaining: failure.attemptsRemaining
+        }
+      });
+    }
+
+    await recordLoginSuccess(user.email);
+
+    sendLoginResponse(req, res, db.getUserById(user.id));
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const refresh = (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token is required'
+      });
+    }
+
+    // Rotates the refresh token; the one sent in is no longer valid afterwards
+    const tokens = refreshSession(refreshToken);
+
+    res.json({
+      success: true,
+      message: 'Token refreshed successfully',
+      data: tokens
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const logout = (req, res, next) => {
+  try {
+    // Identify the session by its refresh token, or by the access token if that is all we got
+    let sessionId = getRefreshTokenSessionId(req.body?.refreshToken);
+    const accessToken = req.headers.authorization?.split(' ')[1];
+    if (!sessionId && accessToken) {
+      try {
+        sessionId = verifyAccessToken(accessToken).sid;
+      } catch (error) {
+        // Already expired or revoked: nothing left to log out of
+      }
+    }
+
+    if (sessionId) {
+      revokeSession(sessionId, 'logout');
+    }
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const verifyEmail = (req, res, next) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification token is required'
+      });
+    }
+
+    const user = markEmailVerified(token);
     const { password: _, ...userResponse } = user;
 
     res.json({
       success: true,
-      message: 'Login successful',
+      message: 'Email verified successfully',
+      data: userResponse
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const resendVerification = async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is required'
+      });
+    }
+
+    const retryAfter = takeEmailRequest(req.ip);
+    if (retryAfter > 0) {
+      return tooManyEmailRequests(res, retryAfter);
+    }
+
+    // Same answer whether or not the account exists, so emails cannot be probed
+    const user = db.getUserByEmail(email);
+    if (user) {
+      await resendVerificationEmail(user);
+    }
+
+    res.json({
+      success: true,
+      message: 'If an unverified account exists for this email, a new verification link has been sent'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const forgotPassword = async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is required'
+      });
+    }
+
+    const retryAfter = takeEmailRequest(req.ip);
+    if (retryAfter > 0) {
+      return tooManyEmailRequests(res, retryAfter);
+    }
+
+    // Same answer whether or not the account exists, so emails cannot be probed
+    await requestPasswordReset(email);
+
+    res.json({
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const resetPassword = async (req, res, next) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset token is required'
+      });
+    }
+
+    // Every existing session is revoked; the user logs in again with the new password
+    await applyPasswordReset(token, password);
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully. Please log in with your new password.'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const changePassword = async (req, res, next) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    const user = await applyPasswordChange(db.getUserById(req.user.id), currentPassword, newPassword);
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    // All sessions, including this one, were revoked: hand out a fresh one
+    const { token, refreshToken } = startSession(user, req);
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully',
       data: {
-        user: userResponse,
-        token
+        token,
+        refreshToken
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getSessions = (req, res, next) => {
+  try {
+    // Flag the session this request was made with, so clients can mark "this device"
+    const sessions = listUserSessions(req.user.id).map(session => ({
+      ...session,
+      current: session.id === req.user.sid
+    }));
+
+    res.json({
+      success: true,
+      data: sessions
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const deleteSession = (req, res, next) => {
+  try {
+    const session = listUserSessions(req.user.id).find(s => s.id === req.params.id);
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    // Its access and refresh tokens stop working immediately
+    revokeSession(session.id, 'revoked-by-user');
+
+    res.json({
+      success: true,
+      message: session.id === req.user.sid ? 'Logged out successfully' : 'Session revoked successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const deleteOtherSessions = (req, res, next) => {
+  try {
+    const revoked = revokeOtherSessions(req.user.id, req.user.sid);
+
+    res.json({
+      success: true,
+      message: `Signed out of ${revoked} other session(s)`,
+      data: {
+        revoked
       }
     });
   } catch (error) {
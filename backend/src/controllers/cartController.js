@@ -1,27 +1,64 @@
 import db from '../config/database.js';
+import { BadRequestError, NotFoundError } from '../utils/errors.js';
+import { hasVariants, findVariant, getVariantPrice } from '../utils/variants.js';
+
+// The product (and variant, for products that have them) a cart line refers to
+const resolveCartLine = (productId, variantId) => {
+  const product = db.getProductById(productId);
+  if (!product) {
+    throw new NotFoundError('Product not found');
+  }
+
+  if (!hasVariants(product)) {
+    if (variantId) {
+      throw new BadRequestError(`${product.name} has no variants`);
+    }
+    return { product, variant: null };
+  }
+
+  if (!variantId) {
+    throw new BadRequestError(`Choose a variant of ${product.name}`);
+  }
+  const variant = findVariant(product, variantId);
+  if (!variant) {
+    throw new NotFoundError('Variant not found');
+  }
+  return { product, variant };
+};
 
 export const getCart = (req, res, next) => {
   try {
     const cartItems = db.getCartByUser(req.user.id);
     
-    // Enrich cart items with product details
-    const enrichedCart = cartItems.map(item => {
+    // Lines whose product (or variant) was deleted are left out; they stay stored,
+    // so they come back if the product is restored
+    const available = cartItems.filter(item => {
       const product = db.getProductById(item.productId);
+      return product && (!item.variantId || findVariant(product, item.variantId));
+    });
+
+    // Enrich cart items with product details; price and stock are the variant's
+    const enrichedCart = available.map(item => {
+      const product = db.getProductById(item.productId);
+      const variant = item.variantId ? findVariant(product, item.variantId) : null;
       return {
         ...item,
-        product: product ? {
+        product: {
           id: product.id,
           name: product.name,
-          price: product.price,
-          images: product.images,
-          stock: product.stock
+          price: getVariantPrice(product, variant),
+          images: variant?.images?.length ? variant.images : product.images,
+          stock: variant ? variant.stock : product.stock
+        },
+        variant: variant ? {
+          id: variant.id,
+          sku: variant.sku,
+          options: variant.options
         } : null
       };
     });
 
-    const subtotal = enrichedCart.reduce((sum, item) => {
-      return sum + (item.product ? item.product.price * item.quantity : 0);
-    }, 0);
+    const subtotal = enrichedCart.reduce((sum, item) => sum + item.product.price * item.quantity, 0);
 
     res.json({
       success: true,
@@ -38,23 +75,19 @@ export const getCart = (req, res, next) => {
 
 export const addToCart = (req, res, next) => {
   try {
-    const { productId, quantity = 1 } = req.body;
+    const { productId, variantId = null, quantity = 1 } = req.body;
 
-    // Check if product exists
-    const product = db.getProductById(productId);
-    if (!product) {
-      return res.status(404).json({
-        success: false,
-        message: 'Product not found'
-      });
-    }
+    // Check the product (and variant) exists
+    const { variant, product } = resolveCartLine(productId, variantId);
 
     // Check stock
     const cartItems = db.getCartByUser(req.user.id);
-    const existingItem = cartItems.find(item => item.productId === productId);
+    const existingItem = cartItems.find(item =>
+      item.productId === productId && (item.variantId || null) === (variantId || null)
+    );
     const currentQuantity = existingItem ? existingItem.quantity : 0;
     
-    if (product.stock < currentQuantity + quantity) {
+    if ((variant ? variant.stock : product.stock) < currentQuantity + parseInt(quantity)) {
       return res.status(400).json({
         success: false,
         message: 'Insufficient stock'
@@ -65,6 +98,7 @@ export const addToCart = (req, res, next) => {
       id: `cart-${Date.now()}`,
       userId: req.user.id,
       productId,
+      variantId: variant ? variant.id : null,
       quantity: parseInt(quantity),
       addedAt: new Date().toISOString()
     };
@@ -85,25 +119,21 @@ export const updateCartItem = (req, res, next) => {
   try {
     const { quantity } = req.body;
     const { productId } = req.params;
+    // Lines of products with variants are addressed by product and variant
+    const variantId = req.query.variantId || req.body.variantId || null;
 
-    // Check if product exists
-    const product = db.getProductById(productId);
-    if (!product) {
-      return res.status(404).json({
-        success: false,
-        message: 'Product not found'
-      });
-    }
+    // Check the product (and variant) exists
+    const { variant, product } = resolveCartLine(productId, variantId);
 
     // Check stock
-    if (product.stock < quantity) {
+    if ((variant ? variant.stock : product.stock) < quantity) {
       return res.status(400).json({
         success: false,
         message: 'Insufficient stock'
       });
     }
 
-    const updatedItem = db.updateCartItem(req.user.id, productId, parseInt(quantity));
+    const updatedItem = db.updateCartItem(req.user.id, productId, parseInt(quantity), variantId);
 
     if (!updatedItem) {
       return res.status(404).json({
@@ -125,8 +155,9 @@ export const updateCartItem = (req, res, next) => {
 export const removeFromCart = (req, res, next) => {
   try {
     const { productId } = req.params;
+    const variantId = req.query.variantId || null;
 
-    const removedItem = db.removeFromCart(req.user.id, productId);
+    const removedItem = db.removeFromCart(req.user.id, productId, variantId);
 
     if (!removedItem) {
       return res.status(404).json({
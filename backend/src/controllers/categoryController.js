@@ -1,4 +1,5 @@
 import db from '../config/database.js';
+import { getProductsInCategory, parseIncludeDescendants } from '../services/categoryTree.js';
 
 export const getCategories = (req, res, next) => {
   try {
@@ -24,10 +25,12 @@ export const getCategoryById = (req, res, next) => {
     }
 
     // Get subcategories
-    const subcategories = db.getCategories().filter(c => c.parentId === req.params.id);
+    const subcategories = db.getSubcategories(req.params.id);
 
-    // Get products in this category
-    const products = db.getProductsByCategory(req.params.id);
+    // Get products in this category and, unless includeDescendants=false, its subcategories
+    const products = getProductsInCategory(req.params.id, {
+      includeDescendants: parseIncludeDescendants(req.query.includeDescendants)
+    });
 
     res.json({
       success: true,
@@ -102,16 +105,24 @@ export const deleteCategory = (req, res, next) => {
       });
     }
 
-    // Check if category has products
-    const products = db.getProductsByCategory(req.params.id);
+    // Subcategories would be left pointing at a deleted parent
+    if (db.getSubcategories(req.params.id).length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot delete category with subcategories; delete or move them first'
+      });
+    }
+
+    // Check if category or any of its subcategories has products
+    const products = getProductsInCategory(req.params.id);
     if (products.length > 0) {
       return res.status(400).json({
         success: false,
-        message: 'Cannot delete category with existing products'
+        message: 'Cannot delete category with existing products (including in its subcategories)'
       });
     }
 
-    db.deleteCategory(req.params.id);
+    db.deleteCategory(req.params.id, req.user.id);
 
     res.json({
       success: true,
@@ -0,0 +1,50 @@
+import { LIMITER_TYPES, listLoginAttempts, clearLoginAttempts } from '../services/loginLimiter.js';
+
+export const getLockouts = async (req, res, next) => {
+  try {
+    const { type, lockedOnly } = req.query;
+
+    let entries = await listLoginAttempts();
+    if (type) {
+      entries = entries.filter(entry => entry.type === type);
+    }
+    if (lockedOnly === 'true') {
+      entries = entries.filter(entry => entry.locked);
+    }
+
+    res.json({
+      success: true,
+      data: entries
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const clearLockout = async (req, res, next) => {
+  try {
+    const { type, subject } = req.params;
+
+    if (!LIMITER_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid lockout type. Expected one of: ${LIMITER_TYPES.join(', ')}`
+      });
+    }
+
+    const cleared = await clearLoginAttempts(type, subject);
+    if (!cleared) {
+      return res.status(404).json({
+        success: false,
+        message: 'No failed login attempts recorded for this ' + (type === 'ip' ? 'IP' : 'account')
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Lockout cleared successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
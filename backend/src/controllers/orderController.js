@@ -1,20 +1,54 @@
 import db from '../config/database.js';
+import { BadRequestError, NotFoundError } from '../utils/errors.js';
+import { matchesIfMatch, setETag } from '../utils/etag.js';
+import { hasVariants, findVariant, getVariantPrice, describeVariant } from '../utils/variants.js';
+import { paginate, sortRecords } from '../utils/pagination.js';
+
+// Newest first; the id breaks ties
+const NEWEST_FIRST = [{ value: o => o.createdAt, direction: 'desc' }];
+// Sending any of these opts in to the paginated `{ orders, pagination }` response
+const PAGING_PARAMETERS = ['cursor', 'limit', 'page'];
+
+// Whether the seller sold any of the order's items
+const isSoldBy = (order, sellerId) => {
+  return (order.items || []).some(item => {
+    return db.getProductById(item.productId, { includeDeleted: true })?.sellerId === sellerId;
+  });
+};
 
 export const getOrders = (req, res, next) => {
   try {
     const user = db.getUserById(req.user.id);
     let orders;
 
-    // Admin can see all orders, users see only their own
+    // Admin can see all orders, a seller's API key the orders for their
+    // products, and everyone else their own purchases
     if (user.role === 'admin') {
       orders = db.getOrders();
+    } else if (req.user.apiKeyId) {
+      orders = db.getOrdersBySeller(req.user.id);
     } else {
       orders = db.getOrdersByUser(req.user.id);
     }
 
+    // Without paging parameters the response keeps its original shape, a plain
+    // array of every order, so existing clients keep working
+    if (!PAGING_PARAMETERS.some(parameter => req.query[parameter] !== undefined)) {
+      return res.json({
+        success: true,
+        data: sortRecords(orders, NEWEST_FIRST)
+      });
+    }
+
+    // Newest first, paged by ?cursor= or ?page=
+    const { items, pagination } = paginate(orders, { sort: NEWEST_FIRST, sortName: 'newest', query: req.query });
+
     res.json({
       success: true,
-      data: orders
+      data: {
+        orders: items,
+        pagination
+      }
     });
   } catch (error) {
     next(error);
@@ -32,15 +66,19 @@ export const getOrderById = (req, res, next) => {
       });
     }
 
-    // Check if user owns the order or is admin
+    // Buyers see their own orders and sellers the ones for their products;
+    // API keys only serve the seller side
     const user = db.getUserById(req.user.id);
-    if (order.userId !== req.user.id && user.role !== 'admin') {
+    const isBuyer = order.userId === req.user.id && !req.user.apiKeyId;
+    const isSeller = user.role === 'seller' && isSoldBy(order, req.user.id);
+    if (!isBuyer && !isSeller && user.role !== 'admin') {
       return res.status(403).json({
         success: false,
         message: 'You do not have permission to view this order'
       });
     }
 
+    setETag(res, order);
     res.json({
       success: true,
       data: order
@@ -54,6 +92,14 @@ export const createOrder = (req, res, next) => {
   try {
     const { items, shippingAddress, paymentMethod } = req.body;
 
+    // Only verified accounts can place orders
+    if (!db.getUserById(req.user.id).isVerified) {
+      return res.status(403).json({
+        success: false,
+        message: 'Please verify your email address before placing orders'
+      });
+    }
+
     if (!items || items.length === 0) {
       return res.status(400).json({
         success: false,
@@ -61,65 +107,94 @@ export const createOrder = (req, res, next) => {
       });
     }
 
-    // Calculate totals
-    let subtotal = 0;
-    const orderItems = [];
-
+    // Combine repeated lines (same product and variant) so stock is checked against the total quantity
+    const quantities = new Map();
     for (const item of items) {
-      const product = db.getProductById(item.productId);
-      if (!product) {
-        return res.status(404).json({
-          success: false,
-          message: `Product ${item.productId} not found`
-        });
-      }
-
-      if (product.stock < item.quantity) {
+      const quantity = Number(item.quantity);
+      if (!Number.isInteger(quantity) || quantity < 1) {
         return res.status(400).json({
           success: false,
-          message: `Insufficient stock for ${product.name}`
+          message: `Invalid quantity for product ${item.productId}`
         });
       }
+      const key = JSON.stringify([item.productId, item.variantId || null]);
+      quantities.set(key, (quantities.get(key) || 0) + quantity);
+    }
 
-      const itemTotal = product.price * item.quantity;
-      subtotal += itemTotal;
+    // Validate every line, then apply stock changes, order creation and cart
+    // clearing as one unit of work so a failure leaves nothing half-applied
+    const order = db.transaction(() => {
+      const orderItems = [...quantities].map(([key, quantity]) => {
+        const [productId, variantId] = JSON.parse(key);
+        const product = db.getProductById(productId);
+        if (!product) {
+          throw new NotFoundError(`Product ${productId} not found`);
+        }
 
-      orderItems.push({
-        productId: product.id,
-        quantity: item.quantity,
-        price: product.price,
-        name: product.name
+        if (!hasVariants(product)) {
+          if (variantId) {
+            throw new BadRequestError(`${product.name} has no variants`);
+          }
+          if (product.stock < quantity) {
+            throw new BadRequestError(`Insufficient stock for ${product.name}`);
+          }
+          return {
+            productId: product.id,
+            quantity,
+            price: product.price,
+            name: product.name
+          };
+        }
+
+        // Products with variants are ordered per variant, at the variant's price
+        const variant = findVariant(product, variantId);
+        if (!variant) {
+          throw new BadRequestError(variantId
+            ? `Variant ${variantId} of ${product.name} not found`
+            : `Choose a variant of ${product.name}`);
+        }
+        if (variant.stock < quantity) {
+          throw new BadRequestError(`Insufficient stock for ${product.name} (${describeVariant(variant)})`);
+        }
+        return {
+          productId: product.id,
+          variantId: variant.id,
+          sku: variant.sku,
+          options: variant.options,
+          quantity,
+          price: getVariantPrice(product, variant),
+          name: product.name
+        };
       });
 
-      // Update product stock
-      db.updateProduct(product.id, {
-        stock: product.stock - item.quantity
+      orderItems.forEach(item => db.adjustStock(item.productId, -item.quantity, item.variantId));
+
+      // Calculate totals
+      const subtotal = orderItems.reduce((sum, item) => sum + item.price * item.quantity, 0);
+      const tax = subtotal * 0.08; // 8% tax
+      const shipping = 15.99; // Fixed shipping
+      const total = subtotal + tax + shipping;
+
+      const newOrder = db.createOrder({
+        id: `order-${Date.now()}`,
+        userId: req.user.id,
+        items: orderItems,
+        subtotal: parseFloat(subtotal.toFixed(2)),
+        tax: parseFloat(tax.toFixed(2)),
+        shipping: parseFloat(shipping.toFixed(2)),
+        total: parseFloat(total.toFixed(2)),
+        status: 'pending',
+        shippingAddress: shippingAddress || db.getUserById(req.user.id)?.address,
+        paymentMethod: paymentMethod || 'credit_card',
+        paymentStatus: 'pending',
+        createdAt: new Date().toISOString()
       });
-    }
 
-    const tax = subtotal * 0.08; // 8% tax
-    const shipping = 15.99; // Fixed shipping
-    const total = subtotal + tax + shipping;
-
-    const order = {
-      id: `order-${Date.now()}`,
-      userId: req.user.id,
-      items: orderItems,
-      subtotal: parseFloat(subtotal.toFixed(2)),
-      tax: parseFloat(tax.toFixed(2)),
-      shipping: parseFloat(shipping.toFixed(2)),
-      total: parseFloat(total.toFixed(2)),
-      status: 'pending',
-      shippingAddress: shippingAddress || req.user.address,
-      paymentMethod: paymentMethod || 'credit_card',
-      paymentStatus: 'pending',
-      createdAt: new Date().toISOString()
-    };
-
-    db.createOrder(order);
-
-    // Clear user's cart
-    db.clearCart(req.user.id);
+      // Clear user's cart
+      db.clearCart(req.user.id);
+
+      return newOrder;
+    });
 
     res.status(201).json({
       success: true,
@@ -151,15 +226,25 @@ export const updateOrderStatus = (req, res, next) => {
       });
     }
 
-    // Only admin or seller can update order status
+    // Only admins, and sellers of the order's items, can update its status
     const user = db.getUserById(req.user.id);
-    if (user.role !== 'admin' && user.role !== 'seller') {
+    if (user.role !== 'admin' && !(user.role === 'seller' && isSoldBy(order, req.user.id))) {
       return res.status(403).json({
         success: false,
         message: 'You do not have permission to update order status'
       });
     }
 
+    // Reject status changes based on an outdated copy of the order
+    if (!matchesIfMatch(req, order)) {
+      setETag(res, order);
+      return res.status(412).json({
+        success: false,
+        message: 'This order was changed by someone else. Review the latest version and try again.',
+        data: order
+      });
+    }
+
     const updates = { status };
     if (status === 'shipped') {
       updates.shippedAt = new Date().toISOString();
@@ -171,6 +256,7 @@ export const updateOrderStatus = (req, res, next) => {
 
     const updatedOrder = db.updateOrder(req.params.id, updates);
 
+    setETag(res, updatedOrder);
     res.json({
       success: true,
       message: 'Order status updated successfully',
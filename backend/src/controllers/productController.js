@@ -1,74 +1,112 @@
 import db from '../config/database.js';
+import { matchesIfMatch, setETag } from '../utils/etag.js';
+import { hasVariants, normalizeVariants } from '../utils/variants.js';
+import { BadRequestError } from '../utils/errors.js';
+import { searchProducts, buildHighlights } from '../services/search.js';
+import { buildProductFilters, applyProductFilters, computeProductFacets } from '../services/productFilters.js';
+import { getProductsInCategory, parseIncludeDescendants } from '../services/categoryTree.js';
+import { paginate } from '../utils/pagination.js';
+
+// Sort specs for the product listing; the id breaks ties. Without a sort,
+// products are listed by id.
+const PRODUCT_SORTS = {
+  price_asc: [{ value: p => p.price }],
+  price_desc: [{ value: p => p.price, direction: 'desc' }],
+  rating: [{ value: p => p.rating, direction: 'desc' }],
+  newest: [{ value: p => p.createdAt, direction: 'desc' }],
+  name: [{ value: p => p.name }]
+};
+
+// Fields a seller may change on their own product
+const EDITABLE_FIELDS = [
+  'name',
+  'description',
+  'price',
+  'compareAtPrice',
+  'categoryId',
+  'images',
+  'stock',
+  'sku',
+  'tags',
+  'specifications',
+  'options',
+  'variants',
+  'status'
+];
 
 export const getProducts = (req, res, next) => {
   try {
-    const { category, seller, search, featured, minPrice, maxPrice, sort, page = 1, limit = 20 } = req.query;
-    
-    let products = db.getProducts();
-    // Filter by category
-    if (category) {
-      products = products.filter(p => p.categoryId === category);
-    }
-
-    // Filter by seller
-    if (seller) {
-      products = products.filter(p => p.sellerId === seller);
-    }
+    const { category, includeDescendants, seller, search, sort, facets } = req.query;
+    const withFacets = facets === 'true';
 
-    // Search by name or description
+    // Full-text search: remember each match's score and matched terms
+    let searchResults = null;
+    let searchTerms = null;
     if (search) {
-      const searchLower = search.toLowerCase();
-      products = products.filter(p => 
-        p.name.toLowerCase().includes(searchLower) ||
-        p.description.toLowerCase().includes(searchLower)
-      );
+      ({ results: searchResults, terms: searchTerms } = searchProducts(search));
     }
 
-    // Filter by featured
-    if (featured === 'true') {
-      products = products.filter(p => p.featured === true);
+    // Facets are counted over the whole catalog; otherwise start from the
+    // narrowest indexed lookup
+    let catalog;
+    if (withFacets) {
+      catalog = db.getProducts();
+    } else if (category) {
+      catalog = getProductsInCategory(category, { includeDescendants: parseIncludeDescendants(includeDescendants) });
+    } else if (seller) {
+      catalog = db.getProductsBySeller(seller);
+    } else {
+      catalog = db.getProducts();
     }
 
-    // Filter by price range
-    if (minPrice) {
-      products = products.filter(p => p.price >= parseFloat(minPrice));
-    }
-    if (maxPrice) {
-      products = products.filter(p => p.price <= parseFloat(maxPrice));
-    }
+    // Category, seller, search, featured, price, tags, stock and rating filters
+    const filters = buildProductFilters(req.query, searchResults);
+    const products = applyProductFilters(catalog, filters);
 
-    // Sort
-    if (sort === 'price_asc') {
-      products.sort((a, b) => a.price - b.price);
-    } else if (sort === 'price_desc') {
-      products.sort((a, b) => b.price - a.price);
-    } else if (sort === 'rating') {
-      products.sort((a, b) => b.rating - a.rating);
-    } else if (sort === 'newest') {
-      products.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    // Sort (search results default to best match first)
+    const sortBy = sort || (searchResults ? 'relevance' : 'default');
+    let sortSpec;
+    if (sortBy === 'relevance') {
+      if (!searchResults) {
+        throw new BadRequestError('sort=relevance needs a search');
+      }
+      sortSpec = [{ value: p => searchResults.get(p.id).score, direction: 'desc' }];
+    } else if (sortBy === 'default') {
+      sortSpec = [];
+    } else if (PRODUCT_SORTS[sortBy]) {
+      sortSpec = PRODUCT_SORTS[sortBy];
+    } else {
+      throw new BadRequestError(`Invalid sort. Expected one of: relevance, ${Object.keys(PRODUCT_SORTS).join(', ')}`);
     }
 
-    // Pagination
-    const startIndex = (parseInt(page) - 1) * parseInt(limit);
-    const endIndex = startIndex + parseInt(limit);
-    const paginatedProducts = products.slice(startIndex, endIndex);
+    // Page by ?cursor= or ?page=, at most 100 per page
+    const { items: paginatedProducts, pagination } = paginate(products, {
+      sort: sortSpec,
+      sortName: sortBy,
+      query: req.query
+    });
 
     // Transform products to include single image field for frontend compatibility
     const transformedProducts = paginatedProducts.map(p => ({
       ...p,
-      image: p.images?.[0] || p.image || 'https://via.placeholder.com/300'
+      image: p.images?.[0] || p.image || 'https://via.placeholder.com/300',
+      ...(searchResults && {
+        relevance: searchResults.get(p.id).score,
+        highlights: buildHighlights(p, searchResults.get(p.id).matchedTerms)
+      })
     }));
 
     res.json({
       success: true,
       data: {
         products: transformedProducts,
-        pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total: products.length,
-          pages: Math.ceil(products.length / parseInt(limit))
-        }
+        pagination,
+        ...(withFacets && {
+          facets: computeProductFacets(catalog, filters)
+        }),
+        ...(searchResults && {
+          search: { query: search, sort: sortBy, terms: searchTerms }
+        })
       }
     });
   } catch (error) {
@@ -97,6 +135,7 @@ export const getProductById = (req, res, next) => {
       reviews
     };
 
+    setETag(res, product);
     res.json({
       success: true,
       data: {
@@ -120,7 +159,9 @@ export const createProduct = (req, res, next) => {
       stock,
       sku,
       tags,
-      specifications
+      specifications,
+      options,
+      variants
     } = req.body;
 
     // Check if seller
@@ -132,6 +173,18 @@ export const createProduct = (req, res, next) => {
       });
     }
 
+    // Only verified accounts can publish products
+    if (!user.isVerified) {
+      return res.status(403).json({
+        success: false,
+        message: 'Please verify your email address before publishing products'
+      });
+    }
+
+    // Option axes and variants are validated together; their stock adds up to the product stock
+    const baseSku = sku || `SKU-${Date.now()}`;
+    const variantData = normalizeVariants({ options, variants }, { baseSku });
+
     const product = {
       id: `prod-${Date.now()}`,
       name,
@@ -142,24 +195,24 @@ export const createProduct = (req, res, next) => {
       categoryId,
       sellerId: req.user.id,
       images: images || [],
-      stock: parseInt(stock) || 0,
-      sku: sku || `SKU-${Date.now()}`,
+      stock: variantData.variants.length > 0 ? variantData.stock : parseInt(stock) || 0,
+      sku: baseSku,
       status: 'active',
       featured: false,
-      rating: 0,
-      reviewCount: 0,
       tags: tags || [],
       specifications: specifications || {},
+      options: variantData.options,
+      variants: variantData.variants,
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString()
     };
 
-    db.createProduct(product);
+    const createdProduct = db.createProduct(product);
 
     res.status(201).json({
       success: true,
       message: 'Product created successfully',
-      data: product
+      data: createdProduct
     });
   } catch (error) {
     next(error);
@@ -186,13 +239,55 @@ export const updateProduct = (req, res, next) => {
       });
     }
 
+    // Reject edits based on an outdated copy of the product
+    if (!matchesIfMatch(req, product)) {
+      setETag(res, product);
+      return res.status(412).json({
+        success: false,
+        message: 'This product was changed by someone else. Review the latest version and try again.',
+        data: product
+      });
+    }
+
+    // Only listing fields can be edited; ids, ownership, timestamps, deletion, rating
+    // aggregates and the version are managed by the server. Featuring is up to admins.
+    const editable = user.role === 'admin' ? [...EDITABLE_FIELDS, 'featured'] : EDITABLE_FIELDS;
+    const changes = Object.fromEntries(
+      Object.entries(req.body).filter(([field]) => editable.includes(field))
+    );
+
+    // Republishing a product needs a verified account, just like creating one
+    if (changes.status === 'active' && product.status !== 'active' && !user.isVerified) {
+      return res.status(403).json({
+        success: false,
+        message: 'Please verify your email address before publishing products'
+      });
+    }
     const updates = {
-      ...req.body,
+      ...changes,
       updatedAt: new Date().toISOString()
     };
 
+    // Replacing options or variants re-validates the whole set; ids of kept variants stay the same
+    if (changes.options !== undefined || changes.variants !== undefined) {
+      const variantData = normalizeVariants({
+        options: changes.options !== undefined ? changes.options : product.options,
+        variants: changes.variants !== undefined ? changes.variants : product.variants
+      }, { existing: product.variants || [], baseSku: changes.sku || product.sku });
+      Object.assign(updates, variantData);
+      if (variantData.variants.length === 0) {
+        updates.stock = changes.stock !== undefined ? parseInt(changes.stock) || 0 : product.stock;
+      }
+    } else if (changes.stock !== undefined && hasVariants(product)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This product has variants; update the stock of each variant instead'
+      });
+    }
+
     const updatedProduct = db.updateProduct(req.params.id, updates);
 
+    setETag(res, updatedProduct);
     res.json({
       success: true,
       message: 'Product updated successfully',
@@ -223,7 +318,7 @@ export const deleteProduct = (req, res, next) => {
       });
     }
 
-    db.deleteProduct(req.params.id);
+    db.deleteProduct(req.params.id, req.user.id);
 
     res.json({
       success: true,
@@ -0,0 +1,213 @@
+import db from '../config/database.js';
+import { paginate } from '../utils/pagination.js';
+
+// Newest first; the id breaks ties
+const NEWEST_FIRST = [{ value: r => r.createdAt, direction: 'desc' }];
+
+// A purchase is verified once an order containing the product was delivered
+const hasDeliveredOrder = (userId, productId) => {
+  return db.getOrdersByUser(userId).some(order =>
+    order.status === 'delivered' &&
+    order.items.some(item => item.productId === productId)
+  );
+};
+
+const parseRating = (rating) => {
+  const value = Number(rating);
+  return Number.isInteger(value) && value >= 1 && value <= 5 ? value : null;
+};
+
+export const getReviews = (req, res, next) => {
+  try {
+    const { productId, userId, rating, minRating } = req.query;
+
+    // Narrow with the indexed helpers before applying the remaining filters
+    let reviews;
+    if (productId) {
+      reviews = db.getReviewsByProduct(productId);
+      if (userId) {
+        reviews = reviews.filter(r => r.userId === userId);
+      }
+    } else if (userId) {
+      reviews = db.getReviewsByUser(userId);
+    } else {
+      reviews = db.getReviews();
+    }
+
+    // Filter by exact rating or minimum rating
+    if (rating) {
+      reviews = reviews.filter(r => r.rating === parseInt(rating));
+    }
+    if (minRating) {
+      reviews = reviews.filter(r => r.rating >= parseInt(minRating));
+    }
+
+    // Newest first, paged by ?cursor= or ?page=
+    const { items, pagination } = paginate(reviews, { sort: NEWEST_FIRST, sortName: 'newest', query: req.query });
+
+    res.json({
+      success: true,
+      data: {
+        reviews: items,
+        pagination
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getReviewById = (req, res, next) => {
+  try {
+    const review = db.getReviewById(req.params.id);
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: review
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const createReview = (req, res, next) => {
+  try {
+    const { productId, rating, title, comment } = req.body;
+
+    const product = db.getProductById(productId);
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const parsedRating = parseRating(rating);
+    if (!parsedRating) {
+      return res.status(400).json({
+        success: false,
+        message: 'Rating must be an integer between 1 and 5'
+      });
+    }
+
+    // One review per user per product
+    const existingReview = db.getReviewsByUser(req.user.id).find(r => r.productId === productId);
+    if (existingReview) {
+      return res.status(400).json({
+        success: false,
+        message: 'You have already reviewed this product'
+      });
+    }
+
+    const review = {
+      id: `review-${Date.now()}`,
+      productId,
+      userId: req.user.id,
+      rating: parsedRating,
+      title,
+      comment,
+      verifiedPurchase: hasDeliveredOrder(req.user.id, productId),
+      createdAt: new Date().toISOString()
+    };
+
+    db.createReview(review);
+
+    res.status(201).json({
+      success: true,
+      message: 'Review created successfully',
+      data: review
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const updateReview = (req, res, next) => {
+  try {
+    const review = db.getReviewById(req.params.id);
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    // Check if user wrote the review or is admin
+    const user = db.getUserById(req.user.id);
+    if (review.userId !== req.user.id && user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to update this review'
+      });
+    }
+
+    const { rating, title, comment } = req.body;
+    const updates = {};
+
+    if (rating !== undefined) {
+      const parsedRating = parseRating(rating);
+      if (!parsedRating) {
+        return res.status(400).json({
+          success: false,
+          message: 'Rating must be an integer between 1 and 5'
+        });
+      }
+      updates.rating = parsedRating;
+    }
+    if (title !== undefined) updates.title = title;
+    if (comment !== undefined) updates.comment = comment;
+
+    // Re-check the purchase so the badge follows the order status
+    updates.verifiedPurchase = hasDeliveredOrder(review.userId, review.productId);
+    updates.updatedAt = new Date().toISOString();
+
+    const updatedReview = db.updateReview(req.params.id, updates);
+
+    res.json({
+      success: true,
+      message: 'Review updated successfully',
+      data: updatedReview
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const deleteReview = (req, res, next) => {
+  try {
+    const review = db.getReviewById(req.params.id);
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    // Check if user wrote the review or is admin
+    const user = db.getUserById(req.user.id);
+    if (review.userId !== req.user.id && user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to delete this review'
+      });
+    }
+
+    db.deleteReview(req.params.id, req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Review deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,162 @@
+import { v4 as uuidv4 } from 'uuid';
+import db from '../config/database.js';
+
+// Buyers apply to become sellers; an admin approves or rejects the application
+
+const APPLICATION_STATUSES = ['pending', 'approved', 'rejected'];
+
+export const createSellerApplication = (req, res, next) => {
+  try {
+    const { businessName, description, website } = req.body;
+    const user = db.getUserById(req.user.id);
+
+    if (user.role !== 'buyer') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only buyers can apply to become sellers'
+      });
+    }
+
+    if (!user.isVerified) {
+      return res.status(403).json({
+        success: false,
+        message: 'Please verify your email address before applying to become a seller'
+      });
+    }
+
+    if (!businessName) {
+      return res.status(400).json({
+        success: false,
+        message: 'Business name is required'
+      });
+    }
+
+    // One open application at a time
+    const pending = db.getSellerApplicationsByUser(user.id).find(a => a.status === 'pending');
+    if (pending) {
+      return res.status(400).json({
+        success: false,
+        message: 'You already have a pending seller application'
+      });
+    }
+
+    const application = db.createSellerApplication({
+      id: uuidv4(),
+      userId: user.id,
+      businessName,
+      description: description || '',
+      website: website || null,
+      status: 'pending',
+      createdAt: new Date().toISOString(),
+      reviewedAt: null,
+      reviewedBy: null,
+      reviewNote: null
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Seller application submitted successfully',
+      data: application
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getMySellerApplications = (req, res, next) => {
+  try {
+    const applications = [...db.getSellerApplicationsByUser(req.user.id)]
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+    res.json({
+      success: true,
+      data: applications
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Admin: list applications, pending ones first by default
+export const getSellerApplications = (req, res, next) => {
+  try {
+    const { status = 'pending' } = req.query;
+
+    if (status !== 'all' && !APPLICATION_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid status. Expected all or one of: ${APPLICATION_STATUSES.join(', ')}`
+      });
+    }
+
+    const applications = db.getSellerApplications()
+      .filter(a => status === 'all' || a.status === status)
+      .map(application => {
+        const user = db.getUserById(application.userId);
+        return {
+          ...application,
+          user: user
+            ? { id: user.id, email: user.email, firstName: user.firstName, lastName: user.lastName }
+            : null
+        };
+      });
+
+    res.json({
+      success: true,
+      data: applications
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const reviewApplication = (decision) => (req, res, next) => {
+  try {
+    const application = db.getSellerApplicationById(req.params.id);
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Seller application not found'
+      });
+    }
+
+    if (application.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `This application was already ${application.status}`
+      });
+    }
+
+    const user = db.getUserById(application.userId);
+    if (!user) {
+      return res.status(409).json({
+        success: false,
+        message: 'The applicant account no longer exists'
+      });
+    }
+
+    const reviewed = db.transaction(() => {
+      if (decision === 'approved' && user.role === 'buyer') {
+        db.updateUser(user.id, { role: 'seller' });
+      }
+      return db.updateSellerApplication(application.id, {
+        status: decision,
+        reviewedAt: new Date().toISOString(),
+        reviewedBy: req.user.id,
+        reviewNote: req.body.note || null
+      });
+    });
+
+    res.json({
+      success: true,
+      message: `Seller application ${decision}`,
+      data: reviewed
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const approveSellerApplication = reviewApplication('approved');
+export const rejectSellerApplication = reviewApplication('rejected');
@@ -0,0 +1,125 @@
+import db, { SOFT_DELETE_COLLECTIONS } from '../config/database.js';
+import { getRetentionDays, purgeTrash } from '../jobs/purgeTrash.js';
+
+// A record can only come back if the records it belongs to are live
+const findRestoreBlocker = (type, record) => {
+  if (type === 'products' && !db.getCategoryById(record.categoryId)) {
+    return `Restore category ${record.categoryId} first`;
+  }
+  if (type === 'categories' && record.parentId && !db.getCategoryById(record.parentId)) {
+    return `Restore parent category ${record.parentId} first`;
+  }
+  if (type === 'reviews' && !db.getProductById(record.productId)) {
+    return `Restore product ${record.productId} first`;
+  }
+  if (type === 'reviews' && !db.getUserById(record.userId)) {
+    return `Restore user ${record.userId} first`;
+  }
+  if (type === 'reviews' && db.getReviewsByUser(record.userId).some(r => r.productId === record.productId)) {
+    return 'The user has already posted a new review for this product';
+  }
+  if (type === 'users' && db.getUserByEmail(record.email)) {
+    return `Another account already uses ${record.email}`;
+  }
+  return null;
+};
+
+const checkType = (type, res) => {
+  if (!SOFT_DELETE_COLLECTIONS.includes(type)) {
+    res.status(400).json({
+      success: false,
+      message: `Invalid trash type. Expected one of: ${SOFT_DELETE_COLLECTIONS.join(', ')}`
+    });
+    return false;
+  }
+  return true;
+};
+
+// Hide password hashes of deleted users
+const toTrashEntry = (type, record) => {
+  if (type !== 'users') return record;
+  const { password: _, ...rest } = record;
+  return rest;
+};
+
+export const getTrash = (req, res, next) => {
+  try {
+    const { type } = req.query;
+    if (type && !checkType(type, res)) return;
+
+    const types = type ? [type] : SOFT_DELETE_COLLECTIONS;
+    const trash = Object.fromEntries(types.map(t => [
+      t,
+      db.getDeleted(t)
+        .map(record => toTrashEntry(t, record))
+        .sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt))
+    ]));
+
+    res.json({
+      success: true,
+      data: {
+        retentionDays: getRetentionDays(),
+        trash
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const restoreFromTrash = (req, res, next) => {
+  try {
+    const { type, id } = req.params;
+    if (!checkType(type, res)) return;
+
+    const record = db.getDeleted(type).find(r => r.id === id);
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        message: 'Deleted record not found'
+      });
+    }
+
+    const blocker = findRestoreBlocker(type, record);
+    if (blocker) {
+      return res.status(409).json({
+        success: false,
+        message: blocker
+      });
+    }
+
+    const restored = db.restore(type, id);
+
+    res.json({
+      success: true,
+      message: 'Record restored successfully',
+      data: toTrashEntry(type, restored)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const purgeTrashNow = (req, res, next) => {
+  try {
+    const { retentionDays } = req.query;
+    const days = retentionDays !== undefined ? parseFloat(retentionDays) : getRetentionDays();
+
+    if (!Number.isFinite(days) || days < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'retentionDays must be a non-negative number'
+      });
+    }
+
+    const result = purgeTrash({ retentionDays: days });
+
+    res.json({
+      success: true,
+      message: 'Trash purged successfully',
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
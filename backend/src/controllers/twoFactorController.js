@@ -0,0 +1,170 @@
+import db from '../config/database.js';
+import {
+  TWO_FACTOR_ROLES,
+  getTwoFactorStatus,
+  beginEnrollment,
+  completeEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  removeTwoFactor,
+  isTwoFactorRequired,
+  getRequiredRoles,
+  setRequiredRoles
+} from '../services/twoFactor.js';
+
+// Two-factor enrollment for the signed-in user, and the admin enforcement setting
+
+export const getTwoFactor = (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: getTwoFactorStatus(db.getUserById(req.user.id))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const setupTwoFactor = (req, res, next) => {
+  try {
+    // The secret is shown once; it only becomes active after verifyTwoFactor
+    const enrollment = beginEnrollment(db.getUserById(req.user.id));
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: enrollment
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const verifyTwoFactor = (req, res, next) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Authentication code is required'
+      });
+    }
+
+    const recoveryCodes = completeEnrollment(db.getUserById(req.user.id), code);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      data: {
+        recoveryCodes
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const regenerateTwoFactorRecoveryCodes = (req, res, next) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Authentication code is required'
+      });
+    }
+
+    // Earlier recovery codes stop working
+    const recoveryCodes = regenerateRecoveryCodes(db.getUserById(req.user.id), code);
+
+    res.json({
+      success: true,
+      message: 'Recovery codes regenerated successfully',
+      data: {
+        recoveryCodes
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const disableTwoFactor = (req, res, next) => {
+  try {
+    const { code, recoveryCode } = req.body;
+    const user = db.getUserById(req.user.id);
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (isTwoFactorRequired(user)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is required for your role and cannot be disabled'
+      });
+    }
+
+    if (!verifySecondFactor(user, { code, recoveryCode })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    removeTwoFactor(user.id);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getTwoFactorSettings = (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        availableRoles: TWO_FACTOR_ROLES,
+        requiredRoles: getRequiredRoles()
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const updateTwoFactorSettings = (req, res, next) => {
+  try {
+    const { requiredRoles } = req.body;
+
+    if (!Array.isArray(requiredRoles) || requiredRoles.some(role => !TWO_FACTOR_ROLES.includes(role))) {
+      return res.status(400).json({
+        success: false,
+        message: `requiredRoles must be a list of: ${TWO_FACTOR_ROLES.join(', ')}`
+      });
+    }
+
+    // Users of these roles without 2FA are sent to setup on their next request
+    setRequiredRoles([...new Set(requiredRoles)]);
+
+    res.json({
+      success: true,
+      message: 'Two-factor settings updated successfully',
+      data: {
+        availableRoles: TWO_FACTOR_ROLES,
+        requiredRoles: getRequiredRoles()
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
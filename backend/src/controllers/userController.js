@@ -0,0 +1,245 @@
+import db from '../config/database.js';
+import { revokeUserSessions } from '../services/sessions.js';
+import { removeTwoFactor } from '../services/twoFactor.js';
+import { paginate } from '../utils/pagination.js';
+
+// Admin user management
+
+const ROLES = ['buyer', 'seller', 'admin'];
+const STATUSES = ['active', 'suspended', 'unverified'];
+
+const toUserResponse = (user) => {
+  const { password: _, ...userResponse } = user;
+  return userResponse;
+};
+
+const matchesStatus = (user, status) => {
+  if (status === 'suspended') return Boolean(user.suspendedAt);
+  if (status === 'unverified') return !user.isVerified;
+  return !user.suspendedAt;
+};
+
+// Load the target user, refusing admins acting on their own account
+const findTargetUser = (req, res, action) => {
+  const user = db.getUserById(req.params.id);
+  if (!user) {
+    res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+    return null;
+  }
+  if (action && user.id === req.user.id) {
+    res.status(400).json({
+      success: false,
+      message: `You cannot ${action} your own account`
+    });
+    return null;
+  }
+  return user;
+};
+
+export const getUsers = (req, res, next) => {
+  try {
+    const { search, role, status } = req.query;
+
+    // Repeated parameters (?role=a&role=b) arrive as arrays
+    const repeated = Object.entries({ search, role, status })
+      .find(([, value]) => value !== undefined && typeof value !== 'string');
+    if (repeated) {
+      return res.status(400).json({
+        success: false,
+        message: `${repeated[0]} must be given once`
+      });
+    }
+
+    if (role && !ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid role. Expected one of: ${ROLES.join(', ')}`
+      });
+    }
+    if (status && !STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid status. Expected one of: ${STATUSES.join(', ')}`
+      });
+    }
+
+    let users = db.getUsers();
+
+    // Search by email or name
+    if (search) {
+      const searchLower = search.toLowerCase();
+      users = users.filter(u =>
+        u.email.toLowerCase().includes(searchLower) ||
+        `${u.firstName || ''} ${u.lastName || ''}`.toLowerCase().includes(searchLower)
+      );
+    }
+    if (role) {
+      users = users.filter(u => u.role === role);
+    }
+    if (status) {
+      users = users.filter(u => matchesStatus(u, status));
+    }
+
+    // Newest accounts first, paged by ?cursor= or ?page=
+    const { items, pagination } = paginate(users, {
+      sort: [{ value: u => u.createdAt, direction: 'desc' }],
+      sortName: 'newest',
+      query: req.query
+    });
+
+    res.json({
+      success: true,
+      data: {
+        users: items.map(toUserResponse),
+        pagination
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getUserById = (req, res, next) => {
+  try {
+    const user = findTargetUser(req, res);
+    if (!user) return;
+
+    res.json({
+      success: true,
+      data: toUserResponse(user)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const updateUserRole = (req, res, next) => {
+  try {
+    const { role } = req.body;
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid role. Expected one of: ${ROLES.join(', ')}`
+      });
+    }
+
+    const user = findTargetUser(req, res, 'change the role of');
+    if (!user) return;
+
+    const updatedUser = db.updateUser(user.id, { role });
+
+    res.json({
+      success: true,
+      message: 'User role updated successfully',
+      data: toUserResponse(updatedUser)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const suspendUser = (req, res, next) => {
+  try {
+    const user = findTargetUser(req, res, 'suspend');
+    if (!user) return;
+
+    if (user.suspendedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is already suspended'
+      });
+    }
+
+    const updatedUser = db.updateUser(user.id, {
+      suspendedAt: new Date().toISOString(),
+      suspendedBy: req.user.id,
+      suspensionReason: req.body.reason || null
+    });
+    // Sign the user out everywhere; authenticate rejects any access token left
+    revokeUserSessions(user.id, 'user-suspended');
+
+    res.json({
+      success: true,
+      message: 'User suspended successfully',
+      data: toUserResponse(updatedUser)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const unsuspendUser = (req, res, next) => {
+  try {
+    const user = findTargetUser(req, res);
+    if (!user) return;
+
+    if (!user.suspendedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is not suspended'
+      });
+    }
+
+    const updatedUser = db.updateUser(user.id, {
+      suspendedAt: null,
+      suspendedBy: null,
+      suspensionReason: null
+    });
+
+    res.json({
+      success: true,
+      message: 'User unsuspended successfully',
+      data: toUserResponse(updatedUser)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const deleteUser = (req, res, next) => {
+  try {
+    const user = findTargetUser(req, res, 'delete');
+    if (!user) return;
+
+    // Soft delete: the account can be restored from the trash until it is purged
+    db.deleteUser(user.id, req.user.id);
+    revokeUserSessions(user.id, 'user-deleted');
+
+    res.json({
+      success: true,
+      message: 'User deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const resetUserTwoFactor = (req, res, next) => {
+  try {
+    const user = findTargetUser(req, res, 'reset two-factor authentication for');
+    if (!user) return;
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled for this user'
+      });
+    }
+
+    // For users who lost their authenticator and recovery codes; they enroll again on next login
+    removeTwoFactor(user.id);
+    revokeUserSessions(user.id, 'two-factor-reset');
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication reset successfully',
+      data: toUserResponse(db.getUserById(user.id))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
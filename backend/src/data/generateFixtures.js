@@ -0,0 +1,248 @@
+import bcrypt from 'bcryptjs';
+
+// Deterministic synthetic data for load testing and demos
+// The same options (including `seed`) always produce the same fixture set.
+
+// Fixed salt so generated password hashes are reproducible too
+const FIXTURE_SALT = '$2a$10$fixturesaltfixturesalt';
+const BASE_DATE = Date.UTC(2024, 0, 1);
+const DAY = 24 * 60 * 60 * 1000;
+
+const CATEGORY_TREE = [
+  { name: 'Electronics', children: ['Smartphones', 'Laptops', 'Audio', 'Cameras'] },
+  { name: 'Clothing', children: ['Shoes', 'Jackets', 'Accessories'] },
+  { name: 'Home & Garden', children: ['Kitchen', 'Furniture', 'Garden Tools'] },
+  { name: 'Books', children: ['Fiction', 'Non-Fiction', 'Comics'] },
+  { name: 'Sports & Outdoors', children: ['Fitness', 'Camping', 'Cycling'] }
+];
+
+const FIRST_NAMES = ['John', 'Jane', 'Bob', 'Alice', 'Carlos', 'Mei', 'Fatima', 'Liam', 'Noah', 'Priya', 'Olga', 'Kenji'];
+const LAST_NAMES = ['Doe', 'Smith', 'Wilson', 'Brown', 'Garcia', 'Chen', 'Khan', 'Murphy', 'Silva', 'Patel', 'Ivanova', 'Sato'];
+const CITIES = [
+  { city: 'New York', state: 'NY', zipCode: '10001' },
+  { city: 'Los Angeles', state: 'CA', zipCode: '90001' },
+  { city: 'Chicago', state: 'IL', zipCode: '60601' },
+  { city: 'Houston', state: 'TX', zipCode: '77001' },
+  { city: 'Seattle', state: 'WA', zipCode: '98101' }
+];
+const ADJECTIVES = ['Premium', 'Classic', 'Ultra', 'Compact', 'Deluxe', 'Eco', 'Pro', 'Smart', 'Vintage', 'Wireless'];
+const ORDER_STATUSES = ['pending', 'processing', 'shipped', 'delivered', 'delivered', 'delivered', 'cancelled'];
+const PAYMENT_METHODS = ['credit_card', 'paypal', 'bank_transfer'];
+const REVIEW_TITLES = ['Great value', 'Not bad', 'Exceeded expectations', 'Would buy again', 'Disappointed', 'Solid choice'];
+
+// mulberry32: small, fast, seedable PRNG
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  return {
+    next,
+    int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+    pick: (items) => items[Math.floor(next() * items.length)],
+    chance: (probability) => next() < probability
+  };
+};
+
+const slugify = (name) => name.toLowerCase().replace(/\s+/g, '-').replace(/[^a-z0-9-]/g, '');
+const dateAfter = (start, random, maxDays) => new Date(start + random.int(0, maxDays) * DAY).toISOString();
+
+const generateCategories = () => {
+  const categories = [];
+  CATEGORY_TREE.forEach(root => {
+    const parentId = `cat-${categories.length + 1}`;
+    categories.push({
+      id: parentId,
+      name: root.name,
+      slug: slugify(root.name),
+      description: `${root.name} products`,
+      image: `https://placehold.co/300x200/3b82f6/white?text=${encodeURIComponent(root.name)}`,
+      parentId: null,
+      createdAt: new Date(BASE_DATE).toISOString()
+    });
+    root.children.forEach(name => {
+      categories.push({
+        id: `cat-${categories.length + 1}`,
+        name,
+        slug: slugify(name),
+        description: `${name} in ${root.name}`,
+        image: `https://placehold.co/300x200/3b82f6/white?text=${encodeURIComponent(name)}`,
+        parentId,
+        createdAt: new Date(BASE_DATE).toISOString()
+      });
+    });
+  });
+  return categories;
+};
+
+const generateUsers = (count, random) => {
+  const password = bcrypt.hashSync('password123', FIXTURE_SALT);
+  const sellerCount = Math.max(1, Math.round(count * 0.1));
+
+  return Array.from({ length: count }, (_, index) => {
+    const firstName = random.pick(FIRST_NAMES);
+    const lastName = random.pick(LAST_NAMES);
+    // First user is the admin, the next ~10% are sellers, the rest buyers
+    const role = index === 0 ? 'admin' : index <= sellerCount ? 'seller' : 'buyer';
+    const location = random.pick(CITIES);
+
+    return {
+      id: `user-${index + 1}`,
+      email: `${firstName}.${lastName}.${index + 1}@example.com`.toLowerCase(),
+      password,
+      firstName,
+      lastName,
+      role,
+      phone: `+1555${String(index + 1).padStart(7, '0')}`,
+      address: {
+        street: `${random.int(1, 9999)} Main St`,
+        ...location,
+        country: 'USA'
+      },
+      createdAt: dateAfter(BASE_DATE, random, 60),
+      isVerified: random.chance(0.8)
+    };
+  });
+};
+
+const generateProducts = (count, random, categories, sellers) => {
+  // Products are listed in leaf categories only
+  const leaves = categories.filter(c => !categories.some(child => child.parentId === c.id));
+
+  return Array.from({ length: count }, (_, index) => {
+    const category = random.pick(leaves);
+    const name = `${random.pick(ADJECTIVES)} ${category.name.replace(/s$/, '')} ${index + 1}`;
+    const price = random.int(5, 2500) + 0.99;
+    const createdAt = dateAfter(BASE_DATE + 30 * DAY, random, 120);
+
+    return {
+      id: `prod-${index + 1}`,
+      name,
+      slug: slugify(name),
+      description: `${name} from our ${category.name.toLowerCase()} range`,
+      price,
+      compareAtPrice: random.chance(0.5) ? parseFloat((price * 1.2).toFixed(2)) : null,
+      categoryId: category.id,
+      sellerId: random.pick(sellers).id,
+      images: [`https://placehold.co/800x600/3b82f6/white?text=${encodeURIComponent(name)}`],
+      stock: random.int(0, 500),
+      sku: `GEN-${String(index + 1).padStart(6, '0')}`,
+      status: 'active',
+      featured: random.chance(0.1),
+      tags: [slugify(category.name)],
+      specifications: {},
+      createdAt,
+      updatedAt: createdAt
+    };
+  });
+};
+
+const generateOrders = (count, random, buyers, products) => {
+  return Array.from({ length: count }, (_, index) => {
+    const buyer = random.pick(buyers);
+    const lineCount = random.int(1, 4);
+    const items = [];
+    for (let i = 0; i < lineCount; i++) {
+      const product = random.pick(products);
+      if (items.some(item => item.productId === product.id)) continue;
+      items.push({ productId: product.id, quantity: random.int(1, 3), price: product.price, name: product.name });
+    }
+
+    const subtotal = items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+    const tax = subtotal * 0.08;
+    const shipping = 15.99;
+    const status = random.pick(ORDER_STATUSES);
+    const createdAt = dateAfter(BASE_DATE + 60 * DAY, random, 240);
+    const order = {
+      id: `order-${index + 1}`,
+      userId: buyer.id,
+      items,
+      subtotal: parseFloat(subtotal.toFixed(2)),
+      tax: parseFloat(tax.toFixed(2)),
+      shipping,
+      total: parseFloat((subtotal + tax + shipping).toFixed(2)),
+      status,
+      shippingAddress: buyer.address,
+      paymentMethod: random.pick(PAYMENT_METHODS),
+      paymentStatus: status === 'delivered' || status === 'shipped' ? 'paid' : 'pending',
+      createdAt
+    };
+
+    if (status === 'shipped' || status === 'delivered') {
+      order.shippedAt = dateAfter(Date.parse(createdAt), random, 3);
+    }
+    if (status === 'delivered') {
+      order.deliveredAt = dateAfter(Date.parse(order.shippedAt), random, 7);
+    }
+    return order;
+  });
+};
+
+// Buyers review some of the products they received, plus a few they did not buy
+const generateReviews = (random, buyers, products, orders) => {
+  const reviews = [];
+  const reviewed = new Set();
+
+  const addReview = (userId, product, verifiedPurchase, after) => {
+    const key = `${userId}:${product.id}`;
+    if (reviewed.has(key)) return;
+    reviewed.add(key);
+    reviews.push({
+      id: `review-${reviews.length + 1}`,
+      productId: product.id,
+      userId,
+      rating: random.int(1, 5),
+      title: random.pick(REVIEW_TITLES),
+      comment: `Review of ${product.name}.`,
+      verifiedPurchase,
+      createdAt: dateAfter(after, random, 30)
+    });
+  };
+
+  const productsById = new Map(products.map(p => [p.id, p]));
+  orders
+    .filter(order => order.status === 'delivered')
+    .forEach(order => {
+      order.items.forEach(item => {
+        if (random.chance(0.4)) {
+          addReview(order.userId, productsById.get(item.productId), true, Date.parse(order.deliveredAt));
+        }
+      });
+    });
+
+  const unverifiedCount = Math.floor(orders.length * 0.1);
+  for (let i = 0; i < unverifiedCount; i++) {
+    addReview(random.pick(buyers).id, random.pick(products), false, BASE_DATE + 90 * DAY);
+  }
+
+  return reviews;
+};
+
+export const generateFixtures = ({ products = 100, users = 50, orders = 200, seed = 42 } = {}) => {
+  const random = createRandom(seed);
+
+  const categories = generateCategories();
+  const generatedUsers = generateUsers(Math.max(users, 3), random);
+  const sellers = generatedUsers.filter(u => u.role === 'seller');
+  const buyers = generatedUsers.filter(u => u.role === 'buyer');
+  const generatedProducts = generateProducts(products, random, categories, sellers);
+  const generatedOrders = generatedProducts.length > 0
+    ? generateOrders(orders, random, buyers, generatedProducts)
+    : [];
+  const reviews = generatedProducts.length > 0
+    ? generateReviews(random, buyers, generatedProducts, generatedOrders)
+    : [];
+
+  return {
+    users: generatedUsers,
+    categories,
+    products: generatedProducts,
+    orders: generatedOrders,
+    reviews
+  };
+};
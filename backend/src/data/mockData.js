@@ -188,8 +188,6 @@ const generateProducts = () => {
       sku: 'IPH15PRO-001',
       status: 'active',
       featured: true,
-      rating: 4.8,
-      reviewCount: 234,
       tags: ['smartphone', 'apple', 'premium'],
       specifications: {
         storage: '256GB',
@@ -217,8 +215,6 @@ const generateProducts = () => {
       sku: 'MBP16-001',
       status: 'active',
       featured: true,
-      rating: 4.9,
-      reviewCount: 156,
       tags: ['laptop', 'apple', 'professional'],
       specifications: {
         storage: '1TB SSD',
@@ -241,18 +237,101 @@ const generateProducts = () => {
       images: [
         'https://placehold.co/800x600/3b82f6/white?text=Nike+Air+Max+90'
       ],
+      // Stock is the sum of the variant stock
       stock: 100,
       sku: 'NIKE-AM90-001',
       status: 'active',
       featured: false,
-      rating: 4.5,
-      reviewCount: 89,
       tags: ['shoes', 'nike', 'sports'],
       specifications: {
-        size: 'Available in sizes 7-13',
-        color: 'White/Black',
         material: 'Leather and Mesh'
       },
+      options: [
+        { name: 'size', values: ['8', '9', '10', '11', '12'] },
+        { name: 'color', values: ['White/Black', 'Triple Black'] }
+      ],
+      variants: [
+        {
+          id: 'var-3-wb-8',
+          sku: 'NIKE-AM90-WB-8',
+          options: { size: '8', color: 'White/Black' },
+          price: null,
+          stock: 0,
+          images: []
+        },
+        {
+          id: 'var-3-wb-9',
+          sku: 'NIKE-AM90-WB-9',
+          options: { size: '9', color: 'White/Black' },
+          price: null,
+          stock: 14,
+          images: []
+        },
+        {
+          id: 'var-3-wb-10',
+          sku: 'NIKE-AM90-WB-10',
+          options: { size: '10', color: 'White/Black' },
+          price: null,
+          stock: 14,
+          images: []
+        },
+        {
+          id: 'var-3-wb-11',
+          sku: 'NIKE-AM90-WB-11',
+          options: { size: '11', color: 'White/Black' },
+          price: null,
+          stock: 14,
+          images: []
+        },
+        {
+          id: 'var-3-wb-12',
+          sku: 'NIKE-AM90-WB-12',
+          options: { size: '12', color: 'White/Black' },
+          price: null,
+          stock: 14,
+          images: []
+        },
+        {
+          id: 'var-3-bk-8',
+          sku: 'NIKE-AM90-BK-8',
+          options: { size: '8', color: 'Triple Black' },
+          price: 124.99,
+          stock: 11,
+          images: []
+        },
+        {
+          id: 'var-3-bk-9',
+          sku: 'NIKE-AM90-BK-9',
+          options: { size: '9', color: 'Triple Black' },
+          price: 124.99,
+          stock: 11,
+          images: []
+        },
+        {
+          id: 'var-3-bk-10',
+          sku: 'NIKE-AM90-BK-10',
+          options: { size: '10', color: 'Triple Black' },
+          price: 124.99,
+          stock: 11,
+          images: []
+        },
+        {
+          id: 'var-3-bk-11',
+          sku: 'NIKE-AM90-BK-11',
+          options: { size: '11', color: 'Triple Black' },
+          price: 124.99,
+          stock: 11,
+          images: []
+        },
+        {
+          id: 'var-3-bk-12',
+          sku: 'NIKE-AM90-BK-12',
+          options: { size: '12', color: 'Triple Black' },
+          price: 124.99,
+          stock: 0,
+          images: []
+        }
+      ],
       createdAt: new Date('2024-02-05').toISOString(),
       updatedAt: new Date('2024-02-05').toISOString()
     },
@@ -273,8 +352,6 @@ const generateProducts = () => {
       sku: 'SGS24U-001',
       status: 'active',
       featured: true,
-      rating: 4.7,
-      reviewCount: 198,
       tags: ['smartphone', 'samsung', 'android'],
       specifications: {
         storage: '512GB',
@@ -301,8 +378,6 @@ const generateProducts = () => {
       sku: 'BOOK-GG-001',
       status: 'active',
       featured: false,
-      rating: 4.6,
-      reviewCount: 342,
       tags: ['book', 'fiction', 'classic'],
       specifications: {
         pages: 180,
@@ -329,8 +404,6 @@ const generateProducts = () => {
       sku: 'YOGA-MAT-001',
       status: 'active',
       featured: false,
-      rating: 4.4,
-      reviewCount: 67,
       tags: ['yoga', 'fitness', 'exercise'],
       specifications: {
         dimensions: '72" x 24" x 0.25"',
@@ -358,8 +431,6 @@ const generateProducts = () => {
       sku: 'COFFEE-001',
       status: 'active',
       featured: false,
-      rating: 4.3,
-      reviewCount: 123,
       tags: ['kitchen', 'appliance', 'coffee'],
       specifications: {
         capacity: '12 cups',
@@ -386,8 +457,6 @@ const generateProducts = () => {
       sku: 'HEADPHONES-001',
       status: 'active',
       featured: true,
-      rating: 4.7,
-      reviewCount: 278,
       tags: ['audio', 'headphones', 'wireless'],
       specifications: {
         battery: '30 hours',
@@ -444,6 +513,9 @@ const generateOrders = () => {
       items: [
         {
           productId: 'prod-3',
+          variantId: 'var-3-wb-10',
+          sku: 'NIKE-AM90-WB-10',
+          options: { size: '10', color: 'White/Black' },
           quantity: 2,
           price: 119.99,
           name: 'Nike Air Max 90'
@@ -0,0 +1,131 @@
+import bcrypt from 'bcryptjs';
+import { mockData } from './mockData.js';
+
+const BCRYPT_HASH = /^\$2[aby]\$\d{2}\$/;
+
+/**
+ * Check a fixture set for shape and referential integrity.
+ * References may also resolve against `existing` (records already in the store
+ * when merging). Returns a list of human readable problems; an empty list
+ * means it can be loaded.
+ */
+export const validateFixture = (data, existing = {}) => {
+  const errors = [];
+
+  if (!data || typeof data !== 'object') {
+    return ['Fixture must be a JSON object'];
+  }
+
+  // Every collection given, not just the fixture ones, must be a list of records
+  Object.keys(data).forEach(collection => {
+    if (data[collection] === undefined) return;
+    if (!Array.isArray(data[collection])) {
+      errors.push(`${collection} must be an array`);
+      return;
+    }
+
+    const ids = new Set();
+    data[collection].forEach((record, index) => {
+      if (!record || typeof record !== 'object' || Array.isArray(record)) {
+        errors.push(`${collection}[${index}] must be an object`);
+      } else if (typeof record.id !== 'string' || !record.id) {
+        errors.push(`${collection}[${index}] is missing an id`);
+      } else if (ids.has(record.id)) {
+        errors.push(`${collection}[${index}] duplicates id ${record.id}`);
+      }
+      ids.add(record?.id);
+    });
+  });
+
+  if (errors.length > 0) return errors;
+
+  // Incoming records take precedence over existing ones with the same id
+  const byId = (collection) => new Map(
+    [...(existing[collection] || []), ...(data[collection] || [])].map(r => [r.id, r])
+  );
+  const users = byId('users');
+  const categories = byId('categories');
+  const products = byId('products');
+
+  // Emails are unique across all accounts, deleted ones included
+  const emails = new Map();
+  users.forEach(user => {
+    if (typeof user.email !== 'string' || !user.email) {
+      errors.push(`User ${user.id} is missing an email`);
+    } else if (emails.has(user.email)) {
+      errors.push(`User ${user.id} has the same email as ${emails.get(user.email)}`);
+    } else {
+      emails.set(user.email, user.id);
+    }
+  });
+
+  (data.categories || []).forEach(category => {
+    if (category.parentId && !categories.has(category.parentId)) {
+      errors.push(`Category ${category.id} references missing parent ${category.parentId}`);
+    }
+  });
+
+  (data.products || []).forEach(product => {
+    if (!categories.has(product.categoryId)) {
+      errors.push(`Product ${product.id} references missing category ${product.categoryId}`);
+    }
+    const seller = users.get(product.sellerId);
+    if (!seller) {
+      errors.push(`Product ${product.id} references missing seller ${product.sellerId}`);
+    } else if (seller.role !== 'seller' && seller.role !== 'admin') {
+      errors.push(`Product ${product.id} is sold by ${seller.id}, who is not a seller`);
+    }
+  });
+
+  // Variant references must name a variant of the product
+  const hasVariant = (productId, variantId) => {
+    return (products.get(productId)?.variants || []).some(variant => variant.id === variantId);
+  };
+
+  (data.orders || []).forEach(order => {
+    if (!users.has(order.userId)) {
+      errors.push(`Order ${order.id} references missing user ${order.userId}`);
+    }
+    (order.items || []).forEach(item => {
+      if (!products.has(item.productId)) {
+        errors.push(`Order ${order.id} references missing product ${item.productId}`);
+      } else if (item.variantId && !hasVariant(item.productId, item.variantId)) {
+        errors.push(`Order ${order.id} references missing variant ${item.variantId}`);
+      }
+    });
+  });
+
+  [...(data.reviews || []), ...(data.cart || [])].forEach(record => {
+    if (!users.has(record.userId)) {
+      errors.push(`${record.id} references missing user ${record.userId}`);
+    }
+    if (!products.has(record.productId)) {
+      errors.push(`${record.id} references missing product ${record.productId}`);
+    } else if (record.variantId && !hasVariant(record.productId, record.variantId)) {
+      errors.push(`${record.id} references missing variant ${record.variantId}`);
+    }
+  });
+
+  return errors;
+};
+
+// Hash plain-text fixture passwords; bcrypt hashes are stored as they are
+const preparePassword = (password) => {
+  if (!password || BCRYPT_HASH.test(password)) return password;
+  return bcrypt.hashSync(password, 10);
+};
+
+// Replace the contents of the store with a fixture set (mock data by default)
+export const seedDatabase = (db, data = mockData) => {
+  db.transaction(() => {
+    db.reset();
+
+    // Insertion order matters: products need their categories, reviews their products
+    (data.users || []).forEach(user => db.createUser({ ...user, password: preparePassword(user.password) }));
+    (data.categories || []).forEach(category => db.createCategory(category));
+    (data.products || []).forEach(product => db.createProduct(product));
+    (data.orders || []).forEach(order => db.createOrder(order));
+    (data.reviews || []).forEach(review => db.createReview(review));
+    (data.cart || []).forEach(item => db.addToCart(item));
+  });
+};
@@ -0,0 +1,50 @@
+import db from '../config/database.js';
+
+// Permanently removes soft deleted records once they are older than the
+// retention window (TRASH_RETENTION_DAYS, default 30 days). Records that orders,
+// reviews, products or subcategories still reference are kept.
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// The soft deleted collections, referencing ones first so a record whose last
+// reference is purged in the same run can go too
+const PURGE_ORDER = ['reviews', 'products', 'categories', 'users'];
+
+export const getRetentionDays = () => {
+  const days = parseFloat(process.env.TRASH_RETENTION_DAYS);
+  return Number.isFinite(days) && days >= 0 ? days : 30;
+};
+
+export const purgeTrash = ({ retentionDays = getRetentionDays(), now = new Date() } = {}) => {
+  const cutoff = new Date(now.getTime() - retentionDays * DAY);
+
+  return db.transaction(() => {
+    const purged = {};
+    PURGE_ORDER.forEach(collection => {
+      purged[collection] = db.purgeDeleted(collection, cutoff);
+    });
+    return { cutoff: cutoff.toISOString(), purged };
+  });
+};
+
+// Run the purge periodically (TRASH_PURGE_INTERVAL_HOURS, default every 24 hours)
+export const startPurgeJob = () => {
+  const hours = parseFloat(process.env.TRASH_PURGE_INTERVAL_HOURS);
+  const interval = (Number.isFinite(hours) && hours > 0 ? hours : 24) * 60 * 60 * 1000;
+
+  const run = () => {
+    try {
+      const { purged } = purgeTrash();
+      const total = Object.values(purged).reduce((sum, count) => sum + count, 0);
+      if (total > 0) {
+        console.log(`🗑️  Purged ${total} deleted record(s) past the retention window`);
+      }
+    } catch (error) {
+      console.error('Trash purge failed:', error);
+    }
+  };
+
+  run();
+  // Do not keep the process alive just for the purge timer
+  return setInterval(run, interval).unref();
+};
@@ -1,27 +1,119 @@
-import jwt from 'jsonwebtoken';
+import db from '../config/database.js';
+import { verifyAccessToken, touchSession } from '../services/sessions.js';
+import { API_KEY_ROLES, verifyApiKey, recordApiKeyUse } from '../services/apiKeys.js';
+import { needsTwoFactorSetup } from '../services/twoFactor.js';
+import { UnauthorizedError } from '../utils/errors.js';
 
-export const authenticate = (req, res, next) => {
+// Credentials from an X-API-Key header, or null when none was sent
+const resolveApiKey = (req, res, apiKeyScope) => {
+  const value = req.get('X-API-Key');
+  if (!value) return null;
+
+  // Throws for unknown, expired and revoked keys
+  const key = verifyApiKey(value);
+  if (!apiKeyScope) {
+    res.status(403).json({
+      success: false,
+      message: 'API keys cannot be used for this endpoint.'
+    });
+    return false;
+  }
+  if (!key.scopes.includes(apiKeyScope)) {
+    res.status(403).json({
+      success: false,
+      message: `This API key does not have the ${apiKeyScope} scope.`
+    });
+    return false;
+  }
+  return key;
+};
+
+// `allowPendingTwoFactor` lets users who still have to set up required 2FA reach the setup endpoints.
+// `apiKeyScope` lets the route be called with an X-API-Key carrying that scope instead of a token.
+const createAuthenticate = ({ allowPendingTwoFactor = false, apiKeyScope = null } = {}) => (req, res, next) => {
   try {
+    const apiKey = resolveApiKey(req, res, apiKeyScope);
+    if (apiKey === false) return;
+
     const token = req.headers.authorization?.split(' ')[1]; // Bearer TOKEN
     
-    if (!token) {
+    if (!apiKey && !token) {
       return res.status(401).json({ 
         success: false, 
         message: 'Authentication required. Please provide a token.' 
       });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'default-development-secret-key-change-in-production');
-    req.user = decoded;
+    // Rejects expired tokens and tokens whose session was revoked (logout, token reuse)
+    const decoded = apiKey
+      ? { id: apiKey.userId, apiKeyId: apiKey.id, scopes: apiKey.scopes }
+      : verifyAccessToken(token);
+
+    // Tokens of deleted accounts stop working immediately
+    const user = db.getUserById(decoded.id);
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'This account no longer exists.'
+      });
+    }
+
+    if (user.suspendedAt) {
+      return res.status(403).json({
+        success: false,
+        message: 'This account has been suspended.'
+      });
+    }
+
+    // Keys belong to sellers; one whose owner has lost the role is dead
+    if (apiKey && !API_KEY_ROLES.includes(user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'This API key belongs to an account that is no longer a seller.'
+      });
+    }
+
+    // Checked against stored state, so an admin requiring 2FA for a role applies immediately
+    if (!allowPendingTwoFactor && needsTwoFactorSetup(user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication must be set up before using this account.',
+        data: {
+          twoFactorSetupRequired: true
+        }
+      });
+    }
+
+    // Last-used tracking for the key, or the session's last-seen time for the sessions list
+    if (apiKey) {
+      recordApiKeyUse(apiKey, req);
+    } else {
+      touchSession(decoded.sid, req);
+    }
+
+    // The stored role wins over the one in the token, so role changes apply immediately
+    req.user = { ...decoded, email: user.email, role: user.role };
     next();
   } catch (error) {
     return res.status(401).json({ 
       success: false, 
-      message: 'Invalid or expired token.' 
+      message: error instanceof UnauthorizedError ? error.message : 'Invalid or expired token.' 
     });
   }
 };
 
+export const authenticate = createAuthenticate();
+export const authenticatePendingTwoFactor = createAuthenticate({ allowPendingTwoFactor: true });
+
+// For endpoints integrations may call: a user token, or an API key with `scope`
+export const authenticateWithApiKey = (scope) => createAuthenticate({ apiKeyScope: scope });
+
+// For public endpoints: no credentials needed, but a key that is sent must be valid and carry `scope`
+export const optionalApiKey = (scope) => {
+  const authenticateKey = authenticateWithApiKey(scope);
+  return (req, res, next) => (req.get('X-API-Key') ? authenticateKey(req, res, next) : next());
+};
+
 export const authorize = (...roles) => {
   return (req, res, next) => {
     if (!req.user) {
@@ -0,0 +1,15 @@
+import { v4 as uuidv4 } from 'uuid';
+import { runWithRequestContext } from '../utils/requestContext.js';
+
+// Accept a caller supplied request ID (e.g. from a proxy) if it looks sane
+const REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+// Tag every request with an ID and make it available for the rest of the request.
+// Registered after the body parsers, which would otherwise drop the async context.
+export const requestContext = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && REQUEST_ID.test(incoming) ? incoming : uuidv4();
+  res.setHeader('X-Request-Id', req.id);
+
+  runWithRequestContext({ req }, next);
+};
@@ -0,0 +1,64 @@
+import express from 'express';
+import { exportData, importData } from '../controllers/adminController.js';
+import { getAuditLog } from '../controllers/auditController.js';
+import { getLockouts, clearLockout } from '../controllers/lockoutController.js';
+import {
+  getUsers,
+  getUserById,
+  updateUserRole,
+  suspendUser,
+  unsuspendUser,
+  deleteUser,
+  resetUserTwoFactor
+} from '../controllers/userController.js';
+import { getTwoFactorSettings, updateTwoFactorSettings } from '../controllers/twoFactorController.js';
+import {
+  getSellerApplications,
+  approveSellerApplication,
+  rejectSellerApplication
+} from '../controllers/sellerApplicationController.js';
+import { getTrash, restoreFromTrash, purgeTrashNow } from '../controllers/trashController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Imports carry a whole store snapshot, so they get a larger body limit
+const importBodyLimit = process.env.IMPORT_BODY_LIMIT || '50mb';
+
+// Every admin endpoint requires an authenticated admin
+router.use(authenticate, authorize('admin'));
+
+router.get('/export', exportData);
+// Mounted after the admin check so only admins can make the server read that much
+router.post(
+  '/import',
+  express.json({ limit: importBodyLimit }),
+  express.text({ type: 'application/x-ndjson', limit: importBodyLimit }),
+  importData
+);
+
+router.get('/audit', getAuditLog);
+
+router.get('/users', getUsers);
+router.get('/users/:id', getUserById);
+router.put('/users/:id/role', updateUserRole);
+router.post('/users/:id/suspend', suspendUser);
+router.post('/users/:id/unsuspend', unsuspendUser);
+router.delete('/users/:id', deleteUser);
+router.delete('/users/:id/2fa', resetUserTwoFactor);
+
+router.get('/seller-applications', getSellerApplications);
+router.post('/seller-applications/:id/approve', approveSellerApplication);
+router.post('/seller-applications/:id/reject', rejectSellerApplication);
+
+router.get('/settings/two-factor', getTwoFactorSettings);
+router.put('/settings/two-factor', updateTwoFactorSettings);
+
+router.get('/lockouts', getLockouts);
+router.delete('/lockouts/:type/:subject', clearLockout);
+
+router.get('/trash', getTrash);
+router.post('/trash/purge', purgeTrashNow);
+router.post('/trash/:type/:id/restore', restoreFromTrash);
+
+export default router;
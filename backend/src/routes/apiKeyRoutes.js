@@ -0,0 +1,14 @@
+import express from 'express';
+import { getApiKeys, createApiKey, revokeApiKey } from '../controllers/apiKeyController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Managed with a user token only; a key cannot create or revoke keys
+router.use(authenticate, authorize('seller', 'admin'));
+
+router.get('/', getApiKeys);
+router.post('/', createApiKey);
+router.delete('/:id', revokeApiKey);
+
+export default router;
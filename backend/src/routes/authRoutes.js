@@ -1,13 +1,54 @@
 import express from 'express';
-import { register, login, getProfile, updateProfile } from '../controllers/authController.js';
-import { authenticate } from '../middleware/auth.js';
+import {
+  register,
+  login,
+  loginTwoFactor,
+  refresh,
+  logout,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+  getSessions,
+  deleteSession,
+  deleteOtherSessions,
+  getProfile,
+  updateProfile
+} from '../controllers/authController.js';
+import {
+  getTwoFactor,
+  setupTwoFactor,
+  verifyTwoFactor,
+  regenerateTwoFactorRecoveryCodes,
+  disableTwoFactor
+} from '../controllers/twoFactorController.js';
+import { authenticate, authenticatePendingTwoFactor } from '../middleware/auth.js';
 
 const router = express.Router();
 
 router.post('/register', register);
 router.post('/login', login);
-router.get('/profile', authenticate, getProfile);
+router.post('/login/2fa', loginTwoFactor);
+router.post('/refresh', refresh);
+router.post('/logout', logout);
+router.post('/verify-email', verifyEmail);
+router.post('/resend-verification', resendVerification);
+router.get('/profile', authenticatePendingTwoFactor, getProfile);
 router.put('/profile', authenticate, updateProfile);
+router.post('/forgot-password', forgotPassword);
+router.post('/reset-password', resetPassword);
+router.put('/password', authenticate, changePassword);
+router.get('/sessions', authenticate, getSessions);
+router.delete('/sessions', authenticate, deleteOtherSessions);
+router.delete('/sessions/:id', authenticate, deleteSession);
+
+// Reachable before required 2FA is set up, so users can enroll
+router.get('/2fa', authenticatePendingTwoFactor, getTwoFactor);
+router.post('/2fa/setup', authenticatePendingTwoFactor, setupTwoFactor);
+router.post('/2fa/verify', authenticatePendingTwoFactor, verifyTwoFactor);
+router.post('/2fa/recovery-codes', authenticate, regenerateTwoFactorRecoveryCodes);
+router.delete('/2fa', authenticate, disableTwoFactor);
 
 export default router;
 
@@ -5,14 +5,15 @@ import {
   createOrder,
   updateOrderStatus
 } from '../controllers/orderController.js';
-import { authenticate } from '../middleware/auth.js';
+import { authenticate, authenticateWithApiKey } from '../middleware/auth.js';
 
 const router = express.Router();
 
-router.get('/', authenticate, getOrders);
-router.get('/:id', authenticate, getOrderById);
+// Integrations can read orders and move them along with an API key; placing orders needs a user
+router.get('/', authenticateWithApiKey('orders:read'), getOrders);
+router.get('/:id', authenticateWithApiKey('orders:read'), getOrderById);
 router.post('/', authenticate, createOrder);
-router.put('/:id/status', authenticate, updateOrderStatus);
+router.put('/:id/status', authenticateWithApiKey('orders:write'), updateOrderStatus);
 
 export default router;
 
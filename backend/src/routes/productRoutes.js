@@ -6,15 +6,16 @@ import {
   updateProduct,
   deleteProduct
 } from '../controllers/productController.js';
-import { authenticate, authorize } from '../middleware/auth.js';
+import { authenticateWithApiKey, optionalApiKey, authorize } from '../middleware/auth.js';
 
 const router = express.Router();
 
-router.get('/', getProducts);
-router.get('/:id', getProductById);
-router.post('/', authenticate, authorize('seller', 'admin'), createProduct);
-router.put('/:id', authenticate, updateProduct);
-router.delete('/:id', authenticate, deleteProduct);
+// Also callable with an API key holding the products:read / products:write scope
+router.get('/', optionalApiKey('products:read'), getProducts);
+router.get('/:id', optionalApiKey('products:read'), getProductById);
+router.post('/', authenticateWithApiKey('products:write'), authorize('seller', 'admin'), createProduct);
+router.put('/:id', authenticateWithApiKey('products:write'), updateProduct);
+router.delete('/:id', authenticateWithApiKey('products:write'), deleteProduct);
 
 export default router;
 
@@ -0,0 +1,13 @@
+import express from 'express';
+import {
+  createSellerApplication,
+  getMySellerApplications
+} from '../controllers/sellerApplicationController.js';
+import { authenticate } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.get('/me', authenticate, getMySellerApplications);
+router.post('/', authenticate, createSellerApplication);
+
+export default router;
@@ -0,0 +1,93 @@
+// Benchmark lookups against a large in-memory catalog
+// Usage: npm run benchmark [-- --products 100000]
+
+import { performance } from 'perf_hooks';
+
+// Always measure the indexed in-memory store, whatever .env selects
+process.env.DB_ADAPTER = 'memory';
+
+const { default: db } = await import('../config/database.js');
+const { getProducts } = await import('../controllers/productController.js');
+
+const argValue = (name, fallback) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 ? parseInt(process.argv[index + 1], 10) : fallback;
+};
+
+const PRODUCT_COUNT = argValue('products', 100000);
+const USER_COUNT = argValue('users', 10000);
+const CATEGORY_COUNT = 50;
+const SELLER_COUNT = 200;
+const ITERATIONS = 1000;
+
+const measure = (label, iterations, fn) => {
+  const start = performance.now();
+  for (let i = 0; i < iterations; i++) {
+    fn(i);
+  }
+  const elapsed = performance.now() - start;
+  const perOp = elapsed / iterations;
+  console.log(
+    `${label.padEnd(46)} ${perOp.toFixed(4).padStart(10)} ms/op ${Math.round(1000 / perOp).toString().padStart(10)} ops/s`
+  );
+};
+
+// Build the catalog
+let start = performance.now();
+for (let i = 0; i < USER_COUNT; i++) {
+  db.createUser({
+    id: `user-${i}`,
+    email: `user${i}@example.com`,
+    role: i < SELLER_COUNT ? 'seller' : 'buyer'
+  });
+}
+for (let i = 0; i < CATEGORY_COUNT; i++) {
+  db.createCategory({ id: `cat-${i}`, name: `Category ${i}`, parentId: null });
+}
+for (let i = 0; i < PRODUCT_COUNT; i++) {
+  db.createProduct({
+    id: `prod-${i}`,
+    name: `Product ${i}`,
+    description: `Description for product ${i}`,
+    price: (i % 1000) + 0.99,
+    categoryId: `cat-${i % CATEGORY_COUNT}`,
+    sellerId: `user-${i % SELLER_COUNT}`,
+    stock: i % 100,
+    featured: i % 10 === 0,
+    createdAt: new Date(Date.UTC(2024, 0, 1) + i * 1000).toISOString()
+  });
+}
+console.log(
+  `Loaded ${PRODUCT_COUNT} products, ${USER_COUNT} users in ${(performance.now() - start).toFixed(0)} ms\n`
+);
+
+const products = db.getProducts();
+const randomId = (i, count) => (i * 7919) % count;
+
+measure('getProductById', ITERATIONS * 100, i => db.getProductById(`prod-${randomId(i, PRODUCT_COUNT)}`));
+measure('  linear Array.find (previous behaviour)', ITERATIONS, i => {
+  products.find(p => p.id === `prod-${randomId(i, PRODUCT_COUNT)}`);
+});
+measure('getUserByEmail', ITERATIONS * 100, i => db.getUserByEmail(`user${randomId(i, USER_COUNT)}@example.com`));
+measure('getProductsByCategory', ITERATIONS, i => db.getProductsByCategory(`cat-${i % CATEGORY_COUNT}`));
+measure('  linear Array.filter (previous behaviour)', ITERATIONS, i => {
+  products.filter(p => p.categoryId === `cat-${i % CATEGORY_COUNT}`);
+});
+measure('getProductsBySeller', ITERATIONS, i => db.getProductsBySeller(`user-${i % SELLER_COUNT}`));
+measure('updateProduct (re-indexes category)', ITERATIONS * 10, i => {
+  db.updateProduct(`prod-${randomId(i, PRODUCT_COUNT)}`, { categoryId: `cat-${i % CATEGORY_COUNT}` });
+});
+
+// Full request handler, as served by GET /api/products
+const listProducts = (query) => {
+  let body;
+  getProducts({ query }, { json: (payload) => { body = payload; } }, (error) => { throw error; });
+  return body;
+};
+
+measure('GET /api/products?category=...', 100, i => listProducts({ category: `cat-${i % CATEGORY_COUNT}` }));
+measure('GET /api/products?seller=...&sort=price_asc', 100, i => listProducts({
+  seller: `user-${i % SELLER_COUNT}`,
+  sort: 'price_asc'
+}));
+measure('GET /api/products (whole catalog)', 20, () => listProducts({}));
@@ -0,0 +1,26 @@
+// Apply pending SQLite schema migrations
+// Usage: npm run migrate [-- --status]
+
+import 'dotenv/config';
+import { openSqliteDatabase, resolveSqliteFilename } from '../config/adapters/sqliteAdapter.js';
+import { getMigrationStatus, runMigrations } from '../config/migrate.js';
+
+const filename = resolveSqliteFilename();
+const database = openSqliteDatabase(filename);
+
+try {
+  if (process.argv.includes('--status')) {
+    getMigrationStatus(database).forEach(migration => {
+      console.log(`${migration.applied ? '[x]' : '[ ]'} ${migration.name}`);
+    });
+  } else {
+    const applied = runMigrations(database);
+    if (applied.length === 0) {
+      console.log(`${filename} is up to date`);
+    } else {
+      applied.forEach(migration => console.log(`Applied ${migration.name}`));
+    }
+  }
+} finally {
+  database.close();
+}
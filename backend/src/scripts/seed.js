@@ -0,0 +1,109 @@
+// Seed and fixture CLI
+// Usage:
+//   npm run seed -- reset [--empty]
+//   npm run seed -- load <fixture.json>
+//   npm run seed -- generate [--products N] [--users N] [--orders N] [--seed 42] [--out file.json]
+
+import 'dotenv/config';
+import fs from 'fs';
+import path from 'path';
+import db from '../config/database.js';
+import { seedDatabase, validateFixture } from '../data/seed.js';
+import { generateFixtures } from '../data/generateFixtures.js';
+import { mockData } from '../data/mockData.js';
+
+const USAGE = `Usage:
+  npm run seed -- reset [--empty]           Wipe the store and load the built-in mock data
+  npm run seed -- load <fixture.json>       Wipe the store and load a fixture file
+  npm run seed -- generate [options]        Wipe the store and load generated data
+      --products N   number of products (default 100)
+      --users N      number of users (default 50)
+      --orders N     number of orders (default 200)
+      --seed N       random seed, same seed gives the same data (default 42)
+      --out FILE     write the fixture to FILE instead of loading it`;
+
+const [command, ...args] = process.argv.slice(2);
+
+const option = (name, fallback) => {
+  const index = args.indexOf(`--${name}`);
+  return index !== -1 ? args[index + 1] : fallback;
+};
+
+const intOption = (name, fallback) => {
+  const value = parseInt(option(name, fallback), 10);
+  if (!Number.isInteger(value) || value < 0) {
+    throw new Error(`--${name} must be a non-negative integer`);
+  }
+  return value;
+};
+
+const summarize = (data) => {
+  return Object.entries(data)
+    .map(([collection, records]) => `${records.length} ${collection}`)
+    .join(', ');
+};
+
+const load = (data, source) => {
+  const errors = validateFixture(data);
+  if (errors.length > 0) {
+    throw new Error(`Invalid fixture ${source}:\n  ${errors.join('\n  ')}`);
+  }
+
+  seedDatabase(db, data);
+  console.log(`Loaded ${summarize(data)} from ${source} into the ${db.adapter} store`);
+  if (db.adapter === 'memory') {
+    console.warn('Note: DB_ADAPTER=memory does not persist; set DB_ADAPTER=file or sqlite to keep this data');
+  }
+};
+
+const run = () => {
+  switch (command) {
+    case 'reset':
+      if (args.includes('--empty')) {
+        db.reset();
+        console.log(`Emptied the ${db.adapter} store`);
+      } else {
+        load(mockData, 'mock data');
+      }
+      break;
+
+    case 'load': {
+      const file = args[0];
+      if (!file) {
+        throw new Error('load requires a fixture file');
+      }
+      const data = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+      load(data, file);
+      break;
+    }
+
+    case 'generate': {
+      const data = generateFixtures({
+        products: intOption('products', 100),
+        users: intOption('users', 50),
+        orders: intOption('orders', 200),
+        seed: intOption('seed', 42)
+      });
+
+      const out = option('out');
+      if (out) {
+        fs.writeFileSync(path.resolve(out), JSON.stringify(data, null, 2));
+        console.log(`Wrote ${summarize(data)} to ${out}`);
+      } else {
+        load(data, 'generator');
+      }
+      break;
+    }
+
+    default:
+      console.log(USAGE);
+      process.exitCode = command ? 1 : 0;
+  }
+};
+
+try {
+  run();
+} catch (error) {
+  console.error(error.message);
+  process.exitCode = 1;
+}
@@ -0,0 +1,106 @@
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import db from '../config/database.js';
+import { BadRequestError, UnauthorizedError } from '../utils/errors.js';
+
+// Scoped API keys for seller integrations
+//
+// A key is `mk_<keyId>.<secret>`. Only a hash of the secret is stored, so the
+// full key is shown once, when it is created. Keys act as their owner, limited
+// to the scopes they were given, on the endpoints that accept a key.
+
+export const API_KEY_SCOPES = ['products:read', 'products:write', 'orders:read', 'orders:write'];
+
+// Roles that may hold keys; a key stops working when its owner loses the role
+export const API_KEY_ROLES = ['seller', 'admin'];
+
+const KEY_PREFIX = 'mk_';
+const MAX_ACTIVE_KEYS = 20;
+const DAY = 24 * 60 * 60 * 1000;
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const isActive = (key, now = new Date()) => {
+  return Boolean(key) && !key.revokedAt && (!key.expiresAt || new Date(key.expiresAt) > now);
+};
+
+// Never hand out the hash
+export const toApiKeyResponse = (key) => {
+  const { secretHash: _, ...rest } = key;
+  return { ...rest, active: isActive(key) };
+};
+
+export const listApiKeys = (userId) => {
+  return [...db.getApiKeysByUser(userId)]
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+    .map(toApiKeyResponse);
+};
+
+export const createApiKey = (user, { name, scopes, expiresInDays }) => {
+  if (!name || !String(name).trim()) {
+    throw new BadRequestError('API key name is required');
+  }
+  if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !API_KEY_SCOPES.includes(scope))) {
+    throw new BadRequestError(`scopes must be a non-empty list of: ${API_KEY_SCOPES.join(', ')}`);
+  }
+  const days = expiresInDays === undefined || expiresInDays === null ? null : Number(expiresInDays);
+  if (days !== null && !(Number.isFinite(days) && days > 0)) {
+    throw new BadRequestError('expiresInDays must be a positive number');
+  }
+  if (db.getApiKeysByUser(user.id).filter(key => isActive(key)).length >= MAX_ACTIVE_KEYS) {
+    throw new BadRequestError(`You can have at most ${MAX_ACTIVE_KEYS} active API keys. Revoke one first.`);
+  }
+
+  const now = new Date();
+  const secret = crypto.randomBytes(32).toString('base64url');
+  const key = db.createApiKey({
+    id: uuidv4(),
+    userId: user.id,
+    name: String(name).trim(),
+    scopes: [...new Set(scopes)],
+    secretHash: hashSecret(secret),
+    // Last characters of the secret, to tell keys apart in listings
+    hint: secret.slice(-4),
+    createdAt: now.toISOString(),
+    expiresAt: days ? new Date(now.getTime() + days * DAY).toISOString() : null,
+    lastUsedAt: null,
+    lastUsedIp: null,
+    revokedAt: null
+  });
+
+  return { apiKey: toApiKeyResponse(key), key: `${KEY_PREFIX}${key.id}.${secret}` };
+};
+
+// Returns the revoked key, or null when the user has no such key
+export const revokeApiKey = (id, userId) => {
+  const key = db.getApiKeyById(id);
+  if (!key || key.userId !== userId) return null;
+  if (key.revokedAt) return toApiKeyResponse(key);
+
+  return toApiKeyResponse(db.updateApiKey(id, { revokedAt: new Date().toISOString() }));
+};
+
+// Look up an active key from the X-API-Key header value
+export const verifyApiKey = (value) => {
+  const raw = String(value || '');
+  const [keyId, secret] = raw.startsWith(KEY_PREFIX) ? raw.slice(KEY_PREFIX.length).split('.') : [];
+  const key = keyId && secret ? db.getApiKeyById(keyId) : null;
+
+  if (!isActive(key)) {
+    throw new UnauthorizedError('Invalid, expired or revoked API key.');
+  }
+
+  const expected = Buffer.from(key.secretHash, 'hex');
+  const presented = Buffer.from(hashSecret(secret), 'hex');
+  if (!crypto.timingSafeEqual(expected, presented)) {
+    throw new UnauthorizedError('Invalid, expired or revoked API key.');
+  }
+  return key;
+};
+
+export const recordApiKeyUse = (key, req) => {
+  db.updateApiKey(key.id, {
+    lastUsedAt: new Date().toISOString(),
+    lastUsedIp: req.ip || null
+  });
+};
@@ -0,0 +1,84 @@
+import db from '../config/database.js';
+
+// Category hierarchy
+//
+// Categories nest to any depth through `parentId`. Filtering by a category
+// usually means "this category and everything below it", so the set of ids in
+// each category's subtree is computed once and cached until a category is
+// added, removed or moved.
+
+let cached = null;
+
+// Only the shape of the tree matters, not names or descriptions
+const treePosition = (category) => (category && !category.deletedAt ? category.parentId || '' : null);
+
+db.onChange((collection, before, after) => {
+  if (collection === null || (collection === 'categories' && treePosition(before) !== treePosition(after))) {
+    cached = null;
+  }
+});
+
+const buildTree = (categories) => {
+  const parents = new Map(categories.map(category => [category.id, category.parentId || null]));
+  const children = new Map();
+  categories.forEach(category => {
+    if (!category.parentId) return;
+    if (!children.has(category.parentId)) children.set(category.parentId, []);
+    children.get(category.parentId).push(category.id);
+  });
+
+  // Iterative walk; the visited set guards against parentId cycles
+  const subtrees = new Map();
+  categories.forEach(category => {
+    const subtree = new Set([category.id]);
+    const pending = [category.id];
+    while (pending.length > 0) {
+      (children.get(pending.pop()) || []).forEach(childId => {
+        if (!subtree.has(childId)) {
+          subtree.add(childId);
+          pending.push(childId);
+        }
+      });
+    }
+    subtrees.set(category.id, subtree);
+  });
+
+  return { subtrees, parents };
+};
+
+// The current tree, built on the first lookup after a category write
+export const getTree = () => {
+  if (!cached) {
+    cached = buildTree(db.getCategories());
+  }
+  return cached;
+};
+
+/**
+ * Ids of a category and all of its descendants, or just the category itself
+ * with `includeDescendants: false`. Unknown ids resolve to themselves.
+ */
+export const getCategoryIds = (categoryId, { includeDescendants = true } = {}) => {
+  if (!includeDescendants) return new Set([categoryId]);
+  return getTree().subtrees.get(categoryId) || new Set([categoryId]);
+};
+
+// A category followed by its parent, grandparent and so on up to the root
+export const getCategoryPath = (categoryId) => {
+  const { parents } = getTree();
+  const path = [];
+  let current = categoryId;
+  while (current && parents.has(current) && !path.includes(current)) {
+    path.push(current);
+    current = parents.get(current);
+  }
+  return path;
+};
+
+// Live products in a category (and, by default, its descendants)
+export const getProductsInCategory = (categoryId, options) => {
+  return [...getCategoryIds(categoryId, options)].flatMap(id => db.getProductsByCategory(id));
+};
+
+// `?includeDescendants=false` turns hierarchical category matching off
+export const parseIncludeDescendants = (value) => value !== 'false';
@@ -0,0 +1,48 @@
+import { getLastIssuedAt } from './oneTimeTokens.js';
+
+// Throttling for the endpoints that email a link on request (verification
+// resends and password resets), so they cannot be used to flood an inbox.
+// Each account gets at most one email per purpose a minute; requests past
+// that are answered as usual but send nothing. Each client IP may make
+// EMAIL_IP_MAX_REQUESTS such requests per EMAIL_IP_WINDOW_MINUTES, whether or
+// not the emails exist, so the limit says nothing about accounts. IP counters
+// are kept in process memory.
+
+const MINUTE = 60 * 1000;
+const EMAIL_COOLDOWN = MINUTE;
+
+const intSetting = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isInteger(value) && value > 0 ? value : fallback;
+};
+
+// True when the user was sent a link for this purpose within the cooldown
+export const sentRecently = (userId, purpose) => {
+  const lastIssuedAt = getLastIssuedAt(userId, purpose);
+  return Boolean(lastIssuedAt) && Date.now() - lastIssuedAt.getTime() < EMAIL_COOLDOWN;
+};
+
+// IP -> times of its requests within the window
+const requestsByIp = new Map();
+
+/**
+ * Count an email request from this IP. Returns 0 when it may go ahead, or the
+ * number of seconds until the oldest request in the window expires.
+ */
+export const takeEmailRequest = (ip) => {
+  const maxRequests = intSetting('EMAIL_IP_MAX_REQUESTS', 10);
+  const window = intSetting('EMAIL_IP_WINDOW_MINUTES', 15) * MINUTE;
+  const now = Date.now();
+
+  const recent = (requestsByIp.get(ip) || []).filter(time => now - time < window);
+  if (recent.length >= maxRequests) {
+    requestsByIp.set(ip, recent);
+    return Math.ceil((recent[0] + window - now) / 1000);
+  }
+
+  recent.push(now);
+  requestsByIp.set(ip, recent);
+  return 0;
+};
+
+export const resetEmailRequests = () => requestsByIp.clear();
@@ -0,0 +1,40 @@
+import { issueToken, consumeToken } from './oneTimeTokens.js';
+import { sentRecently } from './emailThrottle.js';
+import { sendMail } from './mailer.js';
+import { verificationEmail } from './emails.js';
+import db from '../config/database.js';
+import { BadRequestError } from '../utils/errors.js';
+
+const PURPOSE = 'verify-email';
+const TOKEN_TTL = 24 * 60 * 60 * 1000;
+
+export const sendVerificationEmail = async (user) => {
+  const token = issueToken(user.id, PURPOSE, TOKEN_TTL);
+  await sendMail(verificationEmail(user, token));
+};
+
+// Send a new link unless the user is verified already or was just sent one
+export const resendVerificationEmail = async (user) => {
+  if (user.isVerified || sentRecently(user.id, PURPOSE)) return false;
+
+  // A failure must look like any other answer, or it would reveal the account
+  try {
+    await sendVerificationEmail(user);
+  } catch (error) {
+    console.error('Failed to send verification email:', error);
+    return false;
+  }
+  return true;
+};
+
+// Mark the user a verification token was issued to as verified
+export const verifyEmail = (token) => {
+  const userId = consumeToken(token, PURPOSE);
+  const user = db.getUserById(userId);
+  if (!user) {
+    throw new BadRequestError('This link is invalid or has expired');
+  }
+  if (user.isVerified) return user;
+
+  return db.updateUser(userId, { isVerified: true, verifiedAt: new Date().toISOString() });
+};
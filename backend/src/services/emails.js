@@ -0,0 +1,46 @@
+// Messages sent to users; links point at the frontend (APP_URL)
+
+const appUrl = (pathname) => `${process.env.APP_URL || 'http://localhost:5173'}${pathname}`;
+
+export const verificationEmail = (user, token) => {
+  const link = appUrl(`/verify-email?token=${encodeURIComponent(token)}`);
+  return {
+    to: user.email,
+    subject: 'Verify your email address',
+    text: [
+      `Hi ${user.firstName || 'there'},`,
+      '',
+      'Please confirm your email address by opening this link:',
+      link,
+      '',
+      'The link expires in 24 hours. If you did not create an account, you can ignore this email.'
+    ].join('\n')
+  };
+};
+
+export const passwordResetEmail = (user, token) => {
+  const link = appUrl(`/reset-password?token=${encodeURIComponent(token)}`);
+  return {
+    to: user.email,
+    subject: 'Reset your password',
+    text: [
+      `Hi ${user.firstName || 'there'},`,
+      '',
+      'Someone asked to reset the password of your account. To choose a new password, open this link:',
+      link,
+      '',
+      'The link expires in 1 hour and can only be used once. If you did not ask for this, you can ignore this email.'
+    ].join('\n')
+  };
+};
+
+export const passwordChangedEmail = (user) => ({
+  to: user.email,
+  subject: 'Your password was changed',
+  text: [
+    `Hi ${user.firstName || 'there'},`,
+    '',
+    'The password of your account was just changed and you were signed out everywhere.',
+    `If this was not you, reset your password right away: ${appUrl('/forgot-password')}`
+  ].join('\n')
+});
@@ -0,0 +1,185 @@
+import db from '../config/database.js';
+
+// Brute-force protection for login
+//
+// Failed attempts are counted per account (the email tried, whether or not it
+// exists) and per client IP. From the second failure on an account, its next
+// attempt has to wait an increasing delay (1s, 2s, 4s, ...). At the limit the
+// account or IP is locked for LOGIN_LOCKOUT_MINUTES. The limits are
+// LOGIN_MAX_ATTEMPTS per account and LOGIN_IP_MAX_ATTEMPTS per IP; the IP limit
+// is higher because an IP may be shared by many users. Counters are forgotten
+// once an entry has been quiet for the lockout period; a successful login
+// clears the account's.
+//
+// Entries live in a pluggable limiter store selected with LOGIN_LIMITER_STORE:
+//   database (default) - the `loginAttempts` collection of the configured db,
+//                        so lockouts survive restarts with the file/sqlite adapters
+//   memory             - a process-local Map
+// A store is `{ get(id), set(entry), delete(id), list() }`; methods may return
+// promises, so a shared store such as Redis can be plugged in with
+// setLoginLimiterStore().
+
+const MINUTE = 60 * 1000;
+
+const intSetting = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isInteger(value) && value > 0 ? value : fallback;
+};
+
+const getPolicy = (type) => ({
+  maxAttempts: type === 'ip'
+    ? intSetting('LOGIN_IP_MAX_ATTEMPTS', 20)
+    : intSetting('LOGIN_MAX_ATTEMPTS', 5),
+  lockout: intSetting('LOGIN_LOCKOUT_MINUTES', 15) * MINUTE
+});
+
+const createDatabaseStore = () => ({
+  name: 'database',
+  get: (id) => db.getLoginAttempt(id),
+  set: (entry) => db.saveLoginAttempt(entry),
+  delete: (id) => db.deleteLoginAttempt(id),
+  list: () => db.getLoginAttempts()
+});
+
+const createMemoryStore = () => {
+  const entries = new Map();
+  return {
+    name: 'memory',
+    get: (id) => entries.get(id),
+    set: (entry) => entries.set(entry.id, entry),
+    delete: (id) => entries.delete(id),
+    list: () => [...entries.values()]
+  };
+};
+
+const storeFactories = {
+  database: createDatabaseStore,
+  memory: createMemoryStore
+};
+
+let store = null;
+
+const getStore = () => {
+  if (!store) {
+    const name = process.env.LOGIN_LIMITER_STORE || 'database';
+    const factory = storeFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown LOGIN_LIMITER_STORE "${name}". Expected one of: ${Object.keys(storeFactories).join(', ')}`);
+    }
+    store = factory();
+  }
+  return store;
+};
+
+export const setLoginLimiterStore = (limiterStore) => {
+  store = limiterStore;
+};
+
+export const LIMITER_TYPES = ['account', 'ip'];
+
+const toId = (type, subject) => `${type}:${type === 'account' ? String(subject).toLowerCase() : subject}`;
+
+// Wait after the given number of consecutive failures (accounts only)
+const delayAfter = (entry) => {
+  if (entry.type !== 'account' || entry.failures < 2) return 0;
+  return Math.min(2 ** (entry.failures - 2), 60) * 1000;
+};
+
+// Drop counters that have been quiet for a whole lockout period
+const isExpired = (entry, now) => {
+  const { lockout } = getPolicy(entry.type);
+  const lockedUntil = entry.lockedUntil ? new Date(entry.lockedUntil).getTime() : 0;
+  return lockedUntil <= now && new Date(entry.lastFailureAt).getTime() + lockout <= now;
+};
+
+const load = async (type, subject, now) => {
+  const id = toId(type, subject);
+  const entry = await getStore().get(id);
+  if (entry && isExpired(entry, now)) {
+    await getStore().delete(id);
+    return null;
+  }
+  return entry || null;
+};
+
+// When the entry allows the next attempt (null if right away)
+const blockedUntil = (entry, now) => {
+  if (!entry) return null;
+  const lockedUntil = entry.lockedUntil ? new Date(entry.lockedUntil).getTime() : 0;
+  const nextAttemptAt = new Date(entry.lastFailureAt).getTime() + delayAfter(entry);
+  const until = Math.max(lockedUntil, nextAttemptAt);
+  return until > now ? { until: new Date(until), locked: lockedUntil > now } : null;
+};
+
+const toStatus = (blocks) => {
+  if (blocks.length === 0) return { blocked: false };
+  const latest = blocks.reduce((a, b) => (a.until > b.until ? a : b));
+  return {
+    blocked: true,
+    locked: blocks.some(block => block.locked),
+    retryAt: latest.until.toISOString(),
+    retryAfter: Math.ceil((latest.until.getTime() - Date.now()) / 1000)
+  };
+};
+
+// Whether a login for this email from this IP may be attempted now
+export const checkLogin = async (email, ip) => {
+  const now = Date.now();
+  const entries = [await load('account', email, now), await load('ip', ip, now)];
+  return toStatus(entries.map(entry => blockedUntil(entry, now)).filter(Boolean));
+};
+
+const recordFailureFor = async (type, subject, now) => {
+  const previous = await load(type, subject, now);
+  const { maxAttempts, lockout } = getPolicy(type);
+  const failures = (previous?.failures || 0) + 1;
+
+  const entry = {
+    id: toId(type, subject),
+    type,
+    subject: type === 'account' ? String(subject).toLowerCase() : subject,
+    failures,
+    firstFailureAt: previous?.firstFailureAt || new Date(now).toISOString(),
+    lastFailureAt: new Date(now).toISOString(),
+    lockedUntil: failures >= maxAttempts ? new Date(now + lockout).toISOString() : null
+  };
+  await getStore().set(entry);
+  return entry;
+};
+
+// Count a failed login; returns when the next attempt is allowed
+export const recordLoginFailure = async (email, ip) => {
+  const now = Date.now();
+  const entries = [
+    await recordFailureFor('account', email, now),
+    await recordFailureFor('ip', ip, now)
+  ];
+  const { maxAttempts } = getPolicy('account');
+  return {
+    ...toStatus(entries.map(entry => blockedUntil(entry, now)).filter(Boolean)),
+    attemptsRemaining: Math.max(maxAttempts - entries[0].failures, 0)
+  };
+};
+
+// A successful login clears the account's counter (the IP's keeps running)
+export const recordLoginSuccess = async (email) => {
+  await getStore().delete(toId('account', email));
+};
+
+// Entries with recent failures, most recent first
+export const listLoginAttempts = async () => {
+  const now = Date.now();
+  const entries = await getStore().list();
+  return entries
+    .filter(entry => !isExpired(entry, now))
+    .map(entry => ({ ...entry, locked: Boolean(entry.lockedUntil) && new Date(entry.lockedUntil).getTime() > now }))
+    .sort((a, b) => new Date(b.lastFailureAt) - new Date(a.lastFailureAt));
+};
+
+export const clearLoginAttempts = async (type, subject) => {
+  const id = toId(type, subject);
+  const entry = await getStore().get(id);
+  if (!entry) return false;
+  await getStore().delete(id);
+  return true;
+};
@@ -0,0 +1,64 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+
+// Pluggable outgoing mail
+// The transport is picked with MAIL_TRANSPORT; the built-in ones are meant for
+// development and never deliver anything:
+//   console (default) - prints each message to stdout
+//   file              - writes each message as JSON to MAIL_OUTBOX_DIR (default .data/outbox)
+// A real provider (SMTP, an HTTP API, ...) is added with registerMailTransport().
+//
+// A transport is `{ name, send(message) }` where send returns a promise and
+// message is `{ from, to, subject, text, html }`.
+
+const createConsoleTransport = () => ({
+  name: 'console',
+  send: async (message) => {
+    console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+  }
+});
+
+const createFileTransport = () => {
+  const directory = path.resolve(process.env.MAIL_OUTBOX_DIR || path.join('.data', 'outbox'));
+
+  return {
+    name: 'file',
+    send: async (message) => {
+      await fs.mkdir(directory, { recursive: true });
+      const filename = `${new Date().toISOString().replace(/[:.]/g, '-')}-${uuidv4()}.json`;
+      await fs.writeFile(path.join(directory, filename), JSON.stringify(message, null, 2));
+    }
+  };
+};
+
+const transportFactories = {
+  console: createConsoleTransport,
+  file: createFileTransport
+};
+
+let transport = null;
+
+export const registerMailTransport = (name, factory) => {
+  transportFactories[name] = factory;
+  transport = null;
+};
+
+const getTransport = () => {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    const factory = transportFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown MAIL_TRANSPORT "${name}". Expected one of: ${Object.keys(transportFactories).join(', ')}`);
+    }
+    transport = factory();
+  }
+  return transport;
+};
+
+export const sendMail = (message) => {
+  return getTransport().send({
+    from: process.env.MAIL_FROM || 'Marketplace <no-reply@marketplace.local>',
+    ...message
+  });
+};
@@ -0,0 +1,53 @@
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import db from '../config/database.js';
+import { BadRequestError } from '../utils/errors.js';
+
+// Single-use tokens sent by email (verification links, password resets)
+// The token is `<id>.<secret>`; only a hash of the secret is stored. Issuing a
+// new token for a purpose invalidates the user's earlier ones for it.
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+export const issueToken = (userId, purpose, ttl) => {
+  db.getTokensByUser(userId)
+    .filter(token => token.purpose === purpose)
+    .forEach(token => db.deleteToken(token.id));
+
+  const secret = crypto.randomBytes(32).toString('base64url');
+  const now = Date.now();
+  const token = db.createToken({
+    id: uuidv4(),
+    userId,
+    purpose,
+    tokenHash: hashSecret(secret),
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + ttl).toISOString()
+  });
+
+  return `${token.id}.${secret}`;
+};
+
+// When the user was last sent a token for this purpose, if it is still pending
+export const getLastIssuedAt = (userId, purpose) => {
+  const token = db.getTokensByUser(userId).find(t => t.purpose === purpose);
+  return token ? new Date(token.createdAt) : null;
+};
+
+// Check and use up a token; returns the id of the user it was issued to
+export const consumeToken = (value, purpose) => {
+  const [id, secret] = String(value || '').split('.');
+  const token = id && secret ? db.getTokenById(id) : null;
+
+  const valid = token &&
+    token.purpose === purpose &&
+    new Date(token.expiresAt) > new Date() &&
+    crypto.timingSafeEqual(Buffer.from(token.tokenHash, 'hex'), Buffer.from(hashSecret(secret), 'hex'));
+
+  if (!valid) {
+    throw new BadRequestError('This link is invalid or has expired');
+  }
+
+  db.deleteToken(token.id);
+  return token.userId;
+};
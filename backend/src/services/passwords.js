@@ -0,0 +1,87 @@
+import bcrypt from 'bcryptjs';
+import db from '../config/database.js';
+import { issueToken, consumeToken } from './oneTimeTokens.js';
+import { sentRecently } from './emailThrottle.js';
+import { revokeUserSessions } from './sessions.js';
+import { sendMail } from './mailer.js';
+import { passwordResetEmail, passwordChangedEmail } from './emails.js';
+import { BadRequestError, ConflictError } from '../utils/errors.js';
+
+// Password reset by email and password changes
+
+const RESET_PURPOSE = 'reset-password';
+const RESET_TOKEN_TTL = 60 * 60 * 1000;
+const MIN_PASSWORD_LENGTH = 8;
+
+export const validateNewPassword = (password) => {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw new BadRequestError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters long`);
+  }
+};
+
+// Store a new password and sign the user out of every session. Hashing is slow,
+// so the account is looked at again afterwards; with `checkUnchanged`, a password
+// change or suspension that happened in the meantime is a conflict.
+const setPassword = async (user, password, reason, { checkUnchanged = false } = {}) => {
+  const hashedPassword = await bcrypt.hash(password, 10);
+  const updated = db.transaction(() => {
+    const current = db.getUserById(user.id);
+    if (!current) {
+      throw new BadRequestError('This account no longer exists');
+    }
+    if (checkUnchanged && (current.password !== user.password || current.suspendedAt)) {
+      throw new ConflictError('Your account changed while the password was being updated. Please try again.');
+    }
+
+    const changed = db.updateUser(user.id, {
+      password: hashedPassword,
+      passwordChangedAt: new Date().toISOString()
+    });
+    revokeUserSessions(user.id, reason);
+    return changed;
+  });
+
+  try {
+    await sendMail(passwordChangedEmail(updated));
+  } catch (error) {
+    console.error('Failed to send password changed email:', error);
+  }
+  return updated;
+};
+
+// Send a reset link. Unknown emails, accounts sent a link within the last
+// minute and mailer failures are all silent, so the caller learns nothing
+// about whether the account exists.
+export const requestPasswordReset = async (email) => {
+  const user = db.getUserByEmail(email);
+  if (!user || sentRecently(user.id, RESET_PURPOSE)) return;
+
+  const token = issueToken(user.id, RESET_PURPOSE, RESET_TOKEN_TTL);
+  try {
+    await sendMail(passwordResetEmail(user, token));
+  } catch (error) {
+    console.error('Failed to send password reset email:', error);
+  }
+};
+
+export const resetPassword = async (token, password) => {
+  validateNewPassword(password);
+
+  const user = db.getUserById(consumeToken(token, RESET_PURPOSE));
+  if (!user) {
+    throw new BadRequestError('This link is invalid or has expired');
+  }
+  return setPassword(user, password, 'password-reset');
+};
+
+// Returns null when the current password does not match
+export const changePassword = async (user, currentPassword, newPassword) => {
+  const isPasswordValid = await bcrypt.compare(String(currentPassword || ''), user.password);
+  if (!isPasswordValid) return null;
+
+  validateNewPassword(newPassword);
+  if (await bcrypt.compare(newPassword, user.password)) {
+    throw new BadRequestError('New password must be different from the current password');
+  }
+  return setPassword(user, newPassword, 'password-change', { checkUnchanged: true });
+};
@@ -0,0 +1,161 @@
+import db from '../config/database.js';
+import { getCategoryIds, getCategoryPath, parseIncludeDescendants } from './categoryTree.js';
+
+// Product listing filters and facets
+//
+// Each filter is named after the facet it narrows. A facet is counted over the
+// products that pass every filter except its own, so picking a category still
+// shows the counts of the other categories, and a price range the other ranges.
+
+// `min <= price < max`; the last bucket has no upper bound
+export const PRICE_BUCKETS = [
+  { min: 0, max: 25 },
+  { min: 25, max: 50 },
+  { min: 50, max: 100 },
+  { min: 100, max: 250 },
+  { min: 250, max: 500 },
+  { min: 500, max: 1000 },
+  { min: 1000, max: null }
+];
+
+// "4 stars & up" and so on
+export const RATING_BANDS = [4, 3, 2, 1];
+
+const MAX_TAG_FACETS = 30;
+
+// Comma-separated or repeated query values, e.g. ?tags=apple,premium
+const parseList = (value) => {
+  return (Array.isArray(value) ? value : [value])
+    .flatMap(item => String(item ?? '').split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+};
+
+/**
+ * Filters for a GET /api/products query, as `{ facet, test }` pairs.
+ * `searchResults` is the Map returned by searchProducts, if the query searches.
+ */
+export const buildProductFilters = (query, searchResults = null) => {
+  const { category, includeDescendants, seller, featured, minPrice, maxPrice, tags, inStock, minRating } = query;
+  const filters = [];
+
+  // A category matches its subcategories' products too, unless includeDescendants=false
+  if (category) {
+    const categoryIds = getCategoryIds(category, { includeDescendants: parseIncludeDescendants(includeDescendants) });
+    filters.push({ facet: 'categories', test: p => categoryIds.has(p.categoryId) });
+  }
+  if (seller) {
+    filters.push({ facet: 'sellers', test: p => p.sellerId === seller });
+  }
+  if (searchResults) {
+    filters.push({ facet: 'search', test: p => searchResults.has(p.id) });
+  }
+  if (featured === 'true') {
+    filters.push({ facet: 'featured', test: p => p.featured === true });
+  }
+  if (minPrice || maxPrice) {
+    const min = minPrice ? parseFloat(minPrice) : null;
+    const max = maxPrice ? parseFloat(maxPrice) : null;
+    filters.push({
+      facet: 'price',
+      test: p => (min === null || p.price >= min) && (max === null || p.price <= max)
+    });
+  }
+
+  // A product matches if it has any of the given tags
+  const tagList = parseList(tags).map(tag => tag.toLowerCase());
+  if (tagList.length > 0) {
+    filters.push({
+      facet: 'tags',
+      test: p => (p.tags || []).some(tag => tagList.includes(tag.toLowerCase()))
+    });
+  }
+
+  if (inStock === 'true' || inStock === 'false') {
+    const wanted = inStock === 'true';
+    filters.push({ facet: 'availability', test: p => (p.stock > 0) === wanted });
+  }
+  if (minRating) {
+    const rating = parseFloat(minRating);
+    filters.push({ facet: 'ratings', test: p => (p.rating || 0) >= rating });
+  }
+
+  return filters;
+};
+
+export const applyProductFilters = (products, filters, exceptFacet = null) => {
+  return products.filter(product => {
+    return filters.every(filter => filter.facet === exceptFacet || filter.test(product));
+  });
+};
+
+const countBy = (products, keyOf) => {
+  const counts = new Map();
+  products.forEach(product => {
+    [].concat(keyOf(product)).forEach(key => {
+      if (key !== undefined && key !== null) {
+        counts.set(key, (counts.get(key) || 0) + 1);
+      }
+    });
+  });
+  return counts;
+};
+
+/**
+ * Facet counts for the filtered listing of `catalog` (the full live catalog):
+ * categories (with descendants), price buckets, tags, sellers, availability and
+ * rating bands.
+ */
+export const computeProductFacets = (catalog, filters) => {
+  const without = (facet) => applyProductFilters(catalog, filters, facet);
+
+  // A product counts towards its category and every category above it
+  const categories = db.getCategories();
+  const categoryCounts = countBy(without('categories'), p => getCategoryPath(p.categoryId));
+
+  const priced = without('price');
+  const price = PRICE_BUCKETS.map(({ min, max }) => ({
+    min,
+    max,
+    count: priced.filter(p => p.price >= min && (max === null || p.price < max)).length
+  }));
+
+  const tagCounts = countBy(without('tags'), p => [...new Set((p.tags || []).map(tag => tag.toLowerCase()))]);
+  const tags = [...tagCounts.entries()]
+    .map(([value, count]) => ({ value, count }))
+    .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value))
+    .slice(0, MAX_TAG_FACETS);
+
+  const sellerCounts = countBy(without('sellers'), p => p.sellerId);
+  const sellers = [...sellerCounts.entries()]
+    .map(([id, count]) => {
+      const seller = db.getUserById(id);
+      return { id, name: seller ? `${seller.firstName} ${seller.lastName}` : 'Unknown seller', count };
+    })
+    .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+
+  const stocked = without('availability');
+  const inStockCount = stocked.filter(p => p.stock > 0).length;
+
+  const rated = without('ratings');
+
+  return {
+    categories: categories.map(category => ({
+      id: category.id,
+      name: category.name,
+      parentId: category.parentId || null,
+      count: categoryCounts.get(category.id) || 0
+    })),
+    price,
+    tags,
+    sellers,
+    availability: {
+      inStock: inStockCount,
+      outOfStock: stocked.length - inStockCount
+    },
+    ratings: RATING_BANDS.map(minRating => ({
+      minRating,
+      count: rated.filter(p => (p.rating || 0) >= minRating).length
+    }))
+  };
+};
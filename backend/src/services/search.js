@@ -0,0 +1,324 @@
+import db from '../config/database.js';
+
+// Full-text product search
+//
+// Products are indexed per field into an inverted index (term -> product -> field
+// term frequencies) and ranked with BM25, weighting matches by field. Every query
+// term must match each result, either exactly, as a prefix of an indexed term or
+// within a small edit distance (typo tolerance). The index is dropped when a write
+// changes the text of a product or a category name or parent, and rebuilt by the
+// next search.
+
+// How much a match in each field counts towards the score
+export const FIELD_BOOSTS = {
+  name: 3,
+  sku: 2.5,
+  tags: 2,
+  category: 1.5,
+  specifications: 1,
+  description: 1
+};
+
+// BM25 parameters: term frequency saturation and length normalization
+const K1 = 1.2;
+const B = 0.75;
+
+// Expanded terms score less than the term that was typed
+const PREFIX_WEIGHT = 0.7;
+const FUZZY_WEIGHTS = { 1: 0.6, 2: 0.4 };
+const MIN_PREFIX_LENGTH = 2;
+const MAX_REPORTED_EXPANSIONS = 10;
+
+const STOP_WORDS = new Set(['a', 'an', 'and', 'for', 'in', 'of', 'on', 'or', 'the', 'to', 'with']);
+
+// Description highlights are cut to a snippet around the first match
+const SNIPPET_LENGTH = 160;
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+const normalizeWord = (word) => word.normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase();
+
+export const tokenize = (text) => {
+  return (String(text ?? '').match(WORD_PATTERN) || []).map(normalizeWord);
+};
+
+// Typos allowed for a query term of this length
+const maxEdits = (term) => (term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0);
+
+// Optimal string alignment distance (Levenshtein plus adjacent transpositions),
+// giving up as soon as it must exceed `limit`
+export const editDistance = (a, b, limit = Infinity) => {
+  if (Math.abs(a.length - b.length) > limit) return limit + 1;
+
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const beforePrevious = previousRow;
+    previousRow = row;
+    row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(previousRow[j] + 1, row[j - 1] + 1, previousRow[j - 1] + cost);
+      if (beforePrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, beforePrevious[j - 2] + 1);
+      }
+      row[j] = value;
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > limit) return limit + 1;
+  }
+  return row[b.length];
+};
+
+// Names of a category and its ancestors, so "electronics" finds smartphones
+const categoryNames = (categoryId, categoriesById) => {
+  const names = [];
+  const seen = new Set();
+  let category = categoriesById.get(categoryId);
+  while (category && !seen.has(category.id)) {
+    seen.add(category.id);
+    names.push(category.name);
+    category = categoriesById.get(category.parentId);
+  }
+  return names;
+};
+
+// The searchable text of a product, as a list of values per field
+const productFields = (product, categoriesById) => ({
+  name: [product.name],
+  sku: [product.sku, ...(product.variants || []).map(variant => variant.sku)].filter(Boolean),
+  tags: product.tags || [],
+  category: categoryNames(product.categoryId, categoriesById),
+  specifications: Object.entries(product.specifications || {}).map(([key, value]) => `${key}: ${value}`),
+  description: [product.description]
+});
+
+const buildIndex = (products, categories) => {
+  const categoriesById = new Map(categories.map(category => [category.id, category]));
+  // term -> Map(productId -> { field: frequency })
+  const postings = new Map();
+  // productId -> { field: token count }
+  const lengths = new Map();
+  const totalLengths = Object.fromEntries(Object.keys(FIELD_BOOSTS).map(field => [field, 0]));
+
+  products.forEach(product => {
+    const fieldLengths = {};
+    Object.entries(productFields(product, categoriesById)).forEach(([field, values]) => {
+      const tokens = values.flatMap(tokenize);
+      fieldLengths[field] = tokens.length;
+      totalLengths[field] += tokens.length;
+
+      tokens.forEach(token => {
+        if (!postings.has(token)) postings.set(token, new Map());
+        const frequencies = postings.get(token);
+        if (!frequencies.has(product.id)) frequencies.set(product.id, {});
+        const fieldFrequencies = frequencies.get(product.id);
+        fieldFrequencies[field] = (fieldFrequencies[field] || 0) + 1;
+      });
+    });
+    lengths.set(product.id, fieldLengths);
+  });
+
+  const count = products.length;
+  return {
+    postings,
+    lengths,
+    count,
+    // Sorted so prefix lookups can stop at the first term past the prefix
+    vocabulary: [...postings.keys()].sort(),
+    averageLengths: Object.fromEntries(Object.entries(totalLengths).map(([field, total]) => {
+      return [field, count > 0 ? total / count : 0];
+    }))
+  };
+};
+
+// What the index holds of a record; writes that leave it alone (stock, ratings)
+// keep the index. Deleted records are not indexed at all.
+const indexedText = (collection, record) => {
+  if (!record || record.deletedAt) return null;
+  if (collection === 'categories') {
+    return JSON.stringify([record.name, record.parentId]);
+  }
+  return JSON.stringify([
+    record.name,
+    record.sku,
+    (record.variants || []).map(variant => variant.sku),
+    record.tags,
+    record.categoryId,
+    record.specifications,
+    record.description
+  ]);
+};
+
+let cachedIndex = null;
+
+db.onChange((collection, before, after) => {
+  const indexed = collection === 'products' || collection === 'categories';
+  if (collection === null || (indexed && indexedText(collection, before) !== indexedText(collection, after))) {
+    cachedIndex = null;
+  }
+});
+
+// The current index, built on the first search after a change
+export const getIndex = () => {
+  if (!cachedIndex) {
+    cachedIndex = buildIndex(db.getProducts(), db.getCategories());
+  }
+  return cachedIndex;
+};
+
+// Indexed terms a query term stands for, with the weight of each
+const expandTerm = (term, index) => {
+  const expansions = new Map();
+  if (index.postings.has(term)) {
+    expansions.set(term, 1);
+  }
+
+  if (term.length >= MIN_PREFIX_LENGTH) {
+    let low = 0;
+    let high = index.vocabulary.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (index.vocabulary[middle] < term) low = middle + 1;
+      else high = middle;
+    }
+    for (let i = low; i < index.vocabulary.length && index.vocabulary[i].startsWith(term); i++) {
+      if (!expansions.has(index.vocabulary[i])) {
+        expansions.set(index.vocabulary[i], PREFIX_WEIGHT);
+      }
+    }
+  }
+
+  const limit = maxEdits(term);
+  if (limit > 0) {
+    index.vocabulary.forEach(candidate => {
+      if (expansions.has(candidate)) return;
+      const distance = editDistance(term, candidate, limit);
+      if (distance <= limit) {
+        expansions.set(candidate, FUZZY_WEIGHTS[distance]);
+      }
+    });
+  }
+
+  return expansions;
+};
+
+// BM25 contribution of one indexed term to one product, summed over boosted fields
+const scoreTerm = (index, term, productId) => {
+  const frequencies = index.postings.get(term);
+  const documentFrequency = frequencies.size;
+  const idf = Math.log(1 + (index.count - documentFrequency + 0.5) / (documentFrequency + 0.5));
+  const fieldLengths = index.lengths.get(productId);
+
+  return Object.entries(frequencies.get(productId)).reduce((sum, [field, frequency]) => {
+    const relativeLength = index.averageLengths[field] > 0 ? fieldLengths[field] / index.averageLengths[field] : 1;
+    const saturated = (frequency * (K1 + 1)) / (frequency + K1 * (1 - B + B * relativeLength));
+    return sum + FIELD_BOOSTS[field] * idf * saturated;
+  }, 0);
+};
+
+// Character ranges of the words in `text` that are among `terms`
+const findMatches = (text, terms) => {
+  const matches = [];
+  for (const match of String(text).matchAll(WORD_PATTERN)) {
+    if (terms.has(normalizeWord(match[0]))) {
+      matches.push([match.index, match.index + match[0].length]);
+    }
+  }
+  return matches;
+};
+
+// Cut long text to a window around the first match, shifting the ranges with it
+const toSnippet = (text, matches) => {
+  if (text.length <= SNIPPET_LENGTH) return { text, matches };
+
+  const start = Math.max(0, Math.min(matches[0][0] - SNIPPET_LENGTH / 4, text.length - SNIPPET_LENGTH));
+  const end = start + SNIPPET_LENGTH;
+  const prefix = start > 0 ? '…' : '';
+  return {
+    text: `${prefix}${text.slice(start, end)}${end < text.length ? '…' : ''}`,
+    matches: matches
+      .filter(([from, to]) => from >= start && to <= end)
+      .map(([from, to]) => [from - start + prefix.length, to - start + prefix.length])
+  };
+};
+
+/**
+ * Highlights of the matched terms in a product: one entry per matching field
+ * value, with the `[start, end)` character ranges to emphasize. `terms` is the
+ * `matchedTerms` set searchProducts returned for the product.
+ */
+export const buildHighlights = (product, terms) => {
+  const categoriesById = new Map(db.getCategories().map(category => [category.id, category]));
+  const highlights = [];
+  Object.entries(productFields(product, categoriesById)).forEach(([field, values]) => {
+    values.forEach(value => {
+      const text = String(value);
+      const matches = findMatches(text, terms);
+      if (matches.length === 0) return;
+      highlights.push({ field, ...(field === 'description' ? toSnippet(text, matches) : { text, matches }) });
+    });
+  });
+  return highlights;
+};
+
+// Query terms without stop words, unless the query is nothing but stop words
+export const parseQuery = (query) => {
+  const terms = [...new Set(tokenize(query))];
+  const meaningful = terms.filter(term => !STOP_WORDS.has(term));
+  return meaningful.length > 0 ? meaningful : terms;
+};
+
+/**
+ * Search the live catalog. Returns a Map of product id -> { score, matchedTerms }
+ * holding only products that match every query term, plus the indexed terms
+ * each query term was expanded to (for "showing results for" hints). Highlights
+ * are left to buildHighlights, for the results that are actually shown.
+ */
+export const searchProducts = (query) => {
+  const queryTerms = parseQuery(query);
+  const results = new Map();
+  if (queryTerms.length === 0) {
+    return { results, terms: {} };
+  }
+
+  const index = getIndex();
+  const expansions = queryTerms.map(term => [term, expandTerm(term, index)]);
+
+  // Candidates must contain some expansion of every query term
+  let candidates = null;
+  expansions.forEach(([, expanded]) => {
+    const matching = new Set();
+    expanded.forEach((_, term) => index.postings.get(term).forEach((_, productId) => matching.add(productId)));
+    candidates = candidates ? new Set([...candidates].filter(id => matching.has(id))) : matching;
+  });
+
+  candidates.forEach(productId => {
+    const matchedTerms = new Set();
+    // Each query term counts once, through its best-scoring expansion
+    const score = expansions.reduce((sum, [, expanded]) => {
+      let best = 0;
+      let bestTerm = null;
+      expanded.forEach((weight, term) => {
+        if (!index.postings.get(term).has(productId)) return;
+        const termScore = weight * scoreTerm(index, term, productId);
+        if (termScore > best) {
+          best = termScore;
+          bestTerm = term;
+        }
+      });
+      if (bestTerm) matchedTerms.add(bestTerm);
+      return sum + best;
+    }, 0);
+
+    results.set(productId, { score: parseFloat(score.toFixed(4)), matchedTerms });
+  });
+
+  return {
+    results,
+    terms: Object.fromEntries(expansions.map(([term, expanded]) => {
+      return [term, [...expanded.keys()].slice(0, MAX_REPORTED_EXPANSIONS)];
+    }))
+  };
+};
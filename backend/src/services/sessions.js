@@ -0,0 +1,184 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { v4 as uuidv4 } from 'uuid';
+import db from '../config/database.js';
+import { UnauthorizedError } from '../utils/errors.js';
+
+// Login sessions with short-lived access tokens and rotating refresh tokens
+//
+// Each login starts a session (a refresh token "family"). The access token is a
+// JWT carrying the session id (`sid`), so revoking the session invalidates it
+// immediately. The refresh token is `<sessionId>.<secret>`; only a hash of the
+// current secret is stored, and every refresh replaces it. Presenting an older
+// secret means the token was copied, so the whole session is revoked.
+
+const DAY = 24 * 60 * 60 * 1000;
+// Last-seen times are only written once a minute, not on every request
+const LAST_SEEN_RESOLUTION = 60 * 1000;
+
+const getSecret = () => process.env.JWT_SECRET || 'default-development-secret-key-change-in-production';
+
+const getRefreshTtl = () => {
+  const days = parseFloat(process.env.REFRESH_TOKEN_TTL_DAYS);
+  return (Number.isFinite(days) && days > 0 ? days : 30) * DAY;
+};
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const isActive = (session, now = new Date()) => {
+  return Boolean(session) && !session.revokedAt && new Date(session.expiresAt) > now;
+};
+
+const signAccessToken = (user, sessionId) => {
+  return jwt.sign(
+    { id: user.id, email: user.email, role: user.role, sid: sessionId },
+    getSecret(),
+    { expiresIn: process.env.JWT_EXPIRES_IN || '15m' }
+  );
+};
+
+// Give the session a fresh refresh secret and return both tokens
+const issueTokens = (user, session, now) => {
+  const secret = crypto.randomBytes(32).toString('base64url');
+  db.updateSession(session.id, {
+    tokenHash: hashSecret(secret),
+    lastUsedAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + getRefreshTtl()).toISOString()
+  });
+
+  return {
+    token: signAccessToken(user, session.id),
+    refreshToken: `${session.id}.${secret}`
+  };
+};
+
+// Drop a user's sessions that can no longer be used
+const pruneSessions = (userId, now) => {
+  db.getSessionsByUser(userId)
+    .filter(session => !isActive(session, now))
+    .forEach(session => db.deleteSession(session.id));
+};
+
+export const startSession = (user, req) => {
+  const now = new Date();
+  pruneSessions(user.id, now);
+
+  const session = db.createSession({
+    id: uuidv4(),
+    userId: user.id,
+    tokenHash: null,
+    userAgent: req.get('User-Agent') || null,
+    ip: req.ip || null,
+    createdAt: now.toISOString(),
+    lastUsedAt: now.toISOString(),
+    expiresAt: now.toISOString(),
+    revokedAt: null,
+    revokedReason: null
+  });
+
+  return issueTokens(user, session, now);
+};
+
+const findSession = (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  const session = sessionId && secret ? db.getSessionById(sessionId) : null;
+  return { session, secret };
+};
+
+// Exchange a refresh token for a new access token and refresh token
+export const refreshSession = (refreshToken) => {
+  const now = new Date();
+  const { session, secret } = findSession(refreshToken);
+
+  if (!isActive(session, now)) {
+    throw new UnauthorizedError('Session has expired or was revoked. Please log in again.');
+  }
+
+  const expected = Buffer.from(session.tokenHash || '', 'hex');
+  const presented = Buffer.from(hashSecret(secret), 'hex');
+  if (expected.length !== presented.length || !crypto.timingSafeEqual(expected, presented)) {
+    // An old token from this family was replayed: assume it leaked
+    revokeSession(session.id, 'reuse');
+    throw new UnauthorizedError('Session has expired or was revoked. Please log in again.');
+  }
+
+  const user = db.getUserById(session.userId);
+  if (!user) {
+    revokeSession(session.id, 'user-deleted');
+    throw new UnauthorizedError('This account no longer exists.');
+  }
+  if (user.suspendedAt) {
+    revokeSession(session.id, 'user-suspended');
+    throw new UnauthorizedError('This account has been suspended.');
+  }
+
+  return issueTokens(user, session, now);
+};
+
+export const revokeSession = (sessionId, reason = 'logout') => {
+  const session = db.getSessionById(sessionId);
+  if (!session || session.revokedAt) return session || null;
+
+  return db.updateSession(sessionId, {
+    revokedAt: new Date().toISOString(),
+    revokedReason: reason
+  });
+};
+
+// Sign a user out everywhere, e.g. after a password change
+export const revokeUserSessions = (userId, reason) => {
+  db.getSessionsByUser(userId)
+    .filter(session => !session.revokedAt)
+    .forEach(session => revokeSession(session.id, reason));
+};
+
+// Active sessions of a user, most recently used first
+export const listUserSessions = (userId) => {
+  const now = new Date();
+  return db.getSessionsByUser(userId)
+    .filter(session => isActive(session, now))
+    .sort((a, b) => new Date(b.lastUsedAt) - new Date(a.lastUsedAt))
+    .map(({ id, userAgent, ip, createdAt, lastUsedAt, expiresAt }) => ({
+      id,
+      userAgent,
+      ip,
+      createdAt,
+      lastUsedAt,
+      expiresAt
+    }));
+};
+
+// Sign out every other device, keeping the session the request came from
+export const revokeOtherSessions = (userId, keepSessionId, reason = 'logout-others') => {
+  const others = db.getSessionsByUser(userId)
+    .filter(session => !session.revokedAt && session.id !== keepSessionId);
+  others.forEach(session => revokeSession(session.id, reason));
+  return others.length;
+};
+
+// Record that a session was just used, and from which IP
+export const touchSession = (sessionId, req) => {
+  const session = db.getSessionById(sessionId);
+  if (!session) return;
+
+  const now = new Date();
+  if (now - new Date(session.lastUsedAt) < LAST_SEEN_RESOLUTION && session.ip === (req.ip || null)) return;
+
+  db.updateSession(sessionId, {
+    lastUsedAt: now.toISOString(),
+    ip: req.ip || null
+  });
+};
+
+// Session id a refresh token belongs to, if it names one
+export const getRefreshTokenSessionId = (refreshToken) => findSession(refreshToken).session?.id || null;
+
+// Verify an access token and check its session is still active
+export const verifyAccessToken = (token) => {
+  const decoded = jwt.verify(token, getSecret());
+
+  if (!decoded.sid || !isActive(db.getSessionById(decoded.sid))) {
+    throw new UnauthorizedError('Session has expired or was revoked. Please log in again.');
+  }
+  return decoded;
+};
@@ -0,0 +1,157 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import db from '../config/database.js';
+import { generateSecret, verifyCode, buildOtpauthUri } from './totp.js';
+import { BadRequestError, UnauthorizedError } from '../utils/errors.js';
+
+// TOTP two-factor authentication for sellers and admins
+//
+// Secrets and recovery codes live in the `twoFactor` collection (one record per
+// user, keyed by user id) so they never travel with user records; the user only
+// carries a `twoFactorEnabled` flag. Admins can make 2FA mandatory per role.
+
+export const TWO_FACTOR_ROLES = ['seller', 'admin'];
+
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_TTL = '5m';
+const SETTINGS_ID = 'twoFactor';
+
+const getSecret = () => process.env.JWT_SECRET || 'default-development-secret-key-change-in-production';
+const getIssuer = () => process.env.TWO_FACTOR_ISSUER || 'Marketplace';
+
+const hashRecoveryCode = (code) => {
+  return crypto.createHash('sha256').update(code.replace(/[\s-]/g, '').toLowerCase()).digest('hex');
+};
+
+// Ten codes like `4f9a-c21e`, shown to the user once
+const generateRecoveryCodes = () => {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(4).toString('hex');
+    return `${hex.slice(0, 4)}-${hex.slice(4)}`;
+  });
+};
+
+// Roles that must use 2FA
+export const getRequiredRoles = () => db.getSetting(SETTINGS_ID)?.requiredRoles || [];
+
+export const setRequiredRoles = (roles) => {
+  return db.saveSetting({ id: SETTINGS_ID, requiredRoles: roles, updatedAt: new Date().toISOString() });
+};
+
+export const isTwoFactorRequired = (user) => getRequiredRoles().includes(user.role);
+
+// A user whose role requires 2FA but who has not enrolled yet
+export const needsTwoFactorSetup = (user) => isTwoFactorRequired(user) && !user.twoFactorEnabled;
+
+export const getTwoFactorStatus = (user) => {
+  const record = db.getTwoFactor(user.id);
+  return {
+    available: TWO_FACTOR_ROLES.includes(user.role),
+    enabled: Boolean(user.twoFactorEnabled),
+    required: isTwoFactorRequired(user),
+    recoveryCodesRemaining: user.twoFactorEnabled ? record?.recoveryCodes.length || 0 : 0
+  };
+};
+
+// Start (or restart) enrollment: a new secret that becomes active once a code from it is verified
+export const beginEnrollment = (user) => {
+  if (!TWO_FACTOR_ROLES.includes(user.role)) {
+    throw new BadRequestError('Two-factor authentication is available for sellers and admins');
+  }
+  if (user.twoFactorEnabled) {
+    throw new BadRequestError('Two-factor authentication is already enabled');
+  }
+
+  const secret = generateSecret();
+  db.saveTwoFactor({
+    id: user.id,
+    pendingSecret: secret,
+    secret: null,
+    recoveryCodes: [],
+    lastUsedStep: null,
+    enabledAt: null
+  });
+
+  return {
+    secret,
+    otpauthUri: buildOtpauthUri({ secret, account: user.email, issuer: getIssuer() })
+  };
+};
+
+// Confirm enrollment with a code from the app; returns the recovery codes
+export const completeEnrollment = (user, code) => {
+  const record = db.getTwoFactor(user.id);
+  if (!record?.pendingSecret) {
+    throw new BadRequestError('Start two-factor setup first');
+  }
+
+  const step = verifyCode(record.pendingSecret, code);
+  if (step === null) {
+    throw new BadRequestError('Invalid authentication code');
+  }
+
+  const recoveryCodes = generateRecoveryCodes();
+  db.transaction(() => {
+    db.saveTwoFactor({
+      ...record,
+      secret: record.pendingSecret,
+      pendingSecret: null,
+      recoveryCodes: recoveryCodes.map(hashRecoveryCode),
+      lastUsedStep: step,
+      enabledAt: new Date().toISOString()
+    });
+    db.updateUser(user.id, { twoFactorEnabled: true });
+  });
+  return recoveryCodes;
+};
+
+// Check a TOTP code or a recovery code (each recovery code works once)
+export const verifySecondFactor = (user, { code, recoveryCode }) => {
+  const record = db.getTwoFactor(user.id);
+  if (!user.twoFactorEnabled || !record?.secret) return false;
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(String(recoveryCode));
+    if (!record.recoveryCodes.includes(hash)) return false;
+    db.saveTwoFactor({ ...record, recoveryCodes: record.recoveryCodes.filter(h => h !== hash) });
+    return true;
+  }
+
+  const step = verifyCode(record.secret, code);
+  // A code can only be used once, even within its time window
+  if (step === null || (record.lastUsedStep !== null && step <= record.lastUsedStep)) return false;
+  db.saveTwoFactor({ ...record, lastUsedStep: step });
+  return true;
+};
+
+export const regenerateRecoveryCodes = (user, code) => {
+  if (!verifySecondFactor(user, { code })) {
+    throw new BadRequestError('Invalid authentication code');
+  }
+  const recoveryCodes = generateRecoveryCodes();
+  db.saveTwoFactor({ ...db.getTwoFactor(user.id), recoveryCodes: recoveryCodes.map(hashRecoveryCode) });
+  return recoveryCodes;
+};
+
+// Turn 2FA off for a user (by the user with a valid code, or by an admin)
+export const removeTwoFactor = (userId) => {
+  db.transaction(() => {
+    db.deleteTwoFactor(userId);
+    db.updateUser(userId, { twoFactorEnabled: false });
+  });
+};
+
+// Short-lived token proving the password step of a login succeeded
+export const createLoginChallenge = (user) => {
+  return jwt.sign({ id: user.id, purpose: 'login-2fa' }, getSecret(), { expiresIn: CHALLENGE_TTL });
+};
+
+export const verifyLoginChallenge = (challengeToken) => {
+  try {
+    const decoded = jwt.verify(String(challengeToken || ''), getSecret());
+    if (decoded.purpose !== 'login-2fa') throw new Error('Wrong token purpose');
+    return decoded.id;
+  } catch (error) {
+    throw new UnauthorizedError('Login challenge has expired. Please log in again.');
+  }
+};
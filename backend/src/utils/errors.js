@@ -0,0 +1,33 @@
+// Errors carrying an HTTP status; errorHandler responds with `status` and `message`
+
+export class AppError extends Error {
+  constructor(message, status = 500) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+  }
+}
+
+export class BadRequestError extends AppError {
+  constructor(message = 'Bad request') {
+    super(message, 400);
+  }
+}
+
+export class UnauthorizedError extends AppError {
+  constructor(message = 'Authentication required') {
+    super(message, 401);
+  }
+}
+
+export class NotFoundError extends AppError {
+  constructor(message = 'Resource not found') {
+    super(message, 404);
+  }
+}
+
+export class ConflictError extends AppError {
+  constructor(message = 'Conflict') {
+    super(message, 409);
+  }
+}
@@ -0,0 +1,17 @@
+// ETag / If-Match helpers for versioned records (see config/versioning.js)
+
+export const toETag = (record) => `"${record.version || 1}"`;
+
+export const setETag = (res, record) => res.set('ETag', toETag(record));
+
+// True when the request has no If-Match header or it names the record's current version.
+// If-Match is optional on purpose: scripts and API keys that do not track
+// versions keep working, and only clients that send it get conflict detection.
+// If-Match uses the strong comparison (RFC 9110), so weak W/ tags never match.
+export const matchesIfMatch = (req, record) => {
+  const header = req.get('If-Match');
+  if (!header || header.trim() === '*') return true;
+
+  const etag = toETag(record);
+  return header.split(',').some(tag => tag.trim() === etag);
+};
@@ -0,0 +1,172 @@
+import { BadRequestError } from './errors.js';
+
+// Listing pagination
+//
+// Listings sort a copy of their records (never the stored array) by a sort spec,
+// a list of `{ value: record => sortValue, direction: 'asc' | 'desc' }` keys, with
+// the record id as a final tie-breaker so the order is total and stable. Records
+// that already come in that order, as the store usually returns them for the
+// default spec, are not sorted again.
+//
+// Pages are addressed either by `page` (offset) or by an opaque `cursor` that
+// encodes the sort values of the record a page ends (or starts) at. Cursor pages
+// do not shift when records are added or removed before them.
+
+export const DEFAULT_LIMIT = 20;
+export const MAX_LIMIT = 100;
+
+const collator = new Intl.Collator('en', { numeric: true, sensitivity: 'base' });
+
+// Missing values sort last in either direction
+const compareValues = (a, b) => {
+  const aMissing = a === undefined || a === null;
+  const bMissing = b === undefined || b === null;
+  if (aMissing || bMissing) return aMissing === bMissing ? 0 : aMissing ? 1 : -1;
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return collator.compare(String(a), String(b));
+};
+
+// Shorter ids first, so sequential ids (prod-2, prod-10) keep their numeric
+// order, then plain < and >. Unlike a collator, no two distinct ids compare
+// equal, so cursors can neither skip nor repeat a record.
+const compareIds = (a, b) => {
+  if (a.length !== b.length) return a.length - b.length;
+  return a < b ? -1 : a > b ? 1 : 0;
+};
+
+// Compare two positions: sort values followed by the id
+const comparePositions = (spec, a, b) => {
+  for (let i = 0; i < spec.length; i++) {
+    const missing = a.values[i] === undefined || a.values[i] === null || b.values[i] === undefined || b.values[i] === null;
+    const result = compareValues(a.values[i], b.values[i]);
+    if (result !== 0) {
+      return spec[i].direction === 'desc' && !missing ? -result : result;
+    }
+  }
+  return compareIds(a.id, b.id);
+};
+
+const positionOf = (spec, record) => ({
+  values: spec.map(key => key.value(record) ?? null),
+  id: String(record.id)
+});
+
+// A sorted copy of `records`
+export const sortRecords = (records, spec) => {
+  // One pass to find out whether a sort is needed at all
+  let previous = records.length > 0 ? positionOf(spec, records[0]) : null;
+  const inOrder = records.every((record, index) => {
+    if (index === 0) return true;
+    const position = positionOf(spec, record);
+    const ordered = comparePositions(spec, previous, position) < 0;
+    previous = position;
+    return ordered;
+  });
+  if (inOrder) return [...records];
+
+  return records
+    .map(record => ({ record, position: positionOf(spec, record) }))
+    .sort((a, b) => comparePositions(spec, a.position, b.position))
+    .map(({ record }) => record);
+};
+
+const encodeCursor = (sortName, position, direction) => {
+  const payload = { s: sortName, v: position.values, id: position.id, d: direction };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+const decodeCursor = (cursor, sortName, spec) => {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch {
+    throw new BadRequestError('Invalid cursor');
+  }
+
+  if (!payload || typeof payload !== 'object') {
+    throw new BadRequestError('Invalid cursor');
+  }
+  if (payload.s !== sortName) {
+    throw new BadRequestError('Cursor belongs to a different sort order; start again without a cursor');
+  }
+  const valid = typeof payload.id === 'string' &&
+    Array.isArray(payload.v) && payload.v.length === spec.length &&
+    (payload.d === 'next' || payload.d === 'prev');
+  if (!valid) {
+    throw new BadRequestError('Invalid cursor');
+  }
+  return { position: { values: payload.v, id: payload.id }, direction: payload.d };
+};
+
+const parsePositiveInteger = (value, name, fallback) => {
+  if (value === undefined || value === '') return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new BadRequestError(`${name} must be a positive integer`);
+  }
+  return number;
+};
+
+/**
+ * Sort and page a listing.
+ *
+ * @param {Array} records - Filtered records, in any order (left untouched)
+ * @param {Object} options
+ * @param {Array} options.sort - Sort spec (see above); the id breaks ties
+ * @param {string} options.sortName - Name of the sort, bound into cursors
+ * @param {Object} options.query - Request query: `cursor`, `page`, `limit`
+ * @returns {{ items: Array, pagination: Object }} The page and its pagination
+ *   block: `limit`, `total`, `nextCursor`, `prevCursor`, plus `page` and
+ *   `pages` when paging by offset
+ */
+export const paginate = (records, { sort = [], sortName = 'default', query = {} } = {}) => {
+  const limit = Math.min(parsePositiveInteger(query.limit, 'limit', DEFAULT_LIMIT), MAX_LIMIT);
+  const sorted = sortRecords(records, sort);
+
+  let start;
+  let page = null;
+  if (query.cursor) {
+    const { position, direction } = decodeCursor(query.cursor, sortName, sort);
+    // Binary search for the first record at or after the cursor (`inclusive`), or after it
+    const firstIndex = (inclusive) => {
+      let low = 0;
+      let high = sorted.length;
+      while (low < high) {
+        const middle = (low + high) >> 1;
+        const order = comparePositions(sort, positionOf(sort, sorted[middle]), position);
+        if (order > 0 || (inclusive && order === 0)) {
+          high = middle;
+        } else {
+          low = middle + 1;
+        }
+      }
+      return low;
+    };
+
+    if (direction === 'next') {
+      // The page starting right after the cursor record
+      start = firstIndex(false);
+    } else {
+      // The page ending right before the cursor record
+      start = Math.max(0, firstIndex(true) - limit);
+    }
+  } else {
+    page = parsePositiveInteger(query.page, 'page', 1);
+    start = (page - 1) * limit;
+  }
+
+  const items = sorted.slice(start, start + limit);
+  // Cursors point from the edges of this page, so an empty page has none
+  const hasNext = items.length > 0 && start + items.length < sorted.length;
+  const hasPrev = items.length > 0 && start > 0;
+
+  const pagination = {
+    limit,
+    total: sorted.length,
+    ...(page !== null && { page, pages: Math.ceil(sorted.length / limit) }),
+    nextCursor: hasNext ? encodeCursor(sortName, positionOf(sort, items[items.length - 1]), 'next') : null,
+    prevCursor: hasPrev ? encodeCursor(sortName, positionOf(sort, items[0]), 'prev') : null
+  };
+
+  return { items, pagination };
+};
@@ -0,0 +1,11 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+// Per-request context that follows the request through async calls, so code
+// far from the route handler (e.g. the database layer) can tell who is acting
+
+const storage = new AsyncLocalStorage();
+
+export const runWithRequestContext = (context, fn) => storage.run(context, fn);
+
+// Undefined outside of a request (startup seeding, scheduled jobs, CLI scripts)
+export const getRequestContext = () => storage.getStore();
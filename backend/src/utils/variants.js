@@ -0,0 +1,135 @@
+import { v4 as uuidv4 } from 'uuid';
+import { BadRequestError } from './errors.js';
+
+// Product variants
+//
+// A product may declare option axes (`options: [{ name: 'size', values: ['8', '9'] }]`)
+// and one variant per purchasable combination:
+//   { id, sku, options: { size: '9', color: 'White' }, price, stock, images }
+// `price: null` means the product price applies. When a product has variants its
+// `stock` is the sum of their stock, so listings keep working unchanged.
+
+export const hasVariants = (product) => Boolean(product?.variants?.length);
+
+export const findVariant = (product, variantId) => {
+  return product?.variants?.find(variant => variant.id === variantId) || null;
+};
+
+export const getVariantPrice = (product, variant) => {
+  return variant && variant.price !== null && variant.price !== undefined ? variant.price : product.price;
+};
+
+export const sumVariantStock = (variants) => variants.reduce((sum, variant) => sum + variant.stock, 0);
+
+// "size: 9 / color: White" for order lines and messages
+export const describeVariant = (variant) => {
+  return Object.entries(variant.options).map(([name, value]) => `${name}: ${value}`).join(' / ');
+};
+
+const normalizeOptions = (options) => {
+  if (!Array.isArray(options)) {
+    throw new BadRequestError('options must be a list of { name, values }');
+  }
+
+  const names = new Set();
+  return options.map(option => {
+    const name = typeof option?.name === 'string' ? option.name.trim() : '';
+    if (!name) {
+      throw new BadRequestError('Every option needs a name');
+    }
+    if (names.has(name.toLowerCase())) {
+      throw new BadRequestError(`Option ${name} is listed twice`);
+    }
+    names.add(name.toLowerCase());
+
+    const values = Array.isArray(option.values) ? option.values.map(value => String(value).trim()) : [];
+    if (values.length === 0 || values.some(value => !value) || new Set(values).size !== values.length) {
+      throw new BadRequestError(`Option ${name} needs a list of distinct, non-empty values`);
+    }
+    return { name, values };
+  });
+};
+
+/**
+ * Validate the option axes and variants sent for a product and return them in
+ * stored form, along with the product stock they add up to. Variants keep the
+ * id (and, unless given a new one, the SKU) of an existing variant they name;
+ * new ones get a fresh id and, without a SKU, one derived from the product SKU.
+ */
+export const normalizeVariants = ({ options, variants }, { existing = [], baseSku = 'SKU' } = {}) => {
+  const normalizedOptions = normalizeOptions(options || []);
+
+  if (!Array.isArray(variants || [])) {
+    throw new BadRequestError('variants must be a list');
+  }
+  const list = variants || [];
+  if (normalizedOptions.length === 0 && list.length > 0) {
+    throw new BadRequestError('Variants need options to vary by');
+  }
+  if (normalizedOptions.length > 0 && list.length === 0) {
+    throw new BadRequestError('Products with options need at least one variant');
+  }
+
+  const existingById = new Map(existing.map(variant => [variant.id, variant]));
+  const combinations = new Set();
+  const skus = new Set();
+
+  const normalizedVariants = list.map((variant, index) => {
+    if (!variant || typeof variant !== 'object') {
+      throw new BadRequestError(`Variant ${index + 1} must be an object`);
+    }
+
+    const selected = {};
+    normalizedOptions.forEach(({ name, values }) => {
+      const value = variant.options?.[name] === undefined ? undefined : String(variant.options[name]).trim();
+      if (!values.includes(value)) {
+        throw new BadRequestError(`Variant ${index + 1} needs a ${name} from: ${values.join(', ')}`);
+      }
+      selected[name] = value;
+    });
+    const unknown = Object.keys(variant.options || {}).filter(name => !(name in selected));
+    if (unknown.length > 0) {
+      throw new BadRequestError(`Variant ${index + 1} has unknown options: ${unknown.join(', ')}`);
+    }
+
+    const combination = JSON.stringify(selected);
+    if (combinations.has(combination)) {
+      throw new BadRequestError(`More than one variant for ${describeVariant({ options: selected })}`);
+    }
+    combinations.add(combination);
+
+    const current = existingById.get(variant.id);
+    const sku = variant.sku ? String(variant.sku).trim() : current?.sku || `${baseSku}-${index + 1}`;
+    if (skus.has(sku)) {
+      throw new BadRequestError(`SKU ${sku} is used by more than one variant`);
+    }
+    skus.add(sku);
+
+    const stock = Number(variant.stock ?? 0);
+    if (!Number.isInteger(stock) || stock < 0) {
+      throw new BadRequestError(`Variant ${sku} needs a stock of zero or more`);
+    }
+
+    const price = variant.price === undefined || variant.price === null || variant.price === ''
+      ? null
+      : Number(variant.price);
+    if (price !== null && !(Number.isFinite(price) && price > 0)) {
+      throw new BadRequestError(`Variant ${sku} has an invalid price`);
+    }
+
+    return {
+      id: current ? current.id : `var-${uuidv4()}`,
+      sku,
+      options: selected,
+      price,
+      stock,
+      images: Array.isArray(variant.images) ? variant.images : []
+    };
+  });
+
+  return {
+    options: normalizedOptions,
+    variants: normalizedVariants,
+    stock: sumVariantStock(normalizedVariants)
+  };
+};
@@ -0,0 +1,103 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, resetData, loginToken, db, USERS } from './helpers.js';
+
+describe('API keys', () => {
+  let api;
+  let close;
+  let seller;
+
+  const createKey = async (scopes, extra = {}) => {
+    const { status, body } = await api('POST', '/api-keys', { token: seller, body: { name: 'Shop sync', scopes, ...extra } });
+    assert.equal(status, 201);
+    return body.data;
+  };
+
+  before(async () => {
+    ({ api, close } = await startServer());
+  });
+  beforeEach(async () => {
+    resetData();
+    seller = await loginToken(api, USERS.seller);
+  });
+  after(() => close());
+
+  it('are shown once and listed without their secret', async () => {
+    const created = await createKey(['products:read']);
+    assert.match(created.key, /^mk_[\w-]+\.[\w-]+$/);
+    assert.equal(created.secretHash, undefined);
+
+    const { body } = await api('GET', '/api-keys', { token: seller });
+    assert.equal(body.data.apiKeys.length, 1);
+    assert.equal(body.data.apiKeys[0].key, undefined);
+    assert.equal(body.data.apiKeys[0].secretHash, undefined);
+    assert.equal(body.data.apiKeys[0].hint, created.key.slice(-4));
+  });
+
+  it('act as their owner within their scopes', async () => {
+    const { key } = await createKey(['products:write']);
+
+    const updated = await api('PUT', '/products/prod-1', { apiKey: key, body: { price: 899 } });
+    assert.equal(updated.status, 200);
+    assert.equal((await api('PUT', '/products/prod-3', { apiKey: key, body: { price: 1 } })).status, 403);
+
+    const unscoped = await api('GET', '/orders', { apiKey: key });
+    assert.equal(unscoped.status, 403);
+    assert.equal(unscoped.body.message, 'This API key does not have the orders:read scope.');
+    // Keys never replace a login
+    const profile = await api('GET', '/auth/profile', { apiKey: key });
+    assert.equal(profile.status, 403);
+    assert.equal(profile.body.message, 'API keys cannot be used for this endpoint.');
+    assert.equal((await api('POST', '/api-keys', { apiKey: key, body: { name: 'More', scopes: ['orders:read'] } })).status, 403);
+  });
+
+  it('only reach the orders for the seller\'s own products', async () => {
+    const { key } = await createKey(['orders:read', 'orders:write']);
+
+    const { body } = await api('GET', '/orders', { apiKey: key });
+    assert.deepEqual(body.data.map(order => order.id).sort(), ['order-1', 'order-3']);
+    assert.equal((await api('GET', '/orders/order-1', { apiKey: key })).status, 200);
+    assert.equal((await api('GET', '/orders/order-2', { apiKey: key })).status, 403);
+
+    const shipped = await api('PUT', '/orders/order-3/status', { apiKey: key, body: { status: 'processing' } });
+    assert.equal(shipped.status, 200);
+    assert.equal((await api('PUT', '/orders/order-2/status', { apiKey: key, body: { status: 'processing' } })).status, 403);
+  });
+
+  it('stop working once revoked or expired', async () => {
+    const revoked = await createKey(['products:read']);
+    assert.equal((await api('GET', '/products/prod-1', { apiKey: revoked.key })).status, 200);
+    assert.equal((await api('DELETE', `/api-keys/${revoked.id}`, { token: seller })).status, 200);
+    assert.equal((await api('GET', '/products/prod-1', { apiKey: revoked.key })).status, 401);
+
+    const expired = await createKey(['products:read'], { expiresInDays: 1 });
+    db.updateApiKey(expired.id, { expiresAt: new Date(Date.now() - 1000).toISOString() });
+    assert.equal((await api('GET', '/products/prod-1', { apiKey: expired.key })).status, 401);
+
+    assert.equal((await api('GET', '/products/prod-1', { apiKey: 'mk_forged.secret' })).status, 401);
+  });
+
+  it('die with the owner\'s seller role', async () => {
+    const { key } = await createKey(['products:read', 'orders:read']);
+    db.updateUser('user-2', { role: 'buyer' });
+
+    const { status, body } = await api('GET', '/orders', { apiKey: key });
+    assert.equal(status, 403);
+    assert.equal(body.message, 'This API key belongs to an account that is no longer a seller.');
+    assert.equal((await api('GET', '/products/prod-1', { apiKey: key })).status, 403);
+  });
+
+  it('are for sellers only and need a name and known scopes', async () => {
+    const buyer = await loginToken(api, USERS.buyer);
+    assert.equal((await api('POST', '/api-keys', { token: buyer, body: { name: 'Mine', scopes: ['products:read'] } })).status, 403);
+
+    const nameless = await api('POST', '/api-keys', { token: seller, body: { scopes: ['products:read'] } });
+    assert.equal(nameless.status, 400);
+    const unknown = await api('POST', '/api-keys', { token: seller, body: { name: 'All', scopes: ['admin'] } });
+    assert.equal(unknown.status, 400);
+
+    const other = await loginToken(api, USERS.otherSeller);
+    const { id } = await createKey(['products:read']);
+    assert.equal((await api('DELETE', `/api-keys/${id}`, { token: other })).status, 404);
+  });
+});
@@ -0,0 +1,99 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, resetData, loginToken, USERS, PASSWORD } from './helpers.js';
+
+describe('audit log', () => {
+  let api;
+  let close;
+  let admin;
+
+  const audit = async (query = '') => (await api('GET', `/admin/audit${query}`, { token: admin })).body.data;
+
+  before(async () => {
+    ({ api, close } = await startServer());
+  });
+  beforeEach(async () => {
+    resetData();
+    admin = await loginToken(api, USERS.admin);
+  });
+  after(() => close());
+
+  it('records the changed fields, the acting user and the request ID', async () => {
+    const seller = await loginToken(api, USERS.seller);
+    await api('PUT', '/products/prod-1', {
+      token: seller,
+      body: { price: 899.99 },
+      headers: { 'X-Request-Id': 'req-price-cut' }
+    });
+
+    const { entries } = await audit('?requestId=req-price-cut');
+    assert.equal(entries.length, 1);
+    assert.equal(entries[0].entity, 'product');
+    assert.equal(entries[0].entityId, 'prod-1');
+    assert.equal(entries[0].action, 'update');
+    assert.equal(entries[0].userId, 'user-2');
+    assert.deepEqual(entries[0].changes.price, { from: 999.99, to: 899.99 });
+  });
+
+  it('marks seeded records as system changes', async () => {
+    const { entries } = await audit('?entity=category&id=cat-1');
+    assert.equal(entries.length, 1);
+    assert.equal(entries[0].action, 'create');
+    assert.equal(entries[0].userId, null);
+    assert.equal(entries[0].requestId, null);
+  });
+
+  it('follows a record through delete and restore, newest first', async () => {
+    await api('DELETE', '/products/prod-5', { token: admin });
+    await api('POST', '/admin/trash/products/prod-5/restore', { token: admin });
+
+    const { entries } = await audit('?entity=product&id=prod-5');
+    assert.deepEqual(entries.map(entry => entry.action), ['restore', 'delete', 'create']);
+    assert.deepEqual((await audit('?id=prod-5&action=delete')).entries.map(entry => entry.userId), ['user-5']);
+  });
+
+  it('redacts password changes', async () => {
+    const buyer = await loginToken(api, USERS.buyer);
+    await api('PUT', '/auth/password', {
+      token: buyer,
+      body: { currentPassword: PASSWORD, newPassword: 'another-password-1' }
+    });
+
+    const [entry] = (await audit('?entity=user&id=user-1&action=update')).entries;
+    assert.deepEqual(entry.changes.password, { from: '[redacted]', to: '[redacted]' });
+  });
+
+  it('writes nothing for a request whose transaction failed', async () => {
+    const buyer = await loginToken(api, USERS.buyer);
+    const { status } = await api('POST', '/orders', {
+      token: buyer,
+      body: { items: [{ productId: 'prod-1', quantity: 1 }, { productId: 'prod-2', quantity: 999 }] },
+      headers: { 'X-Request-Id': 'req-failed-order' }
+    });
+
+    assert.equal(status, 400);
+    assert.deepEqual((await audit('?requestId=req-failed-order')).entries, []);
+  });
+
+  it('pages through entries with a cursor', async () => {
+    const all = (await audit('?entity=product&limit=100')).entries.map(entry => entry.id);
+    const walked = [];
+    let cursor = '';
+    do {
+      const page = await audit(`?entity=product&limit=5${cursor && `&cursor=${cursor}`}`);
+      assert.ok(page.entries.length <= 5);
+      assert.equal(page.pagination.total, all.length);
+      walked.push(...page.entries.map(entry => entry.id));
+      cursor = page.pagination.nextCursor;
+    } while (cursor);
+
+    assert.deepEqual(walked, all);
+  });
+
+  it('is admin only and rejects unknown filters', async () => {
+    const buyer = await loginToken(api, USERS.buyer);
+    assert.equal((await api('GET', '/admin/audit', { token: buyer })).status, 403);
+    assert.equal((await api('GET', '/admin/audit?entity=widget', { token: admin })).status, 400);
+    assert.equal((await api('GET', '/admin/audit?action=explode', { token: admin })).status, 400);
+  });
+});
@@ -0,0 +1,82 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, resetData, loginToken, db, USERS } from './helpers.js';
+import { getCategoryIds, getCategoryPath, getTree } from '../src/services/categoryTree.js';
+
+describe('category filter with subcategories', () => {
+  let api;
+  let close;
+
+  const listed = async (query) => {
+    const { body } = await api('GET', `/products?${query}`);
+    return body.data.products.map(product => product.id);
+  };
+
+  before(async () => {
+    ({ api, close } = await startServer());
+  });
+  beforeEach(() => resetData());
+  after(() => close());
+
+  it('includes the products of subcategories by default', async () => {
+    assert.deepEqual(await listed('category=cat-1'), ['prod-1', 'prod-2', 'prod-4', 'prod-8']);
+    assert.deepEqual(await listed('category=cat-6'), ['prod-1', 'prod-4']);
+  });
+
+  it('matches the category alone with includeDescendants=false', async () => {
+    assert.deepEqual(await listed('category=cat-1&includeDescendants=false'), ['prod-8']);
+
+    const { body } = await api('GET', '/categories/cat-1?includeDescendants=false');
+    assert.deepEqual(body.data.products.map(product => product.id), ['prod-8']);
+  });
+
+  it('lists a category with its subcategories and all their products', async () => {
+    const { body } = await api('GET', '/categories/cat-1');
+    assert.deepEqual(body.data.subcategories.map(category => category.id), ['cat-6', 'cat-7']);
+    assert.deepEqual(body.data.products.map(product => product.id).sort(), ['prod-1', 'prod-2', 'prod-4', 'prod-8']);
+  });
+
+  it('follows categories nested deeper and moved around', async () => {
+    const admin = await loginToken(api, USERS.admin);
+    const created = await api('POST', '/categories', { token: admin, body: { name: 'Foldables', parentId: 'cat-6' } });
+    const foldables = created.body.data.id;
+    db.updateProduct('prod-4', { categoryId: foldables });
+
+    assert.deepEqual(await listed('category=cat-1'), ['prod-1', 'prod-2', 'prod-4', 'prod-8']);
+    assert.deepEqual(getCategoryPath(foldables), [foldables, 'cat-6', 'cat-1']);
+
+    db.updateCategory(foldables, { parentId: 'cat-5' });
+    assert.deepEqual(await listed('category=cat-1'), ['prod-1', 'prod-2', 'prod-8']);
+    assert.deepEqual(await listed('category=cat-5'), ['prod-4', 'prod-6']);
+  });
+
+  it('keeps the cached tree until a category is added, removed or moved', async () => {
+    const tree = getTree();
+    db.updateCategory('cat-6', { name: 'Phones', description: 'Renamed' });
+    assert.equal(getTree(), tree);
+
+    const admin = await loginToken(api, USERS.admin);
+    const created = await api('POST', '/categories', { token: admin, body: { name: 'Tablets', parentId: 'cat-1' } });
+    const tablets = created.body.data.id;
+    const grown = getTree();
+    assert.notEqual(grown, tree);
+    assert.ok(getCategoryIds('cat-1').has(tablets));
+
+    await api('DELETE', `/categories/${tablets}`, { token: admin });
+    const trimmed = getTree();
+    assert.notEqual(trimmed, grown);
+    assert.ok(!getCategoryIds('cat-1').has(tablets));
+
+    await api('POST', `/admin/trash/categories/${tablets}/restore`, { token: admin });
+    assert.notEqual(getTree(), trimmed);
+    assert.ok(getCategoryIds('cat-1').has(tablets));
+  });
+
+  it('survives a parent cycle and unknown ids', () => {
+    db.updateCategory('cat-1', { parentId: 'cat-6' });
+
+    assert.deepEqual([...getCategoryIds('cat-1')].sort(), ['cat-1', 'cat-6', 'cat-7']);
+    assert.deepEqual(getCategoryPath('cat-6'), ['cat-6', 'cat-1']);
+    assert.deepEqual([...getCategoryIds('cat-missing')], ['cat-missing']);
+  });
+});
@@ -0,0 +1,116 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, resetData, loginToken, db, USERS } from './helpers.js';
+
+describe('optimistic concurrency', () => {
+  let api;
+  let close;
+  let seller;
+  let admin;
+
+  before(async () => {
+    ({ api, close } = await startServer());
+  });
+  beforeEach(async () => {
+    resetData();
+    seller = await loginToken(api, USERS.seller);
+    admin = await loginToken(api, USERS.admin);
+  });
+  after(() => close());
+
+  it('exposes the record version as an ETag', async () => {
+    const product = await api('GET', '/products/prod-1');
+    assert.equal(product.headers.get('etag'), `"${product.body.data.product.version}"`);
+
+    const order = await api('GET', '/orders/order-1', { token: admin });
+    assert.equal(order.headers.get('etag'), `"${order.body.data.version}"`);
+  });
+
+  it('bumps the version on every product update', async () => {
+    const etag = (await api('GET', '/products/prod-1')).headers.get('etag');
+    const first = await api('PUT', '/products/prod-1', { token: seller, body: { price: 949 }, headers: { 'If-Match': etag } });
+    assert.equal(first.status, 200);
+    assert.notEqual(first.headers.get('etag'), etag);
+
+    const second = await api('PUT', '/products/prod-1', {
+      token: seller,
+      body: { price: 929 },
+      headers: { 'If-Match': first.headers.get('etag') }
+    });
+    assert.equal(second.status, 200);
+  });
+
+  it('rejects a stale product edit with 412 and the latest version', async () => {
+    const stale = (await api('GET', '/products/prod-1')).headers.get('etag');
+    const winner = await api('PUT', '/products/prod-1', { token: admin, body: { name: 'iPhone 15 Pro (renewed)' } });
+
+    const { status, headers, body } = await api('PUT', '/products/prod-1', {
+      token: seller,
+      body: { price: 1 },
+      headers: { 'If-Match': stale }
+    });
+
+    assert.equal(status, 412);
+    assert.equal(headers.get('etag'), winner.headers.get('etag'));
+    assert.equal(body.data.name, 'iPhone 15 Pro (renewed)');
+    assert.equal(body.data.price, 999.99);
+    assert.equal((await api('GET', '/products/prod-1')).body.data.product.price, 999.99);
+  });
+
+  it('rejects a stale order status change the same way', async () => {
+    const stale = (await api('GET', '/orders/order-3', { token: admin })).headers.get('etag');
+    await api('PUT', '/orders/order-3/status', { token: admin, body: { status: 'processing' } });
+
+    const { status, body } = await api('PUT', '/orders/order-3/status', {
+      token: admin,
+      body: { status: 'cancelled' },
+      headers: { 'If-Match': stale }
+    });
+
+    assert.equal(status, 412);
+    assert.equal(body.data.status, 'processing');
+  });
+
+  it('applies writes without If-Match, or with a wildcard', async () => {
+    assert.equal((await api('PUT', '/products/prod-1', { token: seller, body: { price: 10 } })).status, 200);
+    const wildcard = await api('PUT', '/products/prod-1', { token: seller, body: { price: 20 }, headers: { 'If-Match': '*' } });
+    assert.equal(wildcard.status, 200);
+    assert.equal(wildcard.body.data.price, 20);
+  });
+
+  it('ignores a version sent in the body', async () => {
+    const { version } = (await api('GET', '/products/prod-1')).body.data.product;
+    const { body } = await api('PUT', '/products/prod-1', { token: seller, body: { version: 99, price: 5 } });
+    assert.equal(body.data.version, version + 1);
+  });
+
+  it('never matches a weak tag', async () => {
+    const { version } = (await api('GET', '/products/prod-1')).body.data.product;
+    const weak = await api('PUT', '/products/prod-1', { token: seller, body: { price: 5 }, headers: { 'If-Match': `W/"${version}"` } });
+    assert.equal(weak.status, 412);
+  });
+
+  it('only lets sellers edit listing fields', async () => {
+    const { body } = await api('PUT', '/products/prod-1', {
+      token: seller,
+      body: {
+        id: 'prod-mine',
+        sellerId: 'user-3',
+        createdAt: '2000-01-01T00:00:00.000Z',
+        deletedAt: '2000-01-01T00:00:00.000Z',
+        deletedBy: 'user-2',
+        rating: 1,
+        featured: false,
+        name: 'Renamed'
+      }
+    });
+    const product = db.getProductById('prod-1');
+
+    assert.equal(body.data.name, 'Renamed');
+    assert.equal(product.sellerId, 'user-2');
+    assert.equal(product.rating, 4.5);
+    assert.equal(product.featured, true);
+    assert.notEqual(product.createdAt, '2000-01-01T00:00:00.000Z');
+    assert.equal(db.getProductById('prod-mine', { includeDeleted: true }), undefined);
+  });
+});
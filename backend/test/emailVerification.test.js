@@ -0,0 +1,87 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, resetData, loginToken, linkToken, outbox, db, USERS } from './helpers.js';
+
+const NEWCOMER = {
+  email: 'newcomer@example.com',
+  password: 'a-long-password-1',
+  firstName: 'New',
+  lastName: 'Comer'
+};
+
+describe('email verification', () => {
+  let api;
+  let close;
+
+  const verify = (token) => api('POST', '/auth/verify-email', { body: { token } });
+  const resend = (email) => api('POST', '/auth/resend-verification', { body: { email } });
+
+  before(async () => {
+    ({ api, close } = await startServer());
+  });
+  beforeEach(() => resetData());
+  after(() => close());
+
+  it('sends a link on registration that verifies the account once', async () => {
+    const { status, body } = await api('POST', '/auth/register', { body: NEWCOMER });
+    assert.equal(status, 201);
+    assert.equal(body.data.user.isVerified, false);
+
+    assert.equal(outbox.length, 1);
+    assert.equal(outbox[0].to, NEWCOMER.email);
+    const token = linkToken(outbox[0]);
+
+    const verified = await verify(token);
+    assert.equal(verified.status, 200);
+    assert.equal(verified.body.data.isVerified, true);
+    assert.equal(verified.body.data.password, undefined);
+
+    assert.equal((await verify(token)).status, 400);
+  });
+
+  it('invalidates the previous link when a new one is sent', async () => {
+    await resend(USERS.unverified);
+    const first = linkToken(outbox[0]);
+    // Backdate it past the resend cooldown
+    const [issued] = db.getTokensByUser('user-4');
+    db.deleteToken(issued.id);
+    db.createToken({ ...issued, createdAt: new Date(Date.now() - 120 * 1000).toISOString() });
+
+    await resend(USERS.unverified);
+    assert.equal(outbox.length, 2);
+    assert.equal((await verify(first)).status, 400);
+    assert.equal((await verify(linkToken(outbox[1]))).status, 200);
+    assert.equal(db.getUserById('user-4').isVerified, true);
+  });
+
+  it('throttles resends and answers the same for unknown or verified emails', async () => {
+    const sent = await resend(USERS.unverified);
+    const throttled = await resend(USERS.unverified);
+    const unknown = await resend('nobody@example.com');
+    const verified = await resend(USERS.buyer);
+
+    assert.equal(outbox.length, 1);
+    [throttled, unknown, verified].forEach(response => {
+      assert.equal(response.status, 200);
+      assert.equal(response.body.message, sent.body.message);
+    });
+  });
+
+  it('rejects unknown and malformed tokens', async () => {
+    assert.equal((await verify(undefined)).status, 400);
+    assert.equal((await verify('nope')).status, 400);
+    assert.equal((await verify('id.secret')).status, 400);
+  });
+
+  it('gates ordering and selling on a verified email', async () => {
+    const unverified = await loginToken(api, USERS.unverified);
+    const order = await api('POST', '/orders', { token: unverified, body: { items: [{ productId: 'prod-1', quantity: 1 }] } });
+    assert.equal(order.status, 403);
+
+    const application = await api('POST', '/seller-applications', {
+      token: unverified,
+      body: { businessName: 'Alice Books', description: 'Used books' }
+    });
+    assert.equal(application.status, 403);
+  });
+});
@@ -0,0 +1,71 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers.js';
+
+describe('product facets', () => {
+  let api;
+  let close;
+
+  const listing = async (query) => (await api('GET', `/products?facets=true&${query}`)).body.data;
+  const countOf = (entries, key, value) => entries.find(entry => entry[key] === value)?.count;
+
+  before(async () => {
+    ({ api, close } = await startServer());
+  });
+  after(() => close());
+
+  it('are only sent when asked for', async () => {
+    const { body } = await api('GET', '/products');
+    assert.equal(body.data.facets, undefined);
+  });
+
+  it('count the whole catalog without filters', async () => {
+    const { products, facets } = await listing('');
+
+    assert.equal(products.length, 8);
+    assert.equal(countOf(facets.categories, 'id', 'cat-1'), 4);
+    assert.equal(countOf(facets.categories, 'id', 'cat-6'), 2);
+    assert.equal(countOf(facets.sellers, 'id', 'user-2'), 4);
+    assert.equal(facets.sellers.find(seller => seller.id === 'user-2').name, 'Jane Smith');
+    assert.deepEqual(facets.availability, { inStock: 8, outOfStock: 0 });
+    assert.deepEqual(facets.price.map(bucket => bucket.count), [1, 1, 1, 2, 0, 1, 2]);
+    assert.deepEqual(facets.tags.slice(0, 2), [{ value: 'apple', count: 2 }, { value: 'smartphone', count: 2 }]);
+  });
+
+  it('count each facet over the other filters only', async () => {
+    const { products, facets } = await listing('category=cat-1&seller=user-3');
+
+    assert.deepEqual(products.map(product => product.id), ['prod-4', 'prod-8']);
+    // Other categories still show how many of the seller's products they hold
+    assert.equal(countOf(facets.categories, 'id', 'cat-2'), 1);
+    assert.equal(countOf(facets.categories, 'id', 'cat-4'), 0);
+    // Other sellers show their count within the category
+    assert.equal(countOf(facets.sellers, 'id', 'user-2'), 2);
+    assert.equal(countOf(facets.price, 'min', 1000), 1);
+  });
+
+  it('follow the price, rating, stock and tag filters', async () => {
+    const priced = await listing('minPrice=100&maxPrice=1000');
+    assert.deepEqual(priced.products.map(product => product.id), ['prod-1', 'prod-3', 'prod-8']);
+    assert.equal(countOf(priced.facets.ratings, 'minRating', 4), 3);
+
+    const rated = await listing('minRating=4.5');
+    assert.deepEqual(rated.products.map(product => product.id), ['prod-1', 'prod-2', 'prod-8']);
+    assert.equal(countOf(rated.facets.ratings, 'minRating', 1), 4);
+
+    const tagged = await listing('tags=Apple,nike');
+    assert.deepEqual(tagged.products.map(product => product.id), ['prod-1', 'prod-2', 'prod-3']);
+    assert.equal(countOf(tagged.facets.tags, 'value', 'yoga'), 1);
+
+    const outOfStock = await listing('inStock=false');
+    assert.deepEqual(outOfStock.products, []);
+    assert.deepEqual(outOfStock.facets.availability, { inStock: 8, outOfStock: 0 });
+  });
+
+  it('narrow to the search results', async () => {
+    const { products, facets } = await listing('search=apple');
+    assert.deepEqual(products.map(product => product.id).sort(), ['prod-1', 'prod-2']);
+    assert.equal(countOf(facets.categories, 'id', 'cat-1'), 2);
+    assert.equal(countOf(facets.sellers, 'id', 'user-3'), undefined);
+  });
+});
@@ -0,0 +1,103 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createFileAdapter } from '../src/config/adapters/fileAdapter.js';
+
+const COLLECTIONS = ['users', 'products'];
+const INDEXES = { users: ['email'], products: ['sellerId'] };
+
+describe('file adapter', () => {
+  let directory;
+
+  const open = (options = {}) => createFileAdapter({
+    collections: COLLECTIONS,
+    indexes: INDEXES,
+    directory,
+    ...options
+  });
+  const journal = () => fs.readFileSync(path.join(directory, 'journal.ndjson'), 'utf8');
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'marketplace-file-'));
+  });
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('keeps inserts, updates and removals across restarts', () => {
+    const store = open();
+    store.insert('users', { id: 'u1', email: 'a@example.com' });
+    store.insert('users', { id: 'u2', email: 'b@example.com' });
+    store.update('users', 'u1', { email: 'c@example.com' });
+    store.remove('users', 'u2');
+
+    const reopened = open();
+    assert.deepEqual(reopened.all('users'), [{ id: 'u1', email: 'c@example.com' }]);
+    assert.deepEqual(reopened.findBy('users', 'email', 'c@example.com').map(u => u.id), ['u1']);
+    assert.deepEqual(reopened.findBy('users', 'email', 'a@example.com'), []);
+  });
+
+  it('writes a transaction as one journal entry, or nothing when it throws', () => {
+    const store = open();
+    store.transaction(() => {
+      store.insert('users', { id: 'u1', email: 'a@example.com' });
+      store.insert('products', { id: 'p1', sellerId: 'u1' });
+    });
+    assert.equal(journal().trim().split('\n').length, 1);
+
+    assert.throws(() => store.transaction(() => {
+      store.insert('users', { id: 'u2', email: 'b@example.com' });
+      store.remove('products', 'p1');
+      throw new Error('boom');
+    }), /boom/);
+
+    // Rolled back in memory and never journaled
+    assert.deepEqual(store.all('users').map(u => u.id), ['u1']);
+    assert.deepEqual(store.all('products').map(p => p.id), ['p1']);
+    assert.deepEqual(open().all('users').map(u => u.id), ['u1']);
+  });
+
+  it('ignores a torn final journal line but rejects corruption in the middle', () => {
+    const store = open();
+    store.insert('users', { id: 'u1', email: 'a@example.com' });
+    fs.appendFileSync(path.join(directory, 'journal.ndjson'), '{"op":"put","collection":"us');
+    assert.deepEqual(open().all('users').map(u => u.id), ['u1']);
+
+    fs.writeFileSync(path.join(directory, 'journal.ndjson'), 'not json\n{"op":"delete","collection":"users","id":"u1"}\n');
+    assert.throws(() => open(), /Corrupt journal entry/);
+  });
+
+  it('compacts the journal into the snapshot once it reaches the threshold', () => {
+    const store = open({ compactThreshold: 3 });
+    store.insert('users', { id: 'u1', email: 'a@example.com' });
+    store.insert('users', { id: 'u2', email: 'b@example.com' });
+    assert.equal(journal().trim().split('\n').length, 2);
+
+    store.insert('users', { id: 'u3', email: 'c@example.com' });
+    assert.equal(journal(), '');
+    const snapshot = JSON.parse(fs.readFileSync(path.join(directory, 'snapshot.json'), 'utf8'));
+    assert.deepEqual(snapshot.collections.users.map(u => u.id), ['u1', 'u2', 'u3']);
+  });
+
+  it('clears the store, inside a transaction only once it commits', () => {
+    const store = open();
+    store.insert('users', { id: 'u1', email: 'a@example.com' });
+
+    assert.throws(() => store.transaction(() => {
+      store.clear();
+      throw new Error('boom');
+    }), /boom/);
+    assert.deepEqual(open().all('users').map(u => u.id), ['u1']);
+
+    store.transaction(() => {
+      store.clear();
+      store.insert('users', { id: 'u2', email: 'b@example.com' });
+    });
+    assert.deepEqual(open().all('users').map(u => u.id), ['u2']);
+
+    store.clear();
+    assert.equal(open().isEmpty(), true);
+  });
+});
@@ -0,0 +1,112 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { generateFixtures } from '../src/data/generateFixtures.js';
+import { validateFixture } from '../src/data/seed.js';
+import { mockData } from '../src/data/mockData.js';
+import { createFileAdapter } from '../src/config/adapters/fileAdapter.js';
+import { COLLECTIONS } from '../src/config/database.js';
+
+const BACKEND_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const SMALL = { products: 12, users: 6, orders: 10, seed: 7 };
+
+describe('fixtures', () => {
+  it('are generated deterministically from the seed', () => {
+    const first = generateFixtures(SMALL);
+
+    assert.deepEqual(generateFixtures(SMALL), first);
+    assert.notDeepEqual(generateFixtures({ ...SMALL, seed: 8 }), first);
+    assert.equal(first.products.length, 12);
+    assert.equal(first.users.length, 6);
+    assert.equal(first.orders.length, 10);
+    assert.deepEqual(validateFixture(first), []);
+  });
+
+  it('pass validation for the built-in mock data', () => {
+    assert.deepEqual(validateFixture(mockData), []);
+  });
+
+  it('are rejected for broken shapes and references', () => {
+    const fixture = structuredClone(mockData);
+    fixture.products[0].categoryId = 'cat-missing';
+    fixture.products[1].sellerId = 'user-1';
+    fixture.orders[0].items[0].productId = 'prod-missing';
+    fixture.categories.push({ id: 'cat-x', name: 'Orphan', parentId: 'cat-missing' });
+
+    assert.deepEqual(validateFixture(fixture), [
+      'Category cat-x references missing parent cat-missing',
+      'Product prod-1 references missing category cat-missing',
+      'Product prod-2 is sold by user-1, who is not a seller',
+      'Order order-1 references missing product prod-missing'
+    ]);
+
+    assert.deepEqual(validateFixture({ users: {}, reviews: [null, { title: 'no id' }] }), [
+      'users must be an array',
+      'reviews[0] must be an object',
+      'reviews[1] is missing an id'
+    ]);
+  });
+
+  it('are rejected for duplicate ids and emails', () => {
+    const fixture = structuredClone(mockData);
+    fixture.users[1].email = fixture.users[0].email;
+    assert.deepEqual(validateFixture(fixture), ['User user-2 has the same email as user-1']);
+
+    const duplicated = { products: [mockData.products[0], mockData.products[0]] };
+    assert.deepEqual(validateFixture(duplicated), ['products[1] duplicates id prod-1']);
+  });
+});
+
+describe('seed CLI', () => {
+  let directory;
+
+  const seed = (...args) => spawnSync(process.execPath, ['src/scripts/seed.js', ...args], {
+    cwd: BACKEND_DIR,
+    encoding: 'utf8',
+    env: { ...process.env, DB_ADAPTER: 'file', DB_FILE_DIR: path.join(directory, 'store') }
+  });
+  // What the next process using the store would see
+  const stored = (collection) => {
+    return createFileAdapter({ collections: COLLECTIONS, directory: path.join(directory, 'store') }).all(collection);
+  };
+
+  before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'marketplace-seed-'));
+  });
+  after(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('writes a generated fixture and loads it into the store', () => {
+    const file = path.join(directory, 'fixture.json');
+    const generated = seed('generate', '--products', '12', '--users', '6', '--orders', '10', '--seed', '7', '--out', file);
+    assert.equal(generated.status, 0, generated.stderr);
+    assert.deepEqual(JSON.parse(fs.readFileSync(file, 'utf8')), generateFixtures(SMALL));
+
+    const loaded = seed('load', file);
+    assert.equal(loaded.status, 0, loaded.stderr);
+    assert.equal(stored('products').length, 12);
+  });
+
+  it('refuses an invalid fixture and keeps the store as it was', () => {
+    const file = path.join(directory, 'broken.json');
+    fs.writeFileSync(file, JSON.stringify({ products: [{ id: 'p1', categoryId: 'nope', sellerId: 'nobody' }] }));
+
+    const result = seed('load', file);
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /Invalid fixture/);
+    assert.equal(stored('products').length, 12);
+  });
+
+  it('resets to the mock data or to an empty store', () => {
+    assert.equal(seed('reset').status, 0);
+    assert.equal(stored('users').length, mockData.users.length);
+
+    assert.equal(seed('reset', '--empty').status, 0);
+    assert.equal(stored('users').length, 0);
+  });
+});
@@ -0,0 +1,94 @@
+import db from '../src/config/database.js';
+import { seedDatabase } from '../src/data/seed.js';
+import { registerMailTransport } from '../src/services/mailer.js';
+import { resetEmailRequests } from '../src/services/emailThrottle.js';
+import app from '../src/app.js';
+
+// Shared test plumbing: the app on a random port over the mock data, a small
+// JSON client and a mail outbox. Mock users all have the password "password123".
+
+export const PASSWORD = 'password123';
+
+export const USERS = {
+  buyer: 'john.doe@example.com',
+  seller: 'jane.smith@example.com',
+  otherSeller: 'bob.wilson@example.com',
+  unverified: 'alice.brown@example.com',
+  admin: 'admin@marketplace.com'
+};
+
+// Messages sent through the mailer, oldest first (MAIL_TRANSPORT=capture)
+export const outbox = [];
+let mailFailing = false;
+registerMailTransport('capture', () => ({
+  name: 'capture',
+  send: async (message) => {
+    if (mailFailing) throw new Error('Mail provider unavailable');
+    outbox.push(message);
+  }
+}));
+
+// Make every send fail, like a mail provider that is down (until resetData)
+export const setMailFailing = (failing) => {
+  mailFailing = failing;
+};
+
+export { db };
+
+// The one-time token in the link of an email (verification, password reset)
+export const linkToken = (message) => decodeURIComponent(message.text.match(/\?token=(\S+)/)[1]);
+
+// Replace the store contents with the mock data
+export const resetData = () => {
+  seedDatabase(db);
+  outbox.length = 0;
+  mailFailing = false;
+  resetEmailRequests();
+};
+
+/**
+ * Seed the store and listen on a free port.
+ * Returns `{ api, close }`; call close() in an after() hook.
+ */
+export const startServer = async () => {
+  resetData();
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const base = `http://127.0.0.1:${server.address().port}/api`;
+
+  /**
+   * Call the API. `token` is sent as a bearer token, `apiKey` as X-API-Key.
+   * A string body is sent as is (set its Content-Type in `headers`).
+   * Resolves to `{ status, headers, body }`; JSON bodies are parsed, others are text.
+   */
+  const api = async (method, path, { token, apiKey, body, headers = {} } = {}) => {
+    const response = await fetch(`${base}${path}`, {
+      method,
+      headers: {
+        ...(body !== undefined && { 'Content-Type': 'application/json' }),
+        ...(token && { Authorization: `Bearer ${token}` }),
+        ...(apiKey && { 'X-API-Key': apiKey }),
+        ...headers
+      },
+      body: body === undefined || typeof body === 'string' ? body : JSON.stringify(body)
+    });
+    const text = await response.text();
+    const json = response.headers.get('content-type')?.includes('application/json');
+    return { status: response.status, headers: response.headers, body: json && text ? JSON.parse(text) : text || null };
+  };
+
+  const close = () => new Promise(resolve => server.close(resolve));
+  return { api, close };
+};
+
+// Log in and return the response data (`user`, `token`, `refreshToken`, ...)
+export const login = async (api, email, password = PASSWORD) => {
+  const { status, body } = await api('POST', '/auth/login', { body: { email, password } });
+  if (status !== 200) {
+    throw new Error(`Login as ${email} failed with ${status}: ${body?.message}`);
+  }
+  return body.data;
+};
+
+export const loginToken = async (api, email) => (await login(api, email)).token;
@@ -0,0 +1,173 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, resetData, login, loginToken, db, USERS } from './helpers.js';
+
+describe('export and import', () => {
+  let api;
+  let close;
+  let admin;
+
+  const exported = async (query = '') => (await api('GET', `/admin/export${query}`, { token: admin })).body;
+  const importing = (body, query = '') => api('POST', `/admin/import${query}`, { token: admin, body });
+  const productName = (id) => db.getProductById(id)?.name;
+
+  before(async () => {
+    ({ api, close } = await startServer());
+  });
+  beforeEach(async () => {
+    resetData();
+    admin = await loginToken(api, USERS.admin);
+  });
+  after(() => close());
+
+  it('leaves secrets out unless hashed passwords are requested', async () => {
+    const plain = await exported();
+    assert.equal(plain.format, 'marketplace-export');
+    assert.equal(plain.passwords, 'excluded');
+    assert.equal(plain.collections.products.length, 8);
+    assert.ok(plain.collections.users.every(user => !('password' in user)));
+    ['audit', 'sessions', 'tokens', 'loginAttempts', 'twoFactor', 'apiKeys'].forEach(collection => {
+      assert.equal(plain.collections[collection], undefined);
+    });
+
+    const hashed = await exported('?passwords=hashed');
+    assert.equal(hashed.passwords, 'hashed');
+    assert.ok(hashed.collections.users.every(user => user.password.startsWith('$2')));
+  });
+
+  it('is admin only', async () => {
+    const buyer = await loginToken(api, USERS.buyer);
+    assert.equal((await api('GET', '/admin/export', { token: buyer })).status, 403);
+    assert.equal((await api('POST', '/admin/import', { token: buyer, body: {} })).status, 403);
+
+    // The body is only parsed once the caller is known to be an admin
+    const anonymous = await api('POST', '/admin/import', { body: '{not json', headers: { 'Content-Type': 'application/json' } });
+    assert.equal(anonymous.status, 401);
+  });
+
+  it('keeps sign-in state, passwords and 2FA through a replace', async () => {
+    db.saveTwoFactor({ id: 'user-2', secret: 'SECRET', recoveryCodes: [] });
+    db.updateUser('user-2', { twoFactorEnabled: true });
+    const password = db.getUserById('user-2').password;
+    const snapshot = await exported('?passwords=hashed');
+    const users = snapshot.collections.users.map(user => (
+      user.id === 'user-2' ? { ...user, password: 'replaced', twoFactorEnabled: false } : user
+    ));
+
+    const { status } = await importing({ ...snapshot, collections: { ...snapshot.collections, users } }, '?mode=replace');
+
+    assert.equal(status, 200);
+    assert.equal(db.getUserById('user-2').password, password);
+    assert.equal(db.getUserById('user-2').twoFactorEnabled, true);
+    assert.equal(db.getTwoFactor('user-2').secret, 'SECRET');
+    assert.ok(db.exportCollection('audit').length > 0);
+    // The admin's session survives the import
+    assert.equal((await api('GET', '/admin/audit', { token: admin })).status, 200);
+  });
+
+  it('cuts the download short when the export fails mid-stream', async () => {
+    const exportCollection = db.exportCollection;
+    db.exportCollection = (collection) => {
+      if (collection === 'orders') throw new Error('disk gone');
+      return exportCollection(collection);
+    };
+    try {
+      await assert.rejects(api('GET', '/admin/export', { token: admin }));
+    } finally {
+      db.exportCollection = exportCollection;
+    }
+  });
+
+  it('merges records into the store', async () => {
+    const snapshot = await exported();
+    const product = snapshot.collections.products.find(p => p.id === 'prod-1');
+    const { status, body } = await importing({
+      ...snapshot,
+      collections: { products: [{ ...product, name: 'Renamed phone' }] }
+    });
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.data.counts.products, { created: 0, updated: 1 });
+    assert.equal(productName('prod-1'), 'Renamed phone');
+    assert.equal(db.getProducts().length, 8);
+  });
+
+  it('replaces the store with a hashed export', async () => {
+    const snapshot = await exported('?passwords=hashed');
+    await api('DELETE', '/products/prod-2', { token: admin });
+    db.createProduct({ id: 'prod-new', name: 'Added later', sellerId: 'user-2', categoryId: 'cat-1', price: 1, stock: 1 });
+
+    const { status } = await importing(snapshot, '?mode=replace');
+
+    assert.equal(status, 200);
+    assert.equal(productName('prod-2'), 'MacBook Pro 16"');
+    assert.equal(db.getProductById('prod-new', { includeDeleted: true }), undefined);
+    assert.equal((await login(api, USERS.buyer)).user.id, 'user-1');
+  });
+
+  it('round-trips the NDJSON form', async () => {
+    const { headers, body: text } = await api('GET', '/admin/export?format=ndjson&passwords=hashed', { token: admin });
+    assert.equal(headers.get('content-type'), 'application/x-ndjson');
+    const lines = text.trim().split('\n').map(line => JSON.parse(line));
+    assert.equal(lines[0].type, 'header');
+    assert.ok(lines.slice(1).every(line => line.type === 'record'));
+
+    db.updateProduct('prod-1', { name: 'Changed' });
+    const { status } = await api('POST', '/admin/import?mode=replace', {
+      token: admin,
+      body: text,
+      headers: { 'Content-Type': 'application/x-ndjson' }
+    });
+
+    assert.equal(status, 200);
+    assert.equal(productName('prod-1'), 'iPhone 15 Pro');
+  });
+
+  it('counts changes on a dry run without writing them', async () => {
+    const snapshot = await exported();
+    const product = snapshot.collections.products.find(p => p.id === 'prod-1');
+    const { status, body } = await importing({
+      ...snapshot,
+      collections: { products: [{ ...product, name: 'Dry' }, { ...product, id: 'prod-dry' }] }
+    }, '?dryRun=true');
+
+    assert.equal(status, 200);
+    assert.equal(body.data.dryRun, true);
+    assert.deepEqual(body.data.counts.products, { created: 1, updated: 1 });
+    assert.equal(productName('prod-1'), 'iPhone 15 Pro');
+    assert.equal(productName('prod-dry'), undefined);
+  });
+
+  it('rejects invalid documents without touching the store', async () => {
+    const snapshot = await exported('?passwords=hashed');
+
+    const shapes = await importing({ ...snapshot, collections: { products: {} } }, '?mode=replace');
+    assert.equal(shapes.status, 400);
+    assert.deepEqual(shapes.body.errors, ['products must be an array']);
+
+    const authState = await importing({ ...snapshot, collections: { sessions: [] } });
+    assert.deepEqual(authState.body.errors, ['Unknown collection sessions']);
+
+    const users = snapshot.collections.users;
+    const duplicate = await importing({
+      ...snapshot,
+      collections: { users: [{ ...users[0], id: 'user-copy' }] }
+    });
+    assert.equal(duplicate.status, 400);
+    assert.deepEqual(duplicate.body.errors, ['User user-copy has the same email as user-1']);
+
+    const { password: _, ...passwordless } = users[0];
+    const newcomer = await importing({
+      ...snapshot,
+      collections: { users: [{ ...passwordless, id: 'user-new', email: 'new@example.com' }] }
+    });
+    assert.deepEqual(newcomer.body.errors, ['User user-new has no password hash and does not exist yet']);
+
+    assert.equal((await importing({ format: 'other', version: 1 })).status, 400);
+    assert.equal((await importing(snapshot, '?mode=overwrite')).status, 400);
+
+    const current = await exported('?passwords=hashed');
+    assert.deepEqual(current.collections.products, snapshot.collections.products);
+    assert.deepEqual(current.collections.users, snapshot.collections.users);
+  });
+});
@@ -0,0 +1,126 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, resetData, login, loginToken, USERS, PASSWORD } from './helpers.js';
+import { setLoginLimiterStore } from '../src/services/loginLimiter.js';
+
+describe('login limiter', () => {
+  let api;
+  let close;
+  let admin;
+
+  // A store the tests can see into, so delays can be waited out without sleeping
+  const entries = new Map();
+  setLoginLimiterStore({
+    name: 'test',
+    get: (id) => entries.get(id),
+    set: (entry) => entries.set(entry.id, entry),
+    delete: (id) => entries.delete(id),
+    list: () => [...entries.values()]
+  });
+  const waitOutDelay = () => entries.forEach(entry => {
+    entries.set(entry.id, { ...entry, lastFailureAt: new Date(Date.now() - 60 * 1000).toISOString() });
+  });
+
+  const attempt = (email, password = 'wrong-password') => api('POST', '/auth/login', { body: { email, password } });
+  const failTimes = async (email, times) => {
+    let response;
+    for (let i = 0; i < times; i += 1) {
+      waitOutDelay();
+      response = await attempt(email);
+    }
+    return response;
+  };
+
+  before(async () => {
+    ({ api, close } = await startServer());
+  });
+  beforeEach(async () => {
+    resetData();
+    entries.clear();
+    admin = await loginToken(api, USERS.admin);
+  });
+  after(() => close());
+
+  it('counts down the attempts left', async () => {
+    const first = await attempt(USERS.buyer);
+    assert.equal(first.status, 401);
+    assert.equal(first.body.data.attemptsRemaining, 4);
+
+    const second = await attempt(USERS.buyer);
+    assert.equal(second.body.data.attemptsRemaining, 3);
+  });
+
+  it('makes the next attempt wait after repeated failures, even with the right password', async () => {
+    await attempt(USERS.buyer);
+    await attempt(USERS.buyer);
+
+    const { status, headers, body } = await attempt(USERS.buyer, PASSWORD);
+    assert.equal(status, 429);
+    assert.equal(headers.get('retry-after'), '1');
+    assert.equal(body.data.locked, false);
+
+    waitOutDelay();
+    assert.equal((await attempt(USERS.buyer, PASSWORD)).status, 200);
+  });
+
+  it('locks the account at the limit until an admin clears it', async () => {
+    const locked = await failTimes(USERS.buyer, 5);
+    assert.equal(locked.status, 429);
+    assert.equal(locked.body.data.locked, true);
+    assert.match(locked.body.message, /Login is locked until/);
+
+    waitOutDelay();
+    assert.equal((await attempt(USERS.buyer, PASSWORD)).status, 429);
+    // Other accounts from the same IP are not affected
+    assert.equal((await attempt(USERS.seller, PASSWORD)).status, 200);
+
+    const { body } = await api('GET', '/admin/lockouts?lockedOnly=true', { token: admin });
+    assert.deepEqual(body.data.map(entry => entry.id), [`account:${USERS.buyer}`]);
+
+    const cleared = await api('DELETE', `/admin/lockouts/account/${USERS.buyer}`, { token: admin });
+    assert.equal(cleared.status, 200);
+    assert.equal((await login(api, USERS.buyer)).user.id, 'user-1');
+  });
+
+  it('counts unknown emails and ignores the email case', async () => {
+    const unknown = await attempt('nobody@example.com');
+    assert.equal(unknown.status, 401);
+    assert.equal(unknown.body.data.attemptsRemaining, 4);
+
+    waitOutDelay();
+    const shouted = await attempt(USERS.buyer.toUpperCase());
+    await attempt(USERS.buyer);
+    assert.equal(shouted.body.data.attemptsRemaining, 4);
+    assert.equal(entries.get(`account:${USERS.buyer}`).failures, 2);
+  });
+
+  it('forgets the account failures after a successful login', async () => {
+    await attempt(USERS.buyer);
+    await attempt(USERS.buyer, PASSWORD);
+
+    const { body } = await attempt(USERS.buyer);
+    assert.equal(body.data.attemptsRemaining, 4);
+  });
+
+  it('locks an IP that tries too many accounts', async () => {
+    process.env.LOGIN_IP_MAX_ATTEMPTS = '3';
+    try {
+      await attempt('first@example.com');
+      await attempt('second@example.com');
+      const locked = await attempt('third@example.com');
+      assert.equal(locked.status, 429);
+      assert.equal((await attempt(USERS.seller, PASSWORD)).status, 429);
+
+      const [ip] = [...entries.values()].filter(entry => entry.type === 'ip');
+      await api('DELETE', `/admin/lockouts/ip/${ip.subject}`, { token: admin });
+      assert.equal((await attempt(USERS.seller, PASSWORD)).status, 200);
+    } finally {
+      delete process.env.LOGIN_IP_MAX_ATTEMPTS;
+    }
+  });
+
+  it('rejects unknown lockout types and entries', async () => {
+    assert.equal((await api('DELETE', '/admin/lockouts/device/abc', { token: admin })).status, 400);
+    assert.equal((await api('DELETE', `/admin/lockouts/account/${USERS.buyer}`, { token: admin })).status, 404);
+  });
+});
@@ -0,0 +1,69 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryAdapter } from '../src/config/adapters/memoryAdapter.js';
+
+const open = () => createMemoryAdapter({
+  collections: ['products'],
+  indexes: { products: ['categoryId', 'sellerId'] }
+});
+
+const ids = (records) => records.map(record => record.id);
+
+describe('memory adapter indexes', () => {
+  it('find records by indexed field in insertion order', () => {
+    const store = open();
+    store.insert('products', { id: 'p2', categoryId: 'c1' });
+    store.insert('products', { id: 'p1', categoryId: 'c2' });
+    store.insert('products', { id: 'p3', categoryId: 'c1' });
+
+    assert.deepEqual(ids(store.findBy('products', 'categoryId', 'c1')), ['p2', 'p3']);
+    assert.deepEqual(store.findBy('products', 'categoryId', 'c9'), []);
+  });
+
+  it('follow updates and removals', () => {
+    const store = open();
+    store.insert('products', { id: 'p1', categoryId: 'c1', sellerId: 's1' });
+    store.insert('products', { id: 'p2', categoryId: 'c1', sellerId: 's1' });
+
+    store.update('products', 'p1', { categoryId: 'c2' });
+    assert.deepEqual(ids(store.findBy('products', 'categoryId', 'c1')), ['p2']);
+    assert.deepEqual(ids(store.findBy('products', 'categoryId', 'c2')), ['p1']);
+    assert.deepEqual(ids(store.findBy('products', 'sellerId', 's1')), ['p1', 'p2']);
+
+    store.remove('products', 'p2');
+    assert.deepEqual(store.findBy('products', 'categoryId', 'c1'), []);
+    assert.equal(store.get('products', 'p2'), undefined);
+  });
+
+  it('fall back to a scan for unindexed fields', () => {
+    const store = open();
+    store.insert('products', { id: 'p1', status: 'active' });
+    store.insert('products', { id: 'p2', status: 'draft' });
+
+    assert.deepEqual(ids(store.findBy('products', 'status', 'draft')), ['p2']);
+  });
+
+  it('reject duplicate ids', () => {
+    const store = open();
+    store.insert('products', { id: 'p1' });
+    assert.throws(() => store.insert('products', { id: 'p1' }), /Duplicate id/);
+  });
+
+  it('are restored with the records when a transaction rolls back', () => {
+    const store = open();
+    store.insert('products', { id: 'p1', categoryId: 'c1' });
+    store.insert('products', { id: 'p2', categoryId: 'c1' });
+    store.insert('products', { id: 'p3', categoryId: 'c1' });
+
+    assert.throws(() => store.transaction(() => {
+      store.remove('products', 'p2');
+      store.update('products', 'p1', { categoryId: 'c2' });
+      store.insert('products', { id: 'p4', categoryId: 'c1' });
+      throw new Error('boom');
+    }), /boom/);
+
+    assert.deepEqual(ids(store.all('products')), ['p1', 'p2', 'p3']);
+    assert.deepEqual(ids(store.findBy('products', 'categoryId', 'c1')), ['p1', 'p2', 'p3']);
+    assert.deepEqual(store.findBy('products', 'categoryId', 'c2'), []);
+  });
+});
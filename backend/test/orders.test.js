@@ -0,0 +1,87 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, loginToken, USERS } from './helpers.js';
+
+describe('order placement', () => {
+  let api;
+  let close;
+  let buyer;
+
+  const stockOf = async (productId) => (await api('GET', `/products/${productId}`)).body.data.product.stock;
+  const orderCount = async () => (await api('GET', '/orders', { token: buyer })).body.data.length;
+  const cartCount = async () => (await api('GET', '/cart', { token: buyer })).body.data.itemCount;
+
+  before(async () => {
+    ({ api, close } = await startServer());
+    buyer = await loginToken(api, USERS.buyer);
+  });
+  after(() => close());
+
+  it('takes the stock, prices the order and empties the cart', async () => {
+    await api('POST', '/cart', { token: buyer, body: { productId: 'prod-1', quantity: 2 } });
+    assert.equal(await cartCount(), 1);
+
+    const { status, body } = await api('POST', '/orders', {
+      token: buyer,
+      body: { items: [{ productId: 'prod-1', quantity: 2 }] }
+    });
+
+    assert.equal(status, 201);
+    assert.equal(body.data.status, 'pending');
+    assert.equal(body.data.subtotal, 1999.98);
+    assert.equal(await stockOf('prod-1'), 48);
+    assert.equal(await cartCount(), 0);
+  });
+
+  it('leaves stock, orders and cart untouched when any line fails', async () => {
+    await api('POST', '/cart', { token: buyer, body: { productId: 'prod-5', quantity: 1 } });
+    const orders = await orderCount();
+
+    const { status, body } = await api('POST', '/orders', {
+      token: buyer,
+      body: { items: [{ productId: 'prod-1', quantity: 1 }, { productId: 'prod-2', quantity: 26 }] }
+    });
+
+    assert.equal(status, 400);
+    assert.deepEqual(body, { success: false, message: 'Insufficient stock for MacBook Pro 16"' });
+    assert.equal(await stockOf('prod-1'), 48);
+    assert.equal(await stockOf('prod-2'), 25);
+    assert.equal(await orderCount(), orders);
+    assert.equal(await cartCount(), 1);
+  });
+
+  it('checks repeated lines of a product against their total quantity', async () => {
+    const { status } = await api('POST', '/orders', {
+      token: buyer,
+      body: { items: [{ productId: 'prod-2', quantity: 13 }, { productId: 'prod-2', quantity: 13 }] }
+    });
+
+    assert.equal(status, 400);
+    assert.equal(await stockOf('prod-2'), 25);
+  });
+
+  it('answers unknown products with 404 and bad quantities with 400', async () => {
+    const missing = await api('POST', '/orders', {
+      token: buyer,
+      body: { items: [{ productId: 'prod-1', quantity: 1 }, { productId: 'prod-missing', quantity: 1 }] }
+    });
+    assert.equal(missing.status, 404);
+    assert.deepEqual(missing.body, { success: false, message: 'Product prod-missing not found' });
+    assert.equal(await stockOf('prod-1'), 48);
+
+    const zero = await api('POST', '/orders', { token: buyer, body: { items: [{ productId: 'prod-1', quantity: 0 }] } });
+    assert.equal(zero.status, 400);
+
+    const empty = await api('POST', '/orders', { token: buyer, body: { items: [] } });
+    assert.equal(empty.status, 400);
+  });
+
+  it('is only open to verified accounts', async () => {
+    const unverified = await loginToken(api, USERS.unverified);
+    const { status } = await api('POST', '/orders', {
+      token: unverified,
+      body: { items: [{ productId: 'prod-1', quantity: 1 }] }
+    });
+    assert.equal(status, 403);
+  });
+});
@@ -0,0 +1,141 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, loginToken, USERS } from './helpers.js';
+import { paginate, sortRecords, MAX_LIMIT } from '../src/utils/pagination.js';
+
+const BY_PRICE = [{ value: record => record.price }];
+const ids = (records) => records.map(record => record.id);
+
+// Follow nextCursor from the first page to the last
+const walk = (records, options) => {
+  const seen = [];
+  let cursor;
+  do {
+    const { items, pagination } = paginate(records, { ...options, query: { ...options.query, cursor } });
+    seen.push(...ids(items));
+    cursor = pagination.nextCursor;
+  } while (cursor);
+  return seen;
+};
+
+describe('pagination', () => {
+  it('orders by the sort keys, then by id with shorter ids first', () => {
+    const records = [
+      { id: 'p-10', price: 5 },
+      { id: 'p-2', price: 5 },
+      { id: 'p-1', price: 9 },
+      { id: 'p-3', price: null }
+    ];
+
+    assert.deepEqual(ids(sortRecords(records, BY_PRICE)), ['p-2', 'p-10', 'p-1', 'p-3']);
+    // Missing values stay last when the direction flips
+    assert.deepEqual(ids(sortRecords(records, [{ value: r => r.price, direction: 'desc' }])), ['p-1', 'p-2', 'p-10', 'p-3']);
+    assert.deepEqual(ids(records), ['p-10', 'p-2', 'p-1', 'p-3']);
+  });
+
+  it('returns a copy even when the records are already in order', () => {
+    const records = [{ id: 'a' }, { id: 'b' }];
+    const sorted = sortRecords(records, []);
+    assert.deepEqual(sorted, records);
+    assert.notEqual(sorted, records);
+  });
+
+  it('walks every record exactly once with cursors, through ties', () => {
+    const records = Array.from({ length: 25 }, (_, i) => ({ id: `r-${i}`, price: i % 3 }));
+    const expected = ids(sortRecords(records, BY_PRICE));
+
+    assert.deepEqual(walk(records, { sort: BY_PRICE, sortName: 'price', query: { limit: 4 } }), expected);
+  });
+
+  it('goes back a page with prevCursor', () => {
+    const records = Array.from({ length: 10 }, (_, i) => ({ id: `r-${i}` }));
+    const first = paginate(records, { query: { limit: 4 } });
+    const second = paginate(records, { query: { limit: 4, cursor: first.pagination.nextCursor } });
+    const back = paginate(records, { query: { limit: 4, cursor: second.pagination.prevCursor } });
+
+    assert.deepEqual(ids(back.items), ids(first.items));
+    assert.equal(first.pagination.prevCursor, null);
+  });
+
+  it('keeps cursor pages in place when records are added before them', () => {
+    const records = Array.from({ length: 6 }, (_, i) => ({ id: `r-${i + 10}` }));
+    const first = paginate(records, { query: { limit: 3 } });
+    records.push({ id: 'r-1' });
+
+    const second = paginate(records, { query: { limit: 3, cursor: first.pagination.nextCursor } });
+    assert.deepEqual(ids(second.items), ['r-13', 'r-14', 'r-15']);
+  });
+
+  it('pages by offset too, capping the limit', () => {
+    const records = Array.from({ length: 250 }, (_, i) => ({ id: `r-${i}` }));
+    const { items, pagination } = paginate(records, { query: { page: '2', limit: '1000' } });
+
+    assert.equal(items.length, MAX_LIMIT);
+    assert.equal(items[0].id, 'r-100');
+    assert.deepEqual([pagination.page, pagination.pages, pagination.total], [2, 3, 250]);
+  });
+
+  it('rejects bad cursors and limits', () => {
+    const records = [{ id: 'a', price: 1 }, { id: 'b', price: 2 }];
+    const { pagination } = paginate(records, { sort: BY_PRICE, sortName: 'price', query: { limit: 1 } });
+
+    assert.throws(() => paginate(records, { query: { cursor: 'not-a-cursor' } }), /Invalid cursor/);
+    assert.throws(() => paginate(records, { query: { cursor: pagination.nextCursor } }), /different sort order/);
+    assert.throws(() => paginate(records, { query: { limit: '0' } }), /limit must be a positive integer/);
+    assert.throws(() => paginate(records, { query: { page: '1.5' } }), /page must be a positive integer/);
+  });
+});
+
+describe('paginated listings', () => {
+  let api;
+  let close;
+
+  const walkApi = async (path, key, token) => {
+    const seen = [];
+    let cursor = '';
+    do {
+      const { body } = await api('GET', `${path}${cursor && `&cursor=${cursor}`}`, { token });
+      seen.push(...ids(body.data[key]));
+      cursor = body.data.pagination.nextCursor;
+    } while (cursor);
+    return seen;
+  };
+
+  before(async () => {
+    ({ api, close } = await startServer());
+  });
+  after(() => close());
+
+  it('walk products in price order without repeats', async () => {
+    assert.deepEqual(
+      await walkApi('/products?sort=price_asc&limit=3', 'products'),
+      ['prod-5', 'prod-6', 'prod-7', 'prod-3', 'prod-8', 'prod-1', 'prod-4', 'prod-2']
+    );
+    assert.deepEqual(await walkApi('/products?limit=3', 'products'), ['prod-1', 'prod-2', 'prod-3', 'prod-4', 'prod-5', 'prod-6', 'prod-7', 'prod-8']);
+  });
+
+  it('walk orders newest first', async () => {
+    const admin = await loginToken(api, USERS.admin);
+    assert.deepEqual(await walkApi('/orders?limit=2', 'orders', admin), ['order-3', 'order-2', 'order-1']);
+  });
+
+  it('keep the plain order array for clients that do not page', async () => {
+    const admin = await loginToken(api, USERS.admin);
+    const { body } = await api('GET', '/orders', { token: admin });
+    assert.deepEqual(ids(body.data), ['order-3', 'order-2', 'order-1']);
+
+    const paged = await api('GET', '/orders?page=1', { token: admin });
+    assert.equal(paged.body.data.pagination.total, 3);
+  });
+
+  it('answer bad paging parameters with 400', async () => {
+    const { body } = await api('GET', '/products?sort=price_asc&limit=3');
+    const otherSort = await api('GET', `/products?sort=name&cursor=${body.data.pagination.nextCursor}`);
+    assert.equal(otherSort.status, 400);
+    assert.equal(otherSort.body.message, 'Cursor belongs to a different sort order; start again without a cursor');
+
+    assert.equal((await api('GET', '/products?cursor=garbage')).status, 400);
+    assert.equal((await api('GET', '/products?limit=-1')).status, 400);
+    assert.equal((await api('GET', '/products?sort=cheapest')).status, 400);
+  });
+});
@@ -0,0 +1,143 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, resetData, login, linkToken, setMailFailing, outbox, db, USERS, PASSWORD } from './helpers.js';
+
+const NEW_PASSWORD = 'brand-new-password';
+
+describe('password reset and change', () => {
+  let api;
+  let close;
+
+  const forgot = (email) => api('POST', '/auth/forgot-password', { body: { email } });
+  const reset = (token, password = NEW_PASSWORD) => api('POST', '/auth/reset-password', { body: { token, password } });
+  const profileStatus = async (token) => (await api('GET', '/auth/profile', { token })).status;
+  // Move the pending reset link past the one-minute cooldown
+  const backdateResetLink = (userId) => {
+    const [issued] = db.getTokensByUser(userId);
+    db.deleteToken(issued.id);
+    db.createToken({ ...issued, createdAt: new Date(Date.now() - 120 * 1000).toISOString() });
+  };
+
+  before(async () => {
+    ({ api, close } = await startServer());
+  });
+  beforeEach(() => resetData());
+  after(() => close());
+
+  it('resets the password with the emailed link and signs out everywhere', async () => {
+    const session = await login(api, USERS.buyer);
+    await forgot(USERS.buyer);
+    assert.equal(outbox[0].subject, 'Reset your password');
+    const token = linkToken(outbox[0]);
+
+    const { status } = await reset(token);
+    assert.equal(status, 200);
+    assert.equal(await profileStatus(session.token), 401);
+    assert.equal(outbox[1].subject, 'Your password was changed');
+
+    await assert.rejects(login(api, USERS.buyer), /failed with 401/);
+    assert.equal((await login(api, USERS.buyer, NEW_PASSWORD)).user.id, 'user-1');
+
+    // Links work once
+    assert.equal((await reset(token, 'yet-another-password')).status, 400);
+  });
+
+  it('answers the same whether or not the account exists', async () => {
+    const known = await forgot(USERS.buyer);
+    const unknown = await forgot('nobody@example.com');
+
+    assert.equal(unknown.status, 200);
+    assert.equal(unknown.body.message, known.body.message);
+    assert.equal(outbox.length, 1);
+    assert.equal((await forgot(undefined)).status, 400);
+  });
+
+  it('sends one link a minute per account and limits requests per IP', async () => {
+    const first = await forgot(USERS.buyer);
+    const again = await forgot(USERS.buyer);
+    assert.equal(again.status, 200);
+    assert.equal(again.body.message, first.body.message);
+    assert.equal(outbox.length, 1);
+
+    process.env.EMAIL_IP_MAX_REQUESTS = '3';
+    try {
+      await forgot('nobody@example.com');
+      const limited = await forgot(USERS.seller);
+      assert.equal(limited.status, 429);
+      assert.ok(Number(limited.headers.get('retry-after')) > 0);
+      // Verification resends share the limit
+      assert.equal((await api('POST', '/auth/resend-verification', { body: { email: USERS.unverified } })).status, 429);
+    } finally {
+      delete process.env.EMAIL_IP_MAX_REQUESTS;
+    }
+    assert.equal(outbox.length, 1);
+  });
+
+  it('applies only one of two simultaneous password changes', async () => {
+    const { token } = await login(api, USERS.buyer);
+    const change = (newPassword) => api('PUT', '/auth/password', {
+      token,
+      body: { currentPassword: PASSWORD, newPassword }
+    });
+
+    const results = await Promise.all([change(NEW_PASSWORD), change('another-new-password')]);
+    assert.deepEqual(results.map(response => response.status).sort(), [200, 409]);
+
+    const winner = results[0].status === 200 ? NEW_PASSWORD : 'another-new-password';
+    assert.equal((await login(api, USERS.buyer, winner)).user.id, 'user-1');
+  });
+
+  it('answers the same when the mail provider fails', async () => {
+    const unknown = await forgot('nobody@example.com');
+    setMailFailing(true);
+    const known = await forgot(USERS.buyer);
+
+    assert.equal(known.status, 200);
+    assert.equal(known.body.message, unknown.body.message);
+  });
+
+  it('only accepts the latest link and a long enough password', async () => {
+    await forgot(USERS.buyer);
+    backdateResetLink('user-1');
+    await forgot(USERS.buyer);
+    const [first, second] = outbox.map(linkToken);
+
+    assert.equal((await reset(first)).status, 400);
+    const short = await reset(second, 'short');
+    assert.equal(short.status, 400);
+    assert.equal(short.body.message, 'Password must be at least 8 characters long');
+    // A rejected password does not use the link up
+    assert.equal((await reset(second)).status, 200);
+  });
+
+  it('changes the password and hands out a fresh session', async () => {
+    const laptop = await login(api, USERS.buyer);
+    const phone = await login(api, USERS.buyer);
+
+    const { status, body } = await api('PUT', '/auth/password', {
+      token: laptop.token,
+      body: { currentPassword: PASSWORD, newPassword: NEW_PASSWORD }
+    });
+
+    assert.equal(status, 200);
+    assert.equal(await profileStatus(phone.token), 401);
+    assert.equal(await profileStatus(laptop.token), 401);
+    assert.equal(await profileStatus(body.data.token), 200);
+    assert.equal((await login(api, USERS.buyer, NEW_PASSWORD)).user.id, 'user-1');
+  });
+
+  it('requires the current password and a different new one', async () => {
+    const { token } = await login(api, USERS.buyer);
+    const change = (body) => api('PUT', '/auth/password', { token, body });
+
+    const wrong = await change({ currentPassword: 'wrong-password', newPassword: NEW_PASSWORD });
+    assert.equal(wrong.status, 400);
+    assert.equal(wrong.body.message, 'Current password is incorrect');
+
+    const same = await change({ currentPassword: PASSWORD, newPassword: PASSWORD });
+    assert.equal(same.status, 400);
+    assert.equal(same.body.message, 'New password must be different from the current password');
+
+    assert.equal(await profileStatus(token), 200);
+  });
+});
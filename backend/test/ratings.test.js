@@ -0,0 +1,75 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, loginToken, USERS } from './helpers.js';
+
+describe('product rating aggregates', () => {
+  let api;
+  let close;
+  let seller;
+  let admin;
+
+  const ratingOf = async (productId) => {
+    const { product } = (await api('GET', `/products/${productId}`)).body.data;
+    return { rating: product.rating, reviewCount: product.reviewCount, distribution: product.ratingDistribution };
+  };
+
+  before(async () => {
+    ({ api, close } = await startServer());
+    seller = await loginToken(api, USERS.seller);
+    admin = await loginToken(api, USERS.admin);
+  });
+  after(() => close());
+
+  it('are computed from the seeded reviews', async () => {
+    assert.deepEqual(await ratingOf('prod-1'), {
+      rating: 4.5,
+      reviewCount: 2,
+      distribution: { 1: 0, 2: 0, 3: 0, 4: 1, 5: 1 }
+    });
+  });
+
+  it('follow reviews being created, edited, deleted and restored', async () => {
+    const created = await api('POST', '/reviews', { token: seller, body: { productId: 'prod-1', rating: 3 } });
+    assert.equal(created.status, 201);
+    assert.deepEqual(await ratingOf('prod-1'), {
+      rating: 4,
+      reviewCount: 3,
+      distribution: { 1: 0, 2: 0, 3: 1, 4: 1, 5: 1 }
+    });
+
+    const reviewId = created.body.data.id;
+    await api('PUT', `/reviews/${reviewId}`, { token: seller, body: { rating: 1 } });
+    assert.equal((await ratingOf('prod-1')).rating, 3.3);
+
+    await api('DELETE', `/reviews/${reviewId}`, { token: seller });
+    assert.deepEqual(await ratingOf('prod-1'), {
+      rating: 4.5,
+      reviewCount: 2,
+      distribution: { 1: 0, 2: 0, 3: 0, 4: 1, 5: 1 }
+    });
+
+    const restored = await api('POST', `/admin/trash/reviews/${reviewId}/restore`, { token: admin });
+    assert.equal(restored.status, 200);
+    assert.equal((await ratingOf('prod-1')).reviewCount, 3);
+  });
+
+  it('cannot be set directly through a product update', async () => {
+    const { status, body } = await api('PUT', '/products/prod-1', {
+      token: seller,
+      body: { rating: 1, reviewCount: 99 }
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.data.reviewCount, 3);
+    assert.notEqual(body.data.rating, 1);
+  });
+
+  it('drop to zero when a product has no reviews left', async () => {
+    await api('DELETE', '/reviews/review-5', { token: admin });
+    assert.deepEqual(await ratingOf('prod-8'), {
+      rating: 0,
+      reviewCount: 0,
+      distribution: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 }
+    });
+  });
+});
@@ -0,0 +1,85 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, resetData, login, db, USERS } from './helpers.js';
+
+describe('refresh tokens and logout', () => {
+  let api;
+  let close;
+
+  const refresh = (refreshToken) => api('POST', '/auth/refresh', { body: { refreshToken } });
+  const profileStatus = async (token) => (await api('GET', '/auth/profile', { token })).status;
+  const sessionOf = (refreshToken) => db.getSessionById(refreshToken.split('.')[0]);
+
+  before(async () => {
+    ({ api, close } = await startServer());
+  });
+  beforeEach(() => resetData());
+  after(() => close());
+
+  it('rotates the refresh token on every refresh', async () => {
+    const { refreshToken } = await login(api, USERS.buyer);
+
+    const { status, body } = await refresh(refreshToken);
+    assert.equal(status, 200);
+    assert.notEqual(body.data.refreshToken, refreshToken);
+    assert.equal(await profileStatus(body.data.token), 200);
+
+    const again = await refresh(body.data.refreshToken);
+    assert.equal(again.status, 200);
+  });
+
+  it('revokes the whole session when an old refresh token is replayed', async () => {
+    const { refreshToken: stolen } = await login(api, USERS.buyer);
+    const rotated = (await refresh(stolen)).body.data;
+
+    const replay = await refresh(stolen);
+    assert.equal(replay.status, 401);
+    assert.equal(sessionOf(stolen).revokedReason, 'reuse');
+
+    // The legitimate holder is signed out too
+    assert.equal((await refresh(rotated.refreshToken)).status, 401);
+    assert.equal(await profileStatus(rotated.token), 401);
+  });
+
+  it('logs out with the refresh token or the access token', async () => {
+    const first = await login(api, USERS.buyer);
+    const loggedOut = await api('POST', '/auth/logout', { body: { refreshToken: first.refreshToken } });
+    assert.equal(loggedOut.status, 200);
+    assert.equal(await profileStatus(first.token), 401);
+    assert.equal((await refresh(first.refreshToken)).status, 401);
+
+    const second = await login(api, USERS.buyer);
+    await api('POST', '/auth/logout', { token: second.token });
+    assert.equal(sessionOf(second.refreshToken).revokedReason, 'logout');
+    assert.equal(await profileStatus(second.token), 401);
+  });
+
+  it('keeps other sessions of the user signed in', async () => {
+    const laptop = await login(api, USERS.buyer);
+    const phone = await login(api, USERS.buyer);
+
+    await api('POST', '/auth/logout', { body: { refreshToken: laptop.refreshToken } });
+    assert.equal(await profileStatus(phone.token), 200);
+    assert.equal((await refresh(phone.refreshToken)).status, 200);
+  });
+
+  it('refuses expired sessions and suspended accounts', async () => {
+    const expired = await login(api, USERS.buyer);
+    db.updateSession(sessionOf(expired.refreshToken).id, { expiresAt: new Date(Date.now() - 1000).toISOString() });
+    assert.equal((await refresh(expired.refreshToken)).status, 401);
+
+    const suspended = await login(api, USERS.seller);
+    db.updateUser('user-2', { suspendedAt: new Date().toISOString() });
+    const { status, body } = await refresh(suspended.refreshToken);
+    assert.equal(status, 401);
+    assert.equal(body.message, 'This account has been suspended.');
+    assert.equal(sessionOf(suspended.refreshToken).revokedReason, 'user-suspended');
+  });
+
+  it('rejects missing and malformed refresh tokens', async () => {
+    assert.equal((await refresh(undefined)).status, 400);
+    assert.equal((await refresh('not-a-token')).status, 401);
+    const { refreshToken } = await login(api, USERS.buyer);
+    assert.equal((await refresh(`${refreshToken.split('.')[0]}.forged`)).status, 401);
+  });
+});
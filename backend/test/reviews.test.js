@@ -0,0 +1,76 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, loginToken, USERS } from './helpers.js';
+
+describe('reviews', () => {
+  let api;
+  let close;
+  let buyer;
+  let seller;
+
+  before(async () => {
+    ({ api, close } = await startServer());
+    buyer = await loginToken(api, USERS.buyer);
+    seller = await loginToken(api, USERS.seller);
+  });
+  after(() => close());
+
+  it('lists the reviews of a product, newest first', async () => {
+    const { status, body } = await api('GET', '/reviews?productId=prod-1');
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.data.reviews.map(r => r.id).sort(), ['review-1', 'review-2']);
+    const dates = body.data.reviews.map(r => r.createdAt);
+    assert.deepEqual(dates, [...dates].sort().reverse());
+    assert.equal(body.data.pagination.total, 2);
+  });
+
+  it('returns a single review and 404 for unknown ids', async () => {
+    assert.equal((await api('GET', '/reviews/review-1')).body.data.productId, 'prod-1');
+    assert.equal((await api('GET', '/reviews/review-missing')).status, 404);
+  });
+
+  it('requires a login to write a review', async () => {
+    const { status } = await api('POST', '/reviews', { body: { productId: 'prod-4', rating: 4 } });
+    assert.equal(status, 401);
+  });
+
+  it('creates a review, flagged as a verified purchase after a delivered order', async () => {
+    const { status, body } = await api('POST', '/reviews', {
+      token: buyer,
+      body: { productId: 'prod-8', rating: 4, title: 'Good', comment: 'Nice sound' }
+    });
+
+    assert.equal(status, 201);
+    assert.equal(body.data.userId, 'user-1');
+    assert.equal(body.data.verifiedPurchase, true);
+
+    const notBought = await api('POST', '/reviews', { token: buyer, body: { productId: 'prod-4', rating: 3 } });
+    assert.equal(notBought.status, 201);
+    assert.equal(notBought.body.data.verifiedPurchase, false);
+  });
+
+  it('rejects a second review of the same product, bad ratings and unknown products', async () => {
+    const duplicate = await api('POST', '/reviews', { token: buyer, body: { productId: 'prod-1', rating: 5 } });
+    assert.equal(duplicate.status, 400);
+
+    const badRating = await api('POST', '/reviews', { token: seller, body: { productId: 'prod-4', rating: 6 } });
+    assert.equal(badRating.status, 400);
+
+    const missing = await api('POST', '/reviews', { token: seller, body: { productId: 'prod-missing', rating: 5 } });
+    assert.equal(missing.status, 404);
+  });
+
+  it('lets only the author (or an admin) edit and delete a review', async () => {
+    const forbidden = await api('PUT', '/reviews/review-1', { token: seller, body: { rating: 1 } });
+    assert.equal(forbidden.status, 403);
+
+    const updated = await api('PUT', '/reviews/review-1', { token: buyer, body: { rating: 3, title: 'Changed my mind' } });
+    assert.equal(updated.status, 200);
+    assert.equal(updated.body.data.rating, 3);
+
+    assert.equal((await api('DELETE', '/reviews/review-1', { token: seller })).status, 403);
+    assert.equal((await api('DELETE', '/reviews/review-1', { token: buyer })).status, 200);
+    assert.equal((await api('GET', '/reviews/review-1')).status, 404);
+  });
+});
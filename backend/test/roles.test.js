@@ -0,0 +1,114 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, resetData, login, loginToken, USERS, PASSWORD } from './helpers.js';
+
+const NEW_PRODUCT = { name: 'Desk Lamp', price: 25, stock: 3, categoryId: 'cat-3' };
+
+describe('roles and user management', () => {
+  let api;
+  let close;
+  let admin;
+
+  before(async () => {
+    ({ api, close } = await startServer());
+  });
+  beforeEach(async () => {
+    resetData();
+    admin = await loginToken(api, USERS.admin);
+  });
+  after(() => close());
+
+  it('registers every new account as a buyer', async () => {
+    const account = { email: 'eve@example.com', password: 'a-long-password', firstName: 'Eve', lastName: 'Doe' };
+
+    const asAdmin = await api('POST', '/auth/register', { body: { ...account, role: 'admin' } });
+    assert.equal(asAdmin.status, 400);
+    assert.equal(asAdmin.body.message, 'Only buyer accounts can be registered. Apply to become a seller after signing up.');
+
+    const registered = await api('POST', '/auth/register', { body: account });
+    assert.equal(registered.status, 201);
+    assert.equal(registered.body.data.user.role, 'buyer');
+  });
+
+  it('lets only one of two simultaneous signups take an email', async () => {
+    const account = { email: 'eve@example.com', password: 'a-long-password', firstName: 'Eve', lastName: 'Doe' };
+    const register = (body) => api('POST', '/auth/register', { body });
+
+    const same = await Promise.all([register(account), register(account)]);
+    assert.deepEqual(same.map(response => response.status).sort(), [201, 409]);
+    assert.equal(same.find(response => response.status === 409).body.message, 'User with this email already exists');
+    assert.equal((await register(account)).status, 409);
+
+    const different = await Promise.all([
+      register({ ...account, email: 'eve.one@example.com' }),
+      register({ ...account, email: 'eve.two@example.com' })
+    ]);
+    assert.deepEqual(different.map(response => response.status), [201, 201]);
+    assert.notEqual(different[0].body.data.user.id, different[1].body.data.user.id);
+  });
+
+  it('turns a buyer into a seller once an admin approves the application', async () => {
+    const buyer = await loginToken(api, USERS.buyer);
+    const applied = await api('POST', '/seller-applications', {
+      token: buyer,
+      body: { businessName: 'John Deals', description: 'Gadgets' }
+    });
+    assert.equal(applied.status, 201);
+    assert.equal((await api('POST', '/seller-applications', { token: buyer, body: { businessName: 'Again' } })).status, 400);
+    assert.equal((await api('POST', '/products', { token: buyer, body: NEW_PRODUCT })).status, 403);
+
+    const approved = await api('POST', `/admin/seller-applications/${applied.body.data.id}/approve`, { token: admin });
+    assert.equal(approved.status, 200);
+
+    // The existing token picks up the new role
+    assert.equal((await api('POST', '/products', { token: buyer, body: NEW_PRODUCT })).status, 201);
+    const again = await api('POST', `/admin/seller-applications/${applied.body.data.id}/reject`, { token: admin });
+    assert.equal(again.status, 400);
+  });
+
+  it('lets admins change roles, but not their own', async () => {
+    const seller = await loginToken(api, USERS.seller);
+    const demoted = await api('PUT', '/admin/users/user-2/role', { token: admin, body: { role: 'buyer' } });
+    assert.equal(demoted.status, 200);
+    assert.equal(demoted.body.data.password, undefined);
+    assert.equal((await api('POST', '/products', { token: seller, body: NEW_PRODUCT })).status, 403);
+
+    assert.equal((await api('PUT', '/admin/users/user-2/role', { token: admin, body: { role: 'owner' } })).status, 400);
+    const own = await api('PUT', '/admin/users/user-5/role', { token: admin, body: { role: 'buyer' } });
+    assert.equal(own.status, 400);
+    assert.equal(own.body.message, 'You cannot change the role of your own account');
+  });
+
+  it('signs suspended users out and keeps them out until unsuspended', async () => {
+    const buyer = await loginToken(api, USERS.buyer);
+    await api('POST', '/admin/users/user-1/suspend', { token: admin, body: { reason: 'Chargebacks' } });
+
+    assert.equal((await api('GET', '/auth/profile', { token: buyer })).status, 401);
+    const refused = await api('POST', '/auth/login', { body: { email: USERS.buyer, password: PASSWORD } });
+    assert.equal(refused.status, 403);
+    assert.equal((await api('POST', '/admin/users/user-1/suspend', { token: admin })).status, 400);
+
+    await api('POST', '/admin/users/user-1/unsuspend', { token: admin });
+    assert.equal((await login(api, USERS.buyer)).user.id, 'user-1');
+  });
+
+  it('lists and filters users for admins only', async () => {
+    const { body } = await api('GET', '/admin/users?role=seller', { token: admin });
+    assert.deepEqual(body.data.users.map(user => user.id).sort(), ['user-2', 'user-3']);
+    assert.ok(body.data.users.every(user => !('password' in user)));
+
+    const unverified = await api('GET', '/admin/users?status=unverified', { token: admin });
+    assert.deepEqual(unverified.body.data.users.map(user => user.id), ['user-4']);
+    const searched = await api('GET', '/admin/users?search=smith', { token: admin });
+    assert.deepEqual(searched.body.data.users.map(user => user.id), ['user-2']);
+
+    assert.equal((await api('GET', '/admin/users?role=owner', { token: admin })).status, 400);
+    for (const query of ['search=a&search=b', 'role=buyer&role=seller', 'status=active&status=suspended']) {
+      const repeated = await api('GET', `/admin/users?${query}`, { token: admin });
+      assert.equal(repeated.status, 400);
+      assert.equal(repeated.body.message, `${query.split('=')[0]} must be given once`);
+    }
+    const buyer = await loginToken(api, USERS.buyer);
+    assert.equal((await api('GET', '/admin/users', { token: buyer })).status, 403);
+  });
+});
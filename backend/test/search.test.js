@@ -0,0 +1,106 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, resetData, db } from './helpers.js';
+import { tokenize, editDistance, parseQuery, getIndex } from '../src/services/search.js';
+
+describe('search text handling', () => {
+  it('tokenizes into lowercase words without accents', () => {
+    assert.deepEqual(tokenize('Crème Brûlée, 2-pack!'), ['creme', 'brulee', '2', 'pack']);
+    assert.deepEqual(tokenize(null), []);
+  });
+
+  it('counts an adjacent transposition as one edit', () => {
+    assert.equal(editDistance('headphones', 'headphnoes'), 1);
+    assert.equal(editDistance('kitten', 'sitting'), 3);
+    // Gives up past the limit
+    assert.equal(editDistance('kitten', 'sitting', 1), 2);
+  });
+
+  it('drops stop words unless nothing else is left', () => {
+    assert.deepEqual(parseQuery('The Coffee and the Maker'), ['coffee', 'maker']);
+    assert.deepEqual(parseQuery('the'), ['the']);
+  });
+});
+
+describe('product search', () => {
+  let api;
+  let close;
+
+  const search = async (query, extra = '') => {
+    const { body } = await api('GET', `/products?search=${encodeURIComponent(query)}${extra}`);
+    return body.data;
+  };
+  const ids = (data) => data.products.map(product => product.id);
+
+  before(async () => {
+    ({ api, close } = await startServer());
+  });
+  beforeEach(() => resetData());
+  after(() => close());
+
+  it('ranks by relevance and highlights the matches', async () => {
+    const data = await search('iphone');
+
+    assert.deepEqual(ids(data), ['prod-1']);
+    assert.ok(data.products[0].relevance > 0);
+    assert.deepEqual(data.products[0].highlights[0], { field: 'name', text: 'iPhone 15 Pro', matches: [[0, 6]] });
+    assert.deepEqual(data.search, { query: 'iphone', sort: 'relevance', terms: { iphone: ['iphone'] } });
+  });
+
+  it('puts name matches ahead of weaker ones', async () => {
+    const data = await search('pro');
+    assert.equal(ids(data)[0], 'prod-1');
+    const scores = data.products.map(product => product.relevance);
+    assert.deepEqual(scores, [...scores].sort((a, b) => b - a));
+  });
+
+  it('forgives typos and completes prefixes', async () => {
+    const typo = await search('headphnes');
+    assert.deepEqual(ids(typo), ['prod-8']);
+    assert.deepEqual(typo.search.terms, { headphnes: ['headphones'] });
+
+    assert.deepEqual(ids(await search('macb')), ['prod-2']);
+    assert.deepEqual(ids(await search('coffe maker')), ['prod-7']);
+  });
+
+  it('matches every term, across names, SKUs and parent categories', async () => {
+    assert.deepEqual(ids(await search('iphone yoga')), []);
+    assert.deepEqual(ids(await search('NIKE-AM90-BK-9')), ['prod-3']);
+    // Smartphones and laptops sit under Electronics
+    assert.deepEqual(ids(await search('electronics')).sort(), ['prod-1', 'prod-2', 'prod-4', 'prod-8']);
+  });
+
+  it('sees product changes on the next search', async () => {
+    db.updateProduct('prod-6', { name: 'Kayak Paddle', updatedAt: new Date().toISOString() });
+    assert.deepEqual(ids(await search('kayak')), ['prod-6']);
+
+    db.deleteProduct('prod-6', 'user-5');
+    assert.deepEqual(ids(await search('kayak')), []);
+  });
+
+  it('keeps the index through writes that do not touch searchable text', async () => {
+    const index = getIndex();
+    db.updateProduct('prod-1', { stock: 3, rating: 1 });
+    db.updateCategory('cat-1', { description: 'Gadgets' });
+    assert.equal(getIndex(), index);
+
+    db.updateCategory('cat-1', { name: 'Gadgets' });
+    assert.notEqual(getIndex(), index);
+    assert.deepEqual(ids(await search('gadgets')).sort(), ['prod-1', 'prod-2', 'prod-4', 'prod-8']);
+  });
+
+  it('highlights the products on the returned page', async () => {
+    const { products, pagination } = await search('pro', '&limit=1');
+    assert.equal(products.length, 1);
+    assert.ok(pagination.total > 1);
+    assert.ok(products[0].highlights.length > 0);
+  });
+
+  it('combines with filters and other sorts', async () => {
+    assert.deepEqual(ids(await search('pro', '&seller=user-2&sort=price_asc')), ['prod-7', 'prod-1', 'prod-2']);
+
+    const { status, body } = await api('GET', '/products?sort=relevance');
+    assert.equal(status, 400);
+    assert.equal(body.message, 'sort=relevance needs a search');
+  });
+});
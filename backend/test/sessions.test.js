@@ -0,0 +1,69 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, resetData, login, USERS, PASSWORD } from './helpers.js';
+
+describe('active sessions', () => {
+  let api;
+  let close;
+
+  const loginFrom = async (userAgent) => {
+    const { body } = await api('POST', '/auth/login', {
+      body: { email: USERS.buyer, password: PASSWORD },
+      headers: { 'User-Agent': userAgent }
+    });
+    return body.data;
+  };
+  const sessions = async (token) => (await api('GET', '/auth/sessions', { token })).body.data;
+  const profileStatus = async (token) => (await api('GET', '/auth/profile', { token })).status;
+
+  before(async () => {
+    ({ api, close } = await startServer());
+  });
+  beforeEach(() => resetData());
+  after(() => close());
+
+  it('lists the devices signed in, marking the current one', async () => {
+    await loginFrom('Laptop');
+    const phone = await loginFrom('Phone');
+    await login(api, USERS.seller);
+
+    const listed = await sessions(phone.token);
+    assert.deepEqual(listed.map(session => session.userAgent).sort(), ['Laptop', 'Phone']);
+    assert.deepEqual(listed.filter(session => session.current).map(session => session.userAgent), ['Phone']);
+    assert.ok(listed.every(session => !('tokenHash' in session)));
+  });
+
+  it('revokes another device, which is signed out right away', async () => {
+    const laptop = await loginFrom('Laptop');
+    const phone = await loginFrom('Phone');
+    const [target] = (await sessions(phone.token)).filter(session => session.userAgent === 'Laptop');
+
+    const { status, body } = await api('DELETE', `/auth/sessions/${target.id}`, { token: phone.token });
+    assert.equal(status, 200);
+    assert.equal(body.message, 'Session revoked successfully');
+    assert.equal(await profileStatus(laptop.token), 401);
+    assert.equal((await api('POST', '/auth/refresh', { body: { refreshToken: laptop.refreshToken } })).status, 401);
+    assert.deepEqual((await sessions(phone.token)).map(session => session.userAgent), ['Phone']);
+  });
+
+  it('signs out every other device', async () => {
+    const laptop = await loginFrom('Laptop');
+    const tablet = await loginFrom('Tablet');
+    const phone = await loginFrom('Phone');
+
+    const { body } = await api('DELETE', '/auth/sessions', { token: phone.token });
+    assert.equal(body.data.revoked, 2);
+    assert.equal(await profileStatus(laptop.token), 401);
+    assert.equal(await profileStatus(tablet.token), 401);
+    assert.equal(await profileStatus(phone.token), 200);
+  });
+
+  it('cannot touch the sessions of other users', async () => {
+    const buyer = await loginFrom('Laptop');
+    const seller = await login(api, USERS.seller);
+    const [sellerSession] = await sessions(seller.token);
+
+    assert.equal((await api('DELETE', `/auth/sessions/${sellerSession.id}`, { token: buyer.token })).status, 404);
+    assert.equal(await profileStatus(seller.token), 200);
+  });
+});
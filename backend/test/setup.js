@@ -0,0 +1,7 @@
+// Preloaded into every test file (see the test script in package.json), before
+// any application module reads process.env. Each file runs in its own process
+// with a fresh in-memory store, whatever the local .env selects.
+process.env.NODE_ENV = 'test';
+process.env.DB_ADAPTER = 'memory';
+process.env.MAIL_TRANSPORT = 'capture';
+process.env.LOGIN_LIMITER_STORE = 'memory';
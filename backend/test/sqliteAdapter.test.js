@@ -0,0 +1,58 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { COLLECTIONS } from '../src/config/database.js';
+
+// better-sqlite3 is an optional dependency
+const sqlite = await import('../src/config/adapters/sqliteAdapter.js').catch(() => null);
+const migrate = await import('../src/config/migrate.js');
+
+describe('sqlite adapter', { skip: !sqlite && 'better-sqlite3 is not installed' }, () => {
+  const open = () => sqlite.createSqliteAdapter({ collections: COLLECTIONS, filename: ':memory:' });
+
+  it('applies every migration once', () => {
+    const database = sqlite.openSqliteDatabase(':memory:');
+    const applied = migrate.runMigrations(database);
+
+    assert.equal(applied.length, migrate.listMigrations().length);
+    assert.deepEqual(migrate.runMigrations(database), []);
+    assert.ok(migrate.getMigrationStatus(database).every(migration => migration.applied));
+    database.close();
+  });
+
+  it('stores records as documents and finds them by indexed fields', () => {
+    const store = open();
+    store.insert('products', { id: 'p1', categoryId: 'c1', sellerId: 's1', tags: ['a'] });
+    store.insert('products', { id: 'p2', categoryId: 'c2', sellerId: 's1' });
+    store.update('products', 'p2', { categoryId: 'c1' });
+
+    assert.deepEqual(store.get('products', 'p1'), { id: 'p1', categoryId: 'c1', sellerId: 's1', tags: ['a'] });
+    assert.deepEqual(store.findBy('products', 'categoryId', 'c1').map(p => p.id), ['p1', 'p2']);
+    assert.deepEqual(store.findBy('products', 'sellerId', 's1').map(p => p.id), ['p1', 'p2']);
+
+    assert.equal(store.remove('products', 'p1').id, 'p1');
+    assert.equal(store.remove('products', 'p1'), null);
+    assert.deepEqual(store.all('products').map(p => p.id), ['p2']);
+    store.close();
+  });
+
+  it('rolls a failed transaction back, including a clear', () => {
+    const store = open();
+    store.insert('users', { id: 'u1', email: 'a@example.com' });
+
+    assert.throws(() => store.transaction(() => {
+      store.clear();
+      store.insert('users', { id: 'u2', email: 'b@example.com' });
+      throw new Error('boom');
+    }), /boom/);
+
+    assert.deepEqual(store.all('users').map(u => u.id), ['u1']);
+    store.close();
+  });
+
+  it('enforces unique emails', () => {
+    const store = open();
+    store.insert('users', { id: 'u1', email: 'a@example.com' });
+    assert.throws(() => store.insert('users', { id: 'u2', email: 'a@example.com' }), /UNIQUE/);
+    store.close();
+  });
+});
@@ -0,0 +1,123 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, resetData, login, loginToken, db, USERS } from './helpers.js';
+
+describe('soft delete and trash', () => {
+  let api;
+  let close;
+  let admin;
+
+  const trash = async (type) => (await api('GET', `/admin/trash?type=${type}`, { token: admin })).body.data.trash[type];
+  const purge = () => api('POST', '/admin/trash/purge?retentionDays=0', { token: admin });
+  const restore = (type, id) => api('POST', `/admin/trash/${type}/${id}/restore`, { token: admin });
+  const stored = (collection, id) => db.exportCollection(collection).find(record => record.id === id);
+
+  before(async () => {
+    ({ api, close } = await startServer());
+  });
+  beforeEach(async () => {
+    resetData();
+    admin = await loginToken(api, USERS.admin);
+  });
+  after(() => close());
+
+  it('hides deleted products until they are restored', async () => {
+    assert.equal((await api('DELETE', '/products/prod-5', { token: admin })).status, 200);
+
+    assert.equal((await api('GET', '/products/prod-5')).status, 404);
+    const listed = (await api('GET', '/products?limit=100')).body.data.products;
+    assert.ok(!listed.some(product => product.id === 'prod-5'));
+
+    const [entry] = await trash('products');
+    assert.equal(entry.id, 'prod-5');
+    assert.equal(entry.deletedBy, 'user-5');
+
+    assert.equal((await restore('products', 'prod-5')).status, 200);
+    assert.equal((await api('GET', '/products/prod-5')).status, 200);
+    assert.deepEqual(await trash('products'), []);
+  });
+
+  it('leaves cart lines of deleted products out of the cart until they are restored', async () => {
+    const buyer = await loginToken(api, USERS.buyer);
+    const cart = async () => (await api('GET', '/cart', { token: buyer })).body.data;
+    await api('POST', '/cart', { token: buyer, body: { productId: 'prod-5', quantity: 2 } });
+    await api('POST', '/cart', { token: buyer, body: { productId: 'prod-6', quantity: 1 } });
+
+    await api('DELETE', '/products/prod-5', { token: admin });
+    const trimmed = await cart();
+    assert.deepEqual(trimmed.items.map(item => item.productId), ['prod-6']);
+    assert.ok(trimmed.items.every(item => item.product));
+    assert.equal(trimmed.subtotal, 39.99);
+
+    await restore('products', 'prod-5');
+    assert.equal((await cart()).itemCount, 2);
+  });
+
+  it('takes deleted reviews out of the rating and puts them back on restore', async () => {
+    const buyer = await loginToken(api, USERS.buyer);
+    await api('DELETE', '/reviews/review-1', { token: buyer });
+    assert.equal(db.getProductById('prod-1').reviewCount, 1);
+
+    await restore('reviews', 'review-1');
+    assert.equal(db.getProductById('prod-1').reviewCount, 2);
+  });
+
+  it('refuses to restore a record whose parent is still deleted', async () => {
+    const buyer = await loginToken(api, USERS.buyer);
+    await api('DELETE', '/reviews/review-3', { token: buyer });
+    await api('DELETE', '/products/prod-2', { token: admin });
+
+    const { status, body } = await restore('reviews', 'review-3');
+    assert.equal(status, 409);
+    assert.equal(body.message, 'Restore product prod-2 first');
+    assert.equal((await restore('reviews', 'review-missing')).status, 404);
+    assert.equal((await restore('orders', 'order-1')).status, 400);
+  });
+
+  it('keeps deleted users out of their account', async () => {
+    await api('DELETE', '/admin/users/user-4', { token: admin });
+    await assert.rejects(login(api, USERS.unverified), /failed with 401/);
+
+    await restore('users', 'user-4');
+    assert.equal((await login(api, USERS.unverified)).user.id, 'user-4');
+  });
+
+  it('purges expired records that nothing references', async () => {
+    db.createProduct({ id: 'prod-x', name: 'Unsold', sellerId: 'user-2', categoryId: 'cat-4', price: 1, stock: 1 });
+    db.createReview({ id: 'review-x', productId: 'prod-x', userId: 'user-1', rating: 3, comment: 'Fine' });
+    db.deleteReview('review-x', 'user-5');
+    db.deleteProduct('prod-x', 'user-5');
+    // Ordered and reviewed, so it has to stay
+    db.deleteProduct('prod-1', 'user-5');
+
+    const { status, body } = await purge();
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.data.purged, { reviews: 1, products: 1, categories: 0, users: 0 });
+    assert.equal(stored('products', 'prod-x'), undefined);
+    assert.ok(stored('products', 'prod-1').deletedAt);
+  });
+
+  it('purges a deleted category together with its deleted subcategory', async () => {
+    db.createCategory({ id: 'cat-x', name: 'Parent' });
+    db.createCategory({ id: 'cat-y', name: 'Child', parentId: 'cat-x' });
+
+    assert.equal((await api('DELETE', '/categories/cat-x', { token: admin })).status, 400);
+    await api('DELETE', '/categories/cat-y', { token: admin });
+    await api('DELETE', '/categories/cat-x', { token: admin });
+
+    const { body } = await purge();
+    assert.equal(body.data.purged.categories, 2);
+    assert.equal(stored('categories', 'cat-x'), undefined);
+  });
+
+  it('refuses to delete categories that still have subcategories or products', async () => {
+    const parent = await api('DELETE', '/categories/cat-1', { token: admin });
+    assert.equal(parent.status, 400);
+    assert.equal(parent.body.message, 'Cannot delete category with subcategories; delete or move them first');
+
+    const withProducts = await api('DELETE', '/categories/cat-4', { token: admin });
+    assert.equal(withProducts.status, 400);
+    assert.equal(db.getCategoryById('cat-4').name, 'Books');
+  });
+});
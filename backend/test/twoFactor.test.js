@@ -0,0 +1,122 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, resetData, login, loginToken, USERS, PASSWORD } from './helpers.js';
+import { generateCode, timeStep } from '../src/services/totp.js';
+
+// Each code is accepted once and only if it is newer than the last one used, so
+// tests walk through the steps the server accepts: previous, current and next
+const codeAt = (secret, offset) => generateCode(secret, timeStep() + offset);
+
+describe('two-factor authentication', () => {
+  let api;
+  let close;
+
+  const passwordStep = (email) => api('POST', '/auth/login', { body: { email, password: PASSWORD } });
+  const secondStep = (body) => api('POST', '/auth/login/2fa', { body });
+
+  // Enroll with a code of the previous step, leaving the current and next ones for the test
+  const enroll = async (token) => {
+    const { secret } = (await api('POST', '/auth/2fa/setup', { token })).body.data;
+    const { body } = await api('POST', '/auth/2fa/verify', { token, body: { code: codeAt(secret, -1) } });
+    return { secret, recoveryCodes: body.data.recoveryCodes };
+  };
+
+  before(async () => {
+    ({ api, close } = await startServer());
+  });
+  beforeEach(() => resetData());
+  after(() => close());
+
+  it('is offered to sellers and admins only', async () => {
+    const buyer = await loginToken(api, USERS.buyer);
+    assert.equal((await api('GET', '/auth/2fa', { token: buyer })).body.data.available, false);
+    assert.equal((await api('POST', '/auth/2fa/setup', { token: buyer })).status, 400);
+  });
+
+  it('is enabled only once a code from the new secret is confirmed', async () => {
+    const seller = await loginToken(api, USERS.seller);
+    const setup = await api('POST', '/auth/2fa/setup', { token: seller });
+    assert.match(setup.body.data.otpauthUri, /^otpauth:\/\/totp\/Marketplace%3Ajane\.smith%40example\.com\?secret=/);
+
+    const wrong = await api('POST', '/auth/2fa/verify', { token: seller, body: { code: '000000' } });
+    assert.equal(wrong.status, 400);
+    assert.equal((await api('GET', '/auth/2fa', { token: seller })).body.data.enabled, false);
+
+    const { body } = await api('POST', '/auth/2fa/verify', { token: seller, body: { code: codeAt(setup.body.data.secret, 0) } });
+    assert.equal(body.data.recoveryCodes.length, 10);
+    const status = (await api('GET', '/auth/2fa', { token: seller })).body.data;
+    assert.equal(status.enabled, true);
+    assert.equal(status.recoveryCodesRemaining, 10);
+  });
+
+  it('turns the password step of a login into a challenge', async () => {
+    const { secret } = await enroll(await loginToken(api, USERS.seller));
+
+    const first = await passwordStep(USERS.seller);
+    assert.equal(first.body.data.twoFactorRequired, true);
+    assert.equal(first.body.data.token, undefined);
+    const { challengeToken } = first.body.data;
+
+    const wrong = await secondStep({ challengeToken, code: '000000' });
+    assert.equal(wrong.status, 401);
+    assert.equal(wrong.body.data.attemptsRemaining, 4);
+
+    const code = codeAt(secret, 0);
+    const accepted = await secondStep({ challengeToken, code });
+    assert.equal(accepted.status, 200);
+    assert.equal((await api('GET', '/auth/profile', { token: accepted.body.data.token })).status, 200);
+
+    // Replaying the code fails even within its time window
+    assert.equal((await secondStep({ challengeToken, code })).status, 401);
+    assert.equal((await secondStep({ challengeToken: 'forged', code: codeAt(secret, 1) })).status, 401);
+    assert.equal((await secondStep({ challengeToken })).status, 400);
+  });
+
+  it('accepts each recovery code once', async () => {
+    const { recoveryCodes } = await enroll(await loginToken(api, USERS.seller));
+    const { challengeToken } = (await passwordStep(USERS.seller)).body.data;
+
+    const recovered = await secondStep({ challengeToken, recoveryCode: recoveryCodes[0].toUpperCase() });
+    assert.equal(recovered.status, 200);
+    assert.equal((await secondStep({ challengeToken, recoveryCode: recoveryCodes[0] })).status, 401);
+
+    const status = await api('GET', '/auth/2fa', { token: recovered.body.data.token });
+    assert.equal(status.body.data.recoveryCodesRemaining, 9);
+  });
+
+  it('sends users of a required role to setup before anything else', async () => {
+    const admin = await loginToken(api, USERS.admin);
+    const settings = await api('PUT', '/admin/settings/two-factor', { token: admin, body: { requiredRoles: ['seller'] } });
+    assert.deepEqual(settings.body.data.requiredRoles, ['seller']);
+    assert.equal((await api('PUT', '/admin/settings/two-factor', { token: admin, body: { requiredRoles: ['buyer'] } })).status, 400);
+
+    const session = await login(api, USERS.otherSeller);
+    assert.equal(session.twoFactorSetupRequired, true);
+    const blocked = await api('GET', '/orders', { token: session.token });
+    assert.equal(blocked.status, 403);
+    assert.equal(blocked.body.data.twoFactorSetupRequired, true);
+
+    const { secret } = await enroll(session.token);
+    assert.equal((await api('GET', '/orders', { token: session.token })).status, 200);
+
+    const refused = await api('DELETE', '/auth/2fa', { token: session.token, body: { code: codeAt(secret, 0) } });
+    assert.equal(refused.status, 400);
+    assert.equal(refused.body.message, 'Two-factor authentication is required for your role and cannot be disabled');
+  });
+
+  it('can be turned off by the user with a code, or reset by an admin', async () => {
+    const seller = await loginToken(api, USERS.seller);
+    const { secret } = await enroll(seller);
+    assert.equal((await api('DELETE', '/auth/2fa', { token: seller, body: { code: '000000' } })).status, 400);
+    assert.equal((await api('DELETE', '/auth/2fa', { token: seller, body: { code: codeAt(secret, 0) } })).status, 200);
+    assert.ok((await passwordStep(USERS.seller)).body.data.token);
+
+    const otherSeller = await loginToken(api, USERS.otherSeller);
+    await enroll(otherSeller);
+    const admin = await loginToken(api, USERS.admin);
+    assert.equal((await api('DELETE', '/admin/users/user-3/2fa', { token: admin })).status, 200);
+    // The reset signs the user out
+    assert.equal((await api('GET', '/auth/profile', { token: otherSeller })).status, 401);
+    assert.equal((await login(api, USERS.otherSeller)).user.twoFactorEnabled, false);
+  });
+});
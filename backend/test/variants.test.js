@@ -0,0 +1,121 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, resetData, loginToken, db, USERS } from './helpers.js';
+
+const SHIRT = {
+  name: 'Logo Tee',
+  price: 20,
+  categoryId: 'cat-2',
+  sku: 'TEE',
+  options: [{ name: 'size', values: ['S', 'M'] }],
+  variants: [
+    { options: { size: 'S' }, stock: 4 },
+    { options: { size: 'M' }, stock: 6, price: 22, sku: 'TEE-MEDIUM' }
+  ]
+};
+
+describe('product variants', () => {
+  let api;
+  let close;
+  let seller;
+  let buyer;
+
+  const variantOf = (productId, variantId) => db.getProductById(productId).variants.find(v => v.id === variantId);
+  const order = (items) => api('POST', '/orders', { token: buyer, body: { items } });
+
+  before(async () => {
+    ({ api, close } = await startServer());
+  });
+  beforeEach(async () => {
+    resetData();
+    seller = await loginToken(api, USERS.seller);
+    buyer = await loginToken(api, USERS.buyer);
+  });
+  after(() => close());
+
+  it('are stored with ids and SKUs, and add up to the product stock', async () => {
+    const { status, body } = await api('POST', '/products', { token: seller, body: SHIRT });
+
+    assert.equal(status, 201);
+    assert.equal(body.data.stock, 10);
+    assert.deepEqual(body.data.variants.map(v => v.sku), ['TEE-1', 'TEE-MEDIUM']);
+    assert.deepEqual(body.data.variants.map(v => v.price), [null, 22]);
+    assert.ok(body.data.variants.every(v => v.id.startsWith('var-')));
+  });
+
+  it('reject inconsistent option and variant sets', async () => {
+    const create = (changes) => api('POST', '/products', { token: seller, body: { ...SHIRT, ...changes } });
+    const expectError = async (changes, message) => {
+      const { status, body } = await create(changes);
+      assert.equal(status, 400);
+      assert.equal(body.message, message);
+    };
+
+    await expectError({ variants: [{ options: { size: 'S' } }, { options: { size: 'S' } }] }, 'More than one variant for size: S');
+    await expectError({ variants: [{ options: { size: 'XL' } }] }, 'Variant 1 needs a size from: S, M');
+    await expectError({ variants: [{ options: { size: 'S', color: 'Red' } }] }, 'Variant 1 has unknown options: color');
+    await expectError({ options: [] }, 'Variants need options to vary by');
+    await expectError({ variants: [{ options: { size: 'S' }, stock: -1 }] }, 'Variant TEE-1 needs a stock of zero or more');
+  });
+
+  it('keep their ids when the set is edited, and their stock is edited per variant', async () => {
+    const owner = await loginToken(api, USERS.otherSeller);
+    const product = db.getProductById('prod-3');
+    const kept = product.variants.filter(v => v.options.color === 'Triple Black');
+
+    const { status, body } = await api('PUT', '/products/prod-3', {
+      token: owner,
+      body: {
+        options: [{ name: 'size', values: ['8', '9', '10', '11', '12'] }, { name: 'color', values: ['Triple Black'] }],
+        variants: kept.map(v => ({ ...v, stock: 1 }))
+      }
+    });
+    assert.equal(status, 200);
+    assert.deepEqual(body.data.variants.map(v => v.id), kept.map(v => v.id));
+    assert.equal(body.data.stock, 5);
+
+    const direct = await api('PUT', '/products/prod-3', { token: owner, body: { stock: 3 } });
+    assert.equal(direct.status, 400);
+  });
+
+  it('are ordered at their own price and take their own stock', async () => {
+    const { status, body } = await order([{ productId: 'prod-3', variantId: 'var-3-bk-9', quantity: 2 }]);
+
+    assert.equal(status, 201);
+    assert.equal(body.data.items[0].price, 124.99);
+    assert.equal(body.data.items[0].sku, 'NIKE-AM90-BK-9');
+    assert.deepEqual(body.data.items[0].options, { size: '9', color: 'Triple Black' });
+    assert.equal(variantOf('prod-3', 'var-3-bk-9').stock, 9);
+    assert.equal(db.getProductById('prod-3').stock, 98);
+
+    const inherited = await order([{ productId: 'prod-3', variantId: 'var-3-wb-9', quantity: 1 }]);
+    assert.equal(inherited.body.data.items[0].price, 119.99);
+  });
+
+  it('must be chosen, exist and be in stock', async () => {
+    const missing = await order([{ productId: 'prod-3', quantity: 1 }]);
+    assert.equal(missing.status, 400);
+    assert.equal(missing.body.message, 'Choose a variant of Nike Air Max 90');
+
+    const soldOut = await order([{ productId: 'prod-3', variantId: 'var-3-wb-8', quantity: 1 }]);
+    assert.equal(soldOut.body.message, 'Insufficient stock for Nike Air Max 90 (size: 8 / color: White/Black)');
+
+    assert.equal((await order([{ productId: 'prod-3', variantId: 'var-nope', quantity: 1 }])).status, 400);
+    const plain = await order([{ productId: 'prod-1', variantId: 'var-3-wb-9', quantity: 1 }]);
+    assert.equal(plain.body.message, 'iPhone 15 Pro has no variants');
+    assert.equal(db.getProductById('prod-3').stock, 100);
+  });
+
+  it('are kept apart in the cart with their price and stock', async () => {
+    await api('POST', '/cart', { token: buyer, body: { productId: 'prod-3', variantId: 'var-3-bk-9', quantity: 1 } });
+    await api('POST', '/cart', { token: buyer, body: { productId: 'prod-3', variantId: 'var-3-wb-9', quantity: 1 } });
+    const tooMany = await api('POST', '/cart', { token: buyer, body: { productId: 'prod-3', variantId: 'var-3-bk-9', quantity: 11 } });
+    assert.equal(tooMany.status, 400);
+
+    const { body } = await api('GET', '/cart', { token: buyer });
+    assert.equal(body.data.itemCount, 2);
+    assert.deepEqual(body.data.items.map(item => item.product.price).sort(), [119.99, 124.99]);
+    assert.equal(body.data.items.find(item => item.variantId === 'var-3-bk-9').product.stock, 11);
+    assert.equal(body.data.subtotal, 244.98);
+  });
+});
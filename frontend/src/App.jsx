@@ -5,6 +5,12 @@ import ErrorBoundary from './components/ErrorBoundary';
 import Navbar from './components/Navbar';
 import ProtectedRoute from './components/ProtectedRoute';
 import Login from './pages/Login';
+import Register from './pages/Register';
+import VerifyEmail from './pages/VerifyEmail';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
+import ChangePassword from './pages/ChangePassword';
+import TwoFactorSettings from './pages/TwoFactorSettings';
 import Products from './pages/Products';
 import ProductDetail from './pages/ProductDetail';
 import UserProfile from './pages/UserProfile';
@@ -52,6 +58,14 @@ function App() {
                   <Routes>
                     {/* Public route - only accessible when NOT authenticated */}
                     <Route path="/login" element={<Login />} />
+                    <Route path="/register" element={<Register />} />
+                    
+                    {/* Public route - target of the link in the verification email */}
+                    <Route path="/verify-email" element={<VerifyEmail />} />
+                    
+                    {/* Public routes - password recovery by email */}
+                    <Route path="/forgot-password" element={<ForgotPassword />} />
+                    <Route path="/reset-password" element={<ResetPassword />} />
                     
                     {/* Protected routes - require authentication */}
                     <Route
@@ -81,6 +95,24 @@ function App() {
                       }
                     />
                     
+                    <Route
+                      path="/profile/password"
+                      element={
+                        <ProtectedRoute>
+                          <ChangePassword />
+                        </ProtectedRoute>
+                      }
+                    />
+                    
+                    <Route
+                      path="/profile/two-factor"
+                      element={
+                        <ProtectedRoute>
+                          <TwoFactorSettings />
+                        </ProtectedRoute>
+                      }
+                    />
+                    
                     <Route
                       path="/orders"
                       element={
@@ -0,0 +1,42 @@
+/**
+ * HighlightedText Component - Text with search matches emphasized
+ *
+ * COMPONENT DESIGN:
+ *
+ * 1. Ranges, not HTML:
+ *    - The search API returns `[start, end)` character ranges for each match
+ *    - Matches are wrapped in <mark> elements built by React
+ *    WHY: No dangerouslySetInnerHTML, so product text can never inject markup
+ *
+ * 2. Optional Truncation:
+ *    - `maxLength` cuts the text (with "...") and drops ranges past the cut
+ *    WHY: Cards keep their fixed description length while searching
+ */
+const HighlightedText = ({ text, matches = [], maxLength }) => {
+  const truncated = maxLength && text.length > maxLength;
+  const visibleText = truncated ? text.substring(0, maxLength) : text;
+
+  const parts = [];
+  let position = 0;
+  matches
+    .filter(([, end]) => end <= visibleText.length)
+    .forEach(([start, end]) => {
+      // Ranges arrive in order; skip any that overlap the previous one
+      if (start < position) return;
+      if (start > position) {
+        parts.push(visibleText.substring(position, start));
+      }
+      parts.push(<mark key={start}>{visibleText.substring(start, end)}</mark>);
+      position = end;
+    });
+  parts.push(visibleText.substring(position));
+
+  return (
+    <>
+      {parts}
+      {truncated && '...'}
+    </>
+  );
+};
+
+export default HighlightedText;
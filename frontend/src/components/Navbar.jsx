@@ -279,6 +279,7 @@ const Navbar = () => {
  *    - Plus/minus buttons for adjusting quantity
  *    - Decreasing to 0 removes item automatically
  *    - Shows current quantity between buttons
+ *    - Lines are per variant, so the selected options are shown under the name
  *    WHY: Intuitive controls, prevents accidental deletion until 0
  * 
  * 4. Empty Cart State:
@@ -339,8 +340,9 @@ const CartDrawer = ({ onClose }) => {
               <div className="cart-items">
                 {cartItems.map((item) => {
                   const productId = item.product._id || item.product.id;
+                  const variantId = item.variantId || null;
                   return (
-                  <div key={productId} className="cart-item">
+                  <div key={`${productId}:${variantId || ''}`} className="cart-item">
                     <img
                       src={item.product.image || 'https://via.placeholder.com/80'}
                       alt={item.product.name}
@@ -355,6 +357,11 @@ const CartDrawer = ({ onClose }) => {
                       >
                         {item.product.name}
                       </h4>
+                      {item.variant && (
+                        <p className="cart-item-variant">
+                          {Object.values(item.variant.options).join(' / ')}
+                        </p>
+                      )}
                       <p className="cart-item-price">
                         ${item.product.price.toFixed(2)}
                       </p>
@@ -362,7 +369,7 @@ const CartDrawer = ({ onClose }) => {
                       <div className="cart-item-actions">
                         <div className="quantity-controls">
                           <button
-                            onClick={() => updateQuantity(productId, item.quantity - 1)}
+                            onClick={() => updateQuantity(productId, item.quantity - 1, variantId)}
                             className="quantity-btn"
                             aria-label="Decrease quantity"
                           >
@@ -370,7 +377,7 @@ const CartDrawer = ({ onClose }) => {
                           </button>
                           <span className="quantity">{item.quantity}</span>
                           <button
-                            onClick={() => updateQuantity(productId, item.quantity + 1)}
+                            onClick={() => updateQuantity(productId, item.quantity + 1, variantId)}
                             className="quantity-btn"
                             aria-label="Increase quantity"
                           >
@@ -379,7 +386,7 @@ const CartDrawer = ({ onClose }) => {
                         </div>
                         
                         <button
-                          onClick={() => removeFromCart(productId)}
+                          onClick={() => removeFromCart(productId, variantId)}
                           className="remove-btn"
                           aria-label="Remove item"
                         >
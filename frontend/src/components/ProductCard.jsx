@@ -1,6 +1,7 @@
 import { Link } from 'react-router-dom';
 import { useCart } from '../context/CartContext';
 import { useState } from 'react';
+import HighlightedText from './HighlightedText';
 
 /**
  * ProductCard Component - Reusable product display card
@@ -17,6 +18,8 @@ import { useState } from 'react';
  *    - Uses e.stopPropagation() to prevent card navigation
  *    - Shows temporary "✓ Added" feedback for 1 second
  *    WHY: Faster shopping experience, visual confirmation
+ *    - Products with variants show "Options" instead, which opens the detail
+ *      page so the buyer can pick a size/color first
  * 
  * 3. Stock Indicators:
  *    - Out of stock overlay on product image
@@ -33,6 +36,11 @@ import { useState } from 'react';
  *    - Limits description to 80 characters with "..."
  *    - Prevents cards from having different heights
  *    WHY: Maintains consistent grid layout
+ * 
+ * 6. Search Highlights:
+ *    - Search results carry highlight ranges; matches in the name and
+ *      description are marked, using the description snippet around the match
+ *    WHY: Shows why a product matched, especially for typo-tolerant matches
  */
 
 const ProductCard = ({ product }) => {
@@ -66,6 +74,9 @@ const ProductCard = ({ product }) => {
   };
 
   const inStock = product.stock > 0;
+  const hasVariants = product.variants?.length > 0;
+  const nameHighlight = product.highlights?.find(h => h.field === 'name');
+  const descriptionHighlight = product.highlights?.find(h => h.field === 'description');
 
   return (
     <Link to={`/products/${product._id || product.id}`} className="product-card">
@@ -80,17 +91,25 @@ const ProductCard = ({ product }) => {
       </div>
 
       <div className="product-card-content">
-        <h3 className="product-card-title">{product.name}</h3>
+        <h3 className="product-card-title">
+          <HighlightedText text={product.name} matches={nameHighlight?.matches} />
+        </h3>
         
         <p className="product-card-description">
-          {product.description?.substring(0, 80)}
-          {product.description?.length > 80 && '...'}
+          <HighlightedText
+            text={descriptionHighlight?.text || product.description || ''}
+            matches={descriptionHighlight?.matches}
+            maxLength={80}
+          />
         </p>
 
         <div className="product-card-footer">
           <span className="product-card-price">${product.price.toFixed(2)}</span>
           
-          {inStock ? (
+          {inStock && hasVariants ? (
+            // Not a button: clicking falls through to the card link
+            <span className="btn btn-secondary btn-small">Options</span>
+          ) : inStock ? (
             <button
               onClick={handleQuickAdd}
               disabled={adding}
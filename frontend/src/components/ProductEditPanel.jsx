@@ -0,0 +1,150 @@
+import { useState } from 'react';
+import { productsAPI, isConflictError } from '../services/api';
+
+/**
+ * ProductEditPanel Component - Quick edit of a product by its seller or an admin
+ *
+ * COMPONENT DESIGN:
+ *
+ * 1. Versioned Saves:
+ *    - The update names the version the form was loaded from (If-Match)
+ *    - A save based on an outdated copy is rejected instead of overwriting
+ *    WHY: Two people editing the same product must not silently lose changes
+ *
+ * 2. Conflicts Keep the Edits:
+ *    - On a conflict the page switches to the latest product and the message
+ *      lists its current values, while the form keeps what the user typed
+ *    - Saving again applies the edits on top of the latest version
+ *    WHY: The user decides whether their values still win
+ *
+ * 3. Stock per Variant:
+ *    - Products with variants have no product-level stock field here
+ *    WHY: Their stock is the sum of the variants' stock (see the product API)
+ */
+
+const formValues = (product) => ({
+  name: product.name,
+  price: String(product.price),
+  stock: String(product.stock),
+});
+
+const ProductEditPanel = ({ product, onSaved }) => {
+  const hasVariants = (product.variants || []).length > 0;
+  const [form, setForm] = useState(() => formValues(product));
+  const [open, setOpen] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [conflict, setConflict] = useState(null);
+  const [message, setMessage] = useState('');
+
+  const handleChange = (e) => {
+    setForm(prev => ({ ...prev, [e.target.name]: e.target.value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+    setMessage('');
+
+    const updates = { name: form.name.trim(), price: parseFloat(form.price) };
+    if (!hasVariants) {
+      updates.stock = parseInt(form.stock, 10);
+    }
+
+    try {
+      const response = await productsAPI.update(product, updates);
+      setConflict(null);
+      setMessage('Product saved');
+      onSaved(response.data);
+    } catch (err) {
+      if (isConflictError(err) && err.latest) {
+        setConflict(err.latest);
+        onSaved(err.latest);
+      } else {
+        setError(err.response?.data?.message || 'Failed to save product');
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!open) {
+    return (
+      <button type="button" onClick={() => setOpen(true)} className="btn btn-outline btn-small">
+        Edit Product
+      </button>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="product-edit-panel">
+      <h3>Edit Product</h3>
+
+      {conflict && (
+        <div className="error-message conflict-message">
+          Someone else changed this product while you were editing. It now reads:
+          {' '}<strong>{conflict.name}</strong>, ${Number(conflict.price).toFixed(2)}
+          {!hasVariants && `, ${conflict.stock} in stock`}.
+          Save again to apply your values on top of those, or cancel.
+        </div>
+      )}
+      {error && <div className="error-message">{error}</div>}
+      {message && <div className="success-message">{message}</div>}
+
+      <div className="form-group">
+        <label htmlFor="edit-name">Name</label>
+        <input id="edit-name" name="name" value={form.name} onChange={handleChange} required />
+      </div>
+      <div className="form-group">
+        <label htmlFor="edit-price">Price</label>
+        <input
+          id="edit-price"
+          name="price"
+          type="number"
+          min="0"
+          step="0.01"
+          value={form.price}
+          onChange={handleChange}
+          required
+        />
+      </div>
+      {!hasVariants && (
+        <div className="form-group">
+          <label htmlFor="edit-stock">Stock</label>
+          <input
+            id="edit-stock"
+            name="stock"
+            type="number"
+            min="0"
+            step="1"
+            value={form.stock}
+            onChange={handleChange}
+            required
+          />
+        </div>
+      )}
+
+      <div className="product-edit-actions">
+        <button type="submit" disabled={saving} className="btn btn-primary btn-small">
+          {saving ? 'Saving...' : 'Save'}
+        </button>
+        <button
+          type="button"
+          onClick={() => {
+            setOpen(false);
+            setForm(formValues(product));
+            setConflict(null);
+            setError('');
+            setMessage('');
+          }}
+          className="btn btn-outline btn-small"
+        >
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default ProductEditPanel;
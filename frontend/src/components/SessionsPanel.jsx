@@ -0,0 +1,133 @@
+import { useState, useEffect } from 'react';
+import { authAPI } from '../services/api';
+
+/**
+ * SessionsPanel Component - Devices the user is signed in on
+ * 
+ * COMPONENT DESIGN:
+ * 
+ * 1. One Row per Session:
+ *    - Each login is a server-side session with its device, IP and last activity
+ *    - The session this browser uses is marked and cannot be revoked from here
+ *    WHY: Users can spot a login they do not recognize
+ * 
+ * 2. Revocation:
+ *    - "Sign out" ends a single session, "Sign out all other devices" ends
+ *      every session except this one
+ *    - The server rejects the revoked session's tokens immediately
+ *    WHY: A stolen session can be killed without changing the password
+ * 
+ * 3. Friendly Device Names:
+ *    - The raw user agent is reduced to "Browser on OS" with a tiny matcher
+ *    - The full string stays available as a tooltip
+ *    WHY: User agents are unreadable; a parser library is not worth the bundle size
+ */
+
+const BROWSERS = [
+  ['Edge', /Edg\//],
+  ['Opera', /OPR\//],
+  ['Chrome', /Chrome\//],
+  ['Firefox', /Firefox\//],
+  ['Safari', /Safari\//],
+];
+
+const SYSTEMS = [
+  ['iOS', /iPhone|iPad/],
+  ['Android', /Android/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X/],
+  ['Linux', /Linux/],
+];
+
+const describeDevice = (userAgent) => {
+  if (!userAgent) return 'Unknown device';
+  const browser = BROWSERS.find(([, pattern]) => pattern.test(userAgent))?.[0];
+  const system = SYSTEMS.find(([, pattern]) => pattern.test(userAgent))?.[0];
+  if (!browser && !system) return userAgent.split(' ')[0];
+  return [browser || 'Unknown browser', system].filter(Boolean).join(' on ');
+};
+
+const SessionsPanel = () => {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const loadSessions = async () => {
+    try {
+      const response = await authAPI.getSessions();
+      setSessions(response.data);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Could not load your sessions.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadSessions();
+  }, []);
+
+  const runAction = async (action) => {
+    setError('');
+    setMessage('');
+    try {
+      const response = await action();
+      setMessage(response.message);
+      await loadSessions();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Something went wrong. Please try again.');
+    }
+  };
+
+  const otherSessions = sessions.filter(session => !session.current);
+
+  return (
+    <div className="profile-section">
+      <h2>Where You're Signed In</h2>
+
+      {error && <div className="error-message">{error}</div>}
+      {message && <div className="success-message">{message}</div>}
+
+      {loading ? (
+        <p>Loading sessions...</p>
+      ) : (
+        <ul className="sessions-list">
+          {sessions.map(session => (
+            <li key={session.id} className="session-item">
+              <div>
+                <p className="session-device" title={session.userAgent || ''}>
+                  {describeDevice(session.userAgent)}
+                  {session.current && <span className="session-current">This device</span>}
+                </p>
+                <p className="session-meta">
+                  {session.ip || 'Unknown IP'} · Signed in {new Date(session.createdAt).toLocaleString()}
+                  {' · '}Last active {new Date(session.lastUsedAt).toLocaleString()}
+                </p>
+              </div>
+              {!session.current && (
+                <button
+                  className="btn btn-outline btn-danger"
+                  onClick={() => runAction(() => authAPI.revokeSession(session.id))}
+                >
+                  Sign out
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {otherSessions.length > 0 && (
+        <button
+          className="btn btn-outline btn-danger"
+          onClick={() => runAction(authAPI.revokeOtherSessions)}
+        >
+          Sign out all other devices
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default SessionsPanel;
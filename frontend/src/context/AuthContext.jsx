@@ -28,28 +28,73 @@ export const AuthProvider = ({ children }) => {
     setLoading(false);
   }, []);
 
+  const startSession = ({ token: newToken, refreshToken, user: newUser, twoFactorSetupRequired }) => {
+    // Store in state
+    setToken(newToken);
+    setUser(newUser);
+    
+    // Store in localStorage
+    localStorage.setItem('token', newToken);
+    localStorage.setItem('refreshToken', refreshToken);
+    localStorage.setItem('user', JSON.stringify(newUser));
+    
+    return { success: true, twoFactorSetupRequired: Boolean(twoFactorSetupRequired) };
+  };
+
+  const loginErrorResult = (error) => {
+    // Repeated failures lock the login for a while; show when it reopens in local time
+    const retryAt = error.response?.status === 429 && error.response.data?.data?.retryAt;
+    if (retryAt) {
+      const time = new Date(retryAt).toLocaleTimeString();
+      return { success: false, error: `Too many failed login attempts. Please try again after ${time}.` };
+    }
+
+    const errorMessage = error.response?.data?.message || 'Login failed. Please try again.';
+    return { success: false, error: errorMessage };
+  };
+
   const login = async (email, password) => {
     try {
       const response = await authAPI.login(email, password);
       
+      // Accounts with 2FA get a challenge to complete with completeTwoFactorLogin
+      if (response.success && response.data.twoFactorRequired) {
+        return { success: false, twoFactorRequired: true, challengeToken: response.data.challengeToken };
+      }
+      if (response.success) {
+        return startSession(response.data);
+      }
+      
+      return { success: false, error: 'Login failed' };
+    } catch (error) {
+      return loginErrorResult(error);
+    }
+  };
+
+  // Sign up as a buyer and start a session right away
+  const register = async (details) => {
+    try {
+      const response = await authAPI.register(details);
+      if (response.success) {
+        return startSession(response.data);
+      }
+      
+      return { success: false, error: 'Registration failed' };
+    } catch (error) {
+      return { success: false, error: error.response?.data?.message || 'Registration failed. Please try again.' };
+    }
+  };
+
+  const completeTwoFactorLogin = async (challengeToken, credentials) => {
+    try {
+      const response = await authAPI.loginTwoFactor(challengeToken, credentials);
       if (response.success) {
-        const { token: newToken, user: newUser } = response.data;
-        
-        // Store in state
-        setToken(newToken);
-        setUser(newUser);
-        
-        // Store in localStorage
-        localStorage.setItem('token', newToken);
-        localStorage.setItem('user', JSON.stringify(newUser));
-        
-        return { success: true };
+        return startSession(response.data);
       }
       
       return { success: false, error: 'Login failed' };
     } catch (error) {
-      const errorMessage = error.response?.data?.message || 'Login failed. Please try again.';
-      return { success: false, error: errorMessage };
+      return loginErrorResult(error);
     }
   };
 
@@ -65,6 +110,8 @@ export const AuthProvider = ({ children }) => {
     loading,
     isAuthenticated: !!token,
     login,
+    register,
+    completeTwoFactorLogin,
     logout,
   };
 
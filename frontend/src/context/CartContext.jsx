@@ -30,6 +30,12 @@ import { useAuth } from './AuthContext';
  *    - Sets shouldOpenCart flag when item added
  *    - Navbar listens to this flag and opens cart drawer
  *    - Flag is reset after cart opens (prevents reopening)
+ * 
+ * 5. Variant Lines:
+ *    WHY: Each size/color of a product is a separate purchasable item
+ *    - A cart line is identified by product ID plus variantId (null without variants)
+ *    - The stored product carries the variant's price and stock, so totals and
+ *      quantity limits work the same for every line
  */
 
 const CartContext = createContext(null);
@@ -42,6 +48,14 @@ export const useCart = () => {
   return context;
 };
 
+const getProductId = (item) => item.product._id || item.product.id;
+
+// Lines whose product was removed from the store come back without one
+const withProduct = (items) => items.filter((item) => item.product);
+
+const isSameLine = (item, productId, variantId) =>
+  getProductId(item) === productId && (item.variantId || null) === (variantId || null);
+
 export const CartProvider = ({ children }) => {
   const [cartItems, setCartItems] = useState([]);
   const [loading, setLoading] = useState(false);
@@ -55,7 +69,7 @@ export const CartProvider = ({ children }) => {
   useEffect(() => {
     const storedCart = localStorage.getItem('cart');
     if (storedCart) {
-      setCartItems(JSON.parse(storedCart));
+      setCartItems(withProduct(JSON.parse(storedCart)));
     }
   }, []);
 
@@ -80,7 +94,7 @@ export const CartProvider = ({ children }) => {
           const response = await cartAPI.getCart();
           if (response.success) {
             // Replace local cart with server cart on login
-            setCartItems(response.data.items || []);
+            setCartItems(withProduct(response.data.items || []));
           }
         } catch (error) {
           console.error('Failed to fetch cart:', error);
@@ -99,24 +113,26 @@ export const CartProvider = ({ children }) => {
    * 
    * @param {Object} product - Product object to add
    * @param {Number} quantity - Quantity to add (default: 1)
+   * @param {Object} variant - Selected variant for products with variants (default: null)
    * @returns {Object} Success status and optional error message
    * 
    * LOGIC:
-   * 1. Check if product already in cart
+   * 1. Check if product (and variant) already in cart
    * 2. If yes: increment quantity
    * 3. If no: add as new item
    * 4. Update local state immediately (optimistic UI)
    * 5. Sync with backend if authenticated (background)
    * 6. Trigger cart drawer to open (visual feedback)
    */
-  const addToCart = async (product, quantity = 1) => {
+  const addToCart = async (product, quantity = 1, variant = null) => {
     try {
       // Get product ID (support both _id and id for flexibility)
       const productId = product._id || product.id;
+      const variantId = variant ? variant.id : null;
       
       // Check if product already exists in cart
       const existingItemIndex = cartItems.findIndex(
-        (item) => (item.product._id || item.product.id) === productId
+        (item) => isSameLine(item, productId, variantId)
       );
 
       let newCartItems;
@@ -125,8 +141,24 @@ export const CartProvider = ({ children }) => {
         newCartItems = [...cartItems];
         newCartItems[existingItemIndex].quantity += quantity;
       } else {
-        // Product doesn't exist: add new item
-        newCartItems = [...cartItems, { product, quantity }];
+        // Product doesn't exist: add new item, priced and stocked as the variant
+        const lineProduct = variant
+          ? {
+              ...product,
+              price: variant.price ?? product.price,
+              stock: variant.stock,
+              images: variant.images?.length ? variant.images : product.images,
+            }
+          : product;
+        newCartItems = [
+          ...cartItems,
+          {
+            product: lineProduct,
+            quantity,
+            variantId,
+            variant: variant ? { id: variant.id, sku: variant.sku, options: variant.options } : null,
+          },
+        ];
       }
 
       // Optimistic update: set state immediately for instant UI feedback
@@ -134,7 +166,7 @@ export const CartProvider = ({ children }) => {
 
       // Background sync with API if user is authenticated
       if (isAuthenticated) {
-        await cartAPI.addToCart(productId, quantity);
+        await cartAPI.addToCart(productId, quantity, variantId);
       }
 
       // Trigger cart drawer to open for visual confirmation
@@ -147,21 +179,21 @@ export const CartProvider = ({ children }) => {
     }
   };
 
-  const updateQuantity = async (productId, quantity) => {
+  const updateQuantity = async (productId, quantity, variantId = null) => {
     try {
       if (quantity <= 0) {
-        return removeFromCart(productId);
+        return removeFromCart(productId, variantId);
       }
 
       const newCartItems = cartItems.map((item) =>
-        (item.product._id || item.product.id) === productId ? { ...item, quantity } : item
+        isSameLine(item, productId, variantId) ? { ...item, quantity } : item
       );
 
       setCartItems(newCartItems);
 
       // Sync with API if authenticated
       if (isAuthenticated) {
-        await cartAPI.updateCartItem(productId, quantity);
+        await cartAPI.updateCartItem(productId, quantity, variantId);
       }
 
       return { success: true };
@@ -171,17 +203,17 @@ export const CartProvider = ({ children }) => {
     }
   };
 
-  const removeFromCart = async (productId) => {
+  const removeFromCart = async (productId, variantId = null) => {
     try {
       const newCartItems = cartItems.filter(
-        (item) => (item.product._id || item.product.id) !== productId
+        (item) => !isSameLine(item, productId, variantId)
       );
 
       setCartItems(newCartItems);
 
       // Sync with API if authenticated
       if (isAuthenticated) {
-        await cartAPI.removeFromCart(productId);
+        await cartAPI.removeFromCart(productId, variantId);
       }
 
       return { success: true };
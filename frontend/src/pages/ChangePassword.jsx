@@ -0,0 +1,128 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { authAPI } from '../services/api';
+
+const ChangePassword = () => {
+  const [form, setForm] = useState({
+    currentPassword: '',
+    newPassword: '',
+    confirmPassword: '',
+  });
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setMessage('');
+
+    if (!form.currentPassword) {
+      setError('Please enter your current password');
+      return;
+    }
+    if (form.newPassword.length < 8) {
+      setError('New password must be at least 8 characters long');
+      return;
+    }
+    if (form.newPassword !== form.confirmPassword) {
+      setError('New passwords do not match');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      await authAPI.changePassword(form.currentPassword, form.newPassword);
+      setMessage('Password changed. You have been signed out on all other devices.');
+      setForm({ currentPassword: '', newPassword: '', confirmPassword: '' });
+    } catch (err) {
+      setError(err.response?.data?.message || 'Could not change the password. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="login-container">
+      <div className="login-card">
+        <h1>Change Password</h1>
+        <p className="subtitle">Other devices will be signed out</p>
+
+        <form onSubmit={handleSubmit} className="login-form">
+          {error && (
+            <div className="error-message">
+              {error}
+            </div>
+          )}
+          {message && (
+            <div className="success-message">
+              {message}
+            </div>
+          )}
+
+          <div className="form-group">
+            <label htmlFor="currentPassword">Current Password</label>
+            <input
+              id="currentPassword"
+              type="password"
+              name="currentPassword"
+              value={form.currentPassword}
+              onChange={handleInputChange}
+              disabled={loading}
+              autoComplete="current-password"
+            />
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="newPassword">New Password</label>
+            <input
+              id="newPassword"
+              type="password"
+              name="newPassword"
+              value={form.newPassword}
+              onChange={handleInputChange}
+              placeholder="At least 8 characters"
+              disabled={loading}
+              autoComplete="new-password"
+            />
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="confirmPassword">Confirm New Password</label>
+            <input
+              id="confirmPassword"
+              type="password"
+              name="confirmPassword"
+              value={form.confirmPassword}
+              onChange={handleInputChange}
+              disabled={loading}
+              autoComplete="new-password"
+            />
+          </div>
+
+          <button
+            type="submit"
+            className="btn btn-primary"
+            disabled={loading}
+          >
+            {loading ? 'Saving...' : 'Change Password'}
+          </button>
+        </form>
+
+        <p className="login-links">
+          <Link to="/profile">Back to profile</Link>
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default ChangePassword;
@@ -1,5 +1,5 @@
 import { useState } from 'react';
-import { useNavigate, Navigate } from 'react-router-dom';
+import { useNavigate, Navigate, Link } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 
 const Login = () => {
@@ -7,8 +7,12 @@ const Login = () => {
   const [password, setPassword] = useState('');
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
+  // Second step for accounts with two-factor authentication
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
   
-  const { login, isAuthenticated } = useAuth();
+  const { login, completeTwoFactorLogin, isAuthenticated } = useAuth();
   const navigate = useNavigate();
 
   // Redirect if already authenticated
@@ -16,6 +20,11 @@ const Login = () => {
     return <Navigate to="/products" replace />;
   }
 
+  // Users whose role requires 2FA but who have not set it up go straight to setup
+  const finishLogin = (result) => {
+    navigate(result.twoFactorSetupRequired ? '/profile/two-factor' : '/products');
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
@@ -32,7 +41,9 @@ const Login = () => {
       const result = await login(email, password);
       
       if (result.success) {
-        navigate('/products');
+        finishLogin(result);
+      } else if (result.twoFactorRequired) {
+        setChallengeToken(result.challengeToken);
       } else {
         setError(result.error || 'Login failed. Please check your credentials.');
       }
@@ -43,6 +54,105 @@ const Login = () => {
     }
   };
 
+  const handleCodeSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (!code.trim()) {
+      setError(useRecoveryCode ? 'Please enter a recovery code' : 'Please enter the 6-digit code');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const credentials = useRecoveryCode ? { recoveryCode: code.trim() } : { code: code.trim() };
+      const result = await completeTwoFactorLogin(challengeToken, credentials);
+
+      if (result.success) {
+        finishLogin(result);
+      } else {
+        setError(result.error || 'Invalid authentication code');
+      }
+    } catch (err) {
+      setError('An unexpected error occurred. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Start over from the password step (the challenge expires after a few minutes)
+  const handleRestart = () => {
+    setChallengeToken(null);
+    setCode('');
+    setUseRecoveryCode(false);
+    setPassword('');
+    setError('');
+  };
+
+  if (challengeToken) {
+    return (
+      <div className="login-container">
+        <div className="login-card">
+          <h1>Two-Factor Authentication</h1>
+          <p className="subtitle">
+            {useRecoveryCode
+              ? 'Enter one of your recovery codes'
+              : 'Enter the code from your authenticator app'}
+          </p>
+
+          <form onSubmit={handleCodeSubmit} className="login-form">
+            {error && (
+              <div className="error-message">
+                {error}
+              </div>
+            )}
+
+            <div className="form-group">
+              <label htmlFor="code">{useRecoveryCode ? 'Recovery Code' : 'Authentication Code'}</label>
+              <input
+                id="code"
+                type="text"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                placeholder={useRecoveryCode ? 'xxxx-xxxx' : '123456'}
+                disabled={loading}
+                autoComplete="one-time-code"
+                inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                autoFocus
+              />
+            </div>
+
+            <button
+              type="submit"
+              className="btn btn-primary"
+              disabled={loading}
+            >
+              {loading ? 'Verifying...' : 'Verify'}
+            </button>
+          </form>
+
+          <p className="login-links">
+            <button
+              type="button"
+              className="link-button"
+              onClick={() => {
+                setUseRecoveryCode(!useRecoveryCode);
+                setCode('');
+                setError('');
+              }}
+            >
+              {useRecoveryCode ? 'Use your authenticator app' : 'Use a recovery code'}
+            </button>
+            {' · '}
+            <button type="button" className="link-button" onClick={handleRestart}>
+              Back to sign in
+            </button>
+          </p>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="login-container">
       <div className="login-card">
@@ -91,6 +201,13 @@ const Login = () => {
           </button>
         </form>
 
+        <p className="login-links">
+          <Link to="/forgot-password">Forgot your password?</Link>
+        </p>
+        <p className="login-links">
+          New here? <Link to="/register">Create an account</Link>
+        </p>
+
         <div className="test-credentials">
           <p><strong>Test Credentials:</strong></p>
           <p>Email: john.doe@example.com</p>
@@ -1,28 +1,45 @@
 import { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
-import api from '../services/api';
+import { ordersAPI, isConflictError } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+
+const ORDER_STATUSES = ['pending', 'processing', 'shipped', 'delivered', 'cancelled'];
+// Asking for a limit is what makes the API answer with pages
+const PAGE_SIZE = 20;
 
 const OrderHistory = () => {
+  const { user } = useAuth();
   const [orders, setOrders] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [filter, setFilter] = useState('all');
+  // Orders arrive a page at a time, newest first
+  const [total, setTotal] = useState(0);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
+  // Per order: the status change being saved, and the outcome to show
+  const [savingId, setSavingId] = useState(null);
+  const [statusMessages, setStatusMessages] = useState({});
 
   useEffect(() => {
     const fetchOrders = async () => {
       try {
         setLoading(true);
         setError(null);
-        const response = await api.get('/orders');
-        
-        if (response.data.success) {
-          setOrders(response.data.data || []);
+        const response = await ordersAPI.getAll({ limit: PAGE_SIZE });
+
+        if (response.success) {
+          setOrders(response.data.orders || []);
+          setTotal(response.data.pagination?.total || 0);
+          setNextCursor(response.data.pagination?.nextCursor || null);
         } else {
           setError('Failed to load orders');
         }
       } catch (err) {
         // If API fails, show demo orders
-        setOrders(getDemoOrders());
+        const demoOrders = getDemoOrders();
+        setOrders(demoOrders);
+        setTotal(demoOrders.length);
       } finally {
         setLoading(false);
       }
@@ -67,6 +84,46 @@ const OrderHistory = () => {
     }
   ];
 
+  const handleLoadMore = async () => {
+    setLoadingMore(true);
+    try {
+      const response = await ordersAPI.getAll({ cursor: nextCursor, limit: PAGE_SIZE });
+      if (response.success) {
+        setOrders(prev => [...prev, ...(response.data.orders || [])]);
+        setNextCursor(response.data.pagination?.nextCursor || null);
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load more orders');
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  const replaceOrder = (updated) => {
+    setOrders(prev => prev.map(order => (order.id === updated.id ? { ...order, ...updated } : order)));
+  };
+
+  // Admins manage fulfilment from here. The change only applies to the version
+  // of the order on screen; if someone else changed it first, the latest
+  // version is shown with a note instead of being overwritten.
+  const handleStatusChange = async (order, status) => {
+    setSavingId(order.id);
+    setStatusMessages(prev => ({ ...prev, [order.id]: null }));
+    try {
+      const response = await ordersAPI.updateStatus(order, status);
+      replaceOrder(response.data);
+    } catch (err) {
+      let text = err.response?.data?.message || 'Failed to update order status';
+      if (isConflictError(err) && err.latest) {
+        replaceOrder(err.latest);
+        text = `This order was changed by someone else and is now ${err.latest.status}. Choose the status again to apply it.`;
+      }
+      setStatusMessages(prev => ({ ...prev, [order.id]: text }));
+    } finally {
+      setSavingId(null);
+    }
+  };
+
   const getStatusColor = (status) => {
     const colors = {
       pending: '#f59e0b',
@@ -138,7 +195,7 @@ const OrderHistory = () => {
             onClick={() => setFilter('all')}
             className={`filter-btn ${filter === 'all' ? 'active' : ''}`}
           >
-            All ({orders.length})
+            All ({total})
           </button>
           <button 
             onClick={() => setFilter('processing')}
@@ -186,6 +243,25 @@ const OrderHistory = () => {
                 </div>
               </div>
 
+              {user?.role === 'admin' && (
+                <div className="order-status-control">
+                  <label htmlFor={`status-${order.id}`}>Status:</label>
+                  <select
+                    id={`status-${order.id}`}
+                    value={order.status}
+                    disabled={savingId === order.id}
+                    onChange={(e) => handleStatusChange(order, e.target.value)}
+                  >
+                    {ORDER_STATUSES.map(status => (
+                      <option key={status} value={status}>{status}</option>
+                    ))}
+                  </select>
+                  {statusMessages[order.id] && (
+                    <span className="error-message conflict-message">{statusMessages[order.id]}</span>
+                  )}
+                </div>
+              )}
+
               <div className="order-items">
                 {order.items.map((item, index) => (
                   <div key={index} className="order-item">
@@ -219,6 +295,14 @@ const OrderHistory = () => {
           ))}
         </div>
       )}
+
+      {nextCursor && (
+        <div className="load-more">
+          <button onClick={handleLoadMore} disabled={loadingMore} className="btn btn-outline">
+            {loadingMore ? 'Loading...' : 'Load More'}
+          </button>
+        </div>
+      )}
     </div>
   );
 };
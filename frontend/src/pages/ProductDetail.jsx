@@ -2,11 +2,19 @@ import { useState, useEffect } from 'react';
 import { useParams, useNavigate, Link } from 'react-router-dom';
 import { productsAPI } from '../services/api';
 import { useCart } from '../context/CartContext';
+import { useAuth } from '../context/AuthContext';
+import ProductEditPanel from '../components/ProductEditPanel';
+
+// Variants matching every option chosen so far
+const matchingVariants = (variants, selection) => variants.filter(variant =>
+  Object.entries(selection).every(([name, value]) => variant.options[name] === value)
+);
 
 const ProductDetail = () => {
   const { id } = useParams();
   const navigate = useNavigate();
   const { addToCart } = useCart();
+  const { user } = useAuth();
   
   const [product, setProduct] = useState(null);
   const [loading, setLoading] = useState(true);
@@ -14,6 +22,8 @@ const ProductDetail = () => {
   const [quantity, setQuantity] = useState(1);
   const [addingToCart, setAddingToCart] = useState(false);
   const [successMessage, setSuccessMessage] = useState('');
+  // Chosen value per option axis, e.g. { size: '9', color: 'White/Black' }
+  const [selection, setSelection] = useState({});
 
   useEffect(() => {
     const fetchProduct = async () => {
@@ -24,6 +34,8 @@ const ProductDetail = () => {
         
         if (response.success) {
           setProduct(response.data.product);
+          setSelection({});
+          setQuantity(1);
         } else {
           setError('Product not found');
         }
@@ -37,11 +49,46 @@ const ProductDetail = () => {
     fetchProduct();
   }, [id]);
 
+  const options = product?.options || [];
+  const variants = product?.variants || [];
+  const hasVariants = variants.length > 0;
+  const selectionComplete = options.every(option => selection[option.name] !== undefined);
+  const selectedVariant = hasVariants && selectionComplete
+    ? matchingVariants(variants, selection)[0] || null
+    : null;
+
+  // What the buyer would get: the selected variant, or the product itself
+  const price = selectedVariant?.price ?? product?.price;
+  const stock = hasVariants
+    ? (selectedVariant ? selectedVariant.stock : product.stock)
+    : product?.stock;
+  const image = selectedVariant?.images?.[0] || product?.image;
+
+  // A value is offered if some in-stock variant has it alongside the other choices
+  const isValueAvailable = (name, value) => {
+    return matchingVariants(variants, { ...selection, [name]: value }).some(variant => variant.stock > 0);
+  };
+
+  const handleSelectOption = (name, value) => {
+    setSelection(prev => {
+      if (prev[name] === value) {
+        const { [name]: _removed, ...rest } = prev;
+        return rest;
+      }
+      return { ...prev, [name]: value };
+    });
+    setQuantity(1);
+  };
+
   const handleAddToCart = async () => {
+    if (hasVariants && !selectedVariant) {
+      return;
+    }
+
     setAddingToCart(true);
     setSuccessMessage('');
     
-    const result = await addToCart(product, quantity);
+    const result = await addToCart(product, quantity, selectedVariant);
     
     if (result.success) {
       setSuccessMessage(`Added ${quantity} item(s) to cart!`);
@@ -53,7 +100,7 @@ const ProductDetail = () => {
 
   const handleQuantityChange = (e) => {
     const value = parseInt(e.target.value);
-    if (value >= 1 && value <= product.stock) {
+    if (value >= 1 && value <= stock) {
       setQuantity(value);
     }
   };
@@ -83,7 +130,14 @@ const ProductDetail = () => {
     );
   }
 
-  const inStock = product.stock > 0;
+  const inStock = stock > 0;
+  const canEdit = user && (user.role === 'admin' || user.id === product.sellerId);
+
+  // Saves and conflicts both hand back the stored product, without the
+  // category and seller details this page was loaded with
+  const handleProductSaved = (saved) => {
+    setProduct(prev => ({ ...prev, ...saved }));
+  };
 
   return (
     <div className="product-detail-container">
@@ -94,7 +148,7 @@ const ProductDetail = () => {
       <div className="product-detail">
         <div className="product-image-section">
           <img
-            src={product.image || 'https://via.placeholder.com/400'}
+            src={image || 'https://via.placeholder.com/400'}
             alt={product.name}
             className="product-image-large"
           />
@@ -104,9 +158,9 @@ const ProductDetail = () => {
           <h1 className="product-title">{product.name}</h1>
           
           <div className="product-meta">
-            <span className="product-price">${product.price.toFixed(2)}</span>
+            <span className="product-price">${price.toFixed(2)}</span>
             <span className={`stock-badge ${inStock ? 'in-stock' : 'out-of-stock'}`}>
-              {inStock ? `${product.stock} in stock` : 'Out of stock'}
+              {inStock ? `${stock} in stock` : 'Out of stock'}
             </span>
           </div>
 
@@ -120,6 +174,40 @@ const ProductDetail = () => {
             </div>
           )}
 
+          {hasVariants && (
+            <div className="variant-options">
+              {options.map(option => (
+                <div key={option.name} className="variant-option">
+                  <span className="variant-option-name">
+                    {option.name}
+                    {selection[option.name] && `: ${selection[option.name]}`}
+                  </span>
+                  <div className="variant-option-values">
+                    {option.values.map(value => (
+                      <button
+                        key={value}
+                        type="button"
+                        onClick={() => handleSelectOption(option.name, value)}
+                        disabled={!isValueAvailable(option.name, value)}
+                        className={`variant-value ${selection[option.name] === value ? 'selected' : ''}`}
+                        aria-pressed={selection[option.name] === value}
+                      >
+                        {value}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              ))}
+              {selectedVariant && (
+                <span className="variant-sku">SKU: {selectedVariant.sku}</span>
+              )}
+            </div>
+          )}
+
+          {canEdit && (
+            <ProductEditPanel key={product.id} product={product} onSaved={handleProductSaved} />
+          )}
+
           {successMessage && (
             <div className="success-message">
               {successMessage}
@@ -134,7 +222,7 @@ const ProductDetail = () => {
                   id="quantity"
                   type="number"
                   min="1"
-                  max={product.stock}
+                  max={stock}
                   value={quantity}
                   onChange={handleQuantityChange}
                 />
@@ -142,17 +230,23 @@ const ProductDetail = () => {
 
               <button
                 onClick={handleAddToCart}
-                disabled={addingToCart}
+                disabled={addingToCart || (hasVariants && !selectedVariant)}
                 className="btn btn-primary btn-large"
               >
-                {addingToCart ? 'Adding...' : 'Add to Cart'}
+                {addingToCart
+                  ? 'Adding...'
+                  : hasVariants && !selectedVariant ? 'Choose Options' : 'Add to Cart'}
               </button>
             </div>
           )}
 
           {!inStock && (
             <div className="out-of-stock-message">
-              <p>This product is currently out of stock.</p>
+              <p>
+                {selectedVariant
+                  ? 'This option is currently out of stock.'
+                  : 'This product is currently out of stock.'}
+              </p>
             </div>
           )}
         </div>
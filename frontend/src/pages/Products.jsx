@@ -1,129 +1,189 @@
 import { useState, useEffect } from 'react';
-import { Link } from 'react-router-dom';
 import { productsAPI } from '../services/api';
 import ProductCard from '../components/ProductCard';
 
+// Wait this long after the last keystroke before searching
+const SEARCH_DEBOUNCE_MS = 300;
+
+// Products per request; more are fetched with "Load more"
+const PAGE_LIMIT = 24;
+
 /**
- * Products Page - Main product listing with advanced filtering
- * 
+ * Products Page - Main product listing with faceted filtering
+ *
  * FILTERING STRATEGY:
- * 
- * 1. Client-Side Filtering:
- *    WHY: Instant response, no API calls for each filter change
- *    - Fetch all products once
- *    - Apply filters in browser using JavaScript
- *    - Allows combining multiple filters (search + category + price)
- * 
- * 2. Filter Combination Logic:
- *    - All filters use AND logic (must satisfy all conditions)
- *    - Search: Checks both name AND description (OR within search)
- *    - Category: Exact match filter
- *    - Price: Range filter with optional min/max
- *    - Sort: Applied after filtering
- * 
+ *
+ * 1. Server-Side Filtering:
+ *    WHY: The server knows the whole catalog, not just the page that came back
+ *    - Every filter change refetches GET /api/products with the filters as params
+ *    - The response carries facets: counts for every filter option
+ *    - Allows combining multiple filters (search + category + price + ...)
+ *
+ * 2. Facets Drive the Filter Options:
+ *    - Categories (as a tree, counts include subcategories), price ranges,
+ *      sellers, rating bands, availability and tags come from the facets
+ *    - Each facet is counted as if its own filter were not applied, so the
+ *      other options of a filter stay visible with accurate counts
+ *    - Options with no matching products are disabled
+ *    - Picking a category also shows the products of its subcategories
+ *    WHY: No more guessing categories from the loaded products or typing prices
+ *
  * 3. Search Implementation:
- *    WHY: Case-insensitive substring matching
- *    - Searches in product name and description
- *    - Uses toLowerCase() for case-insensitive comparison
- *    - Immediate feedback as user types
+ *    WHY: The server ranks by relevance and tolerates typos and partial words
+ *    - Sent as ?search= once typing pauses (debounced), not on every keystroke
+ *    - Searches name, description, tags, SKU, specifications and category
+ *    - Results arrive best match first; "Default" sort keeps that order
+ *    - Matched words are highlighted on the cards
+ *
+ * 4. Filter Combination Logic:
+ *    - Different filters use AND logic (must satisfy all conditions)
+ *    - Tags use OR logic (any selected tag)
  * 
- * 4. Performance Consideration:
- *    - Filters run on every render (computed on-the-fly)
- *    - Fine for small datasets (< 1000 products)
- *    - For larger datasets, consider useMemo() or server-side filtering
+ * 5. Cursor Pagination:
+ *    - "Load more" fetches the page after the last product with the
+ *      response's nextCursor and appends it
+ *    - Changing a filter or the sort starts again from the first page
+ *    WHY: Cursor pages do not skip or repeat products when the catalog
+ *    changes between requests, unlike page numbers
  */
 
+const EMPTY_FILTERS = {
+  category: '',
+  // A price bucket from the facets, { min, max }
+  price: null,
+  seller: '',
+  minRating: '',
+  inStockOnly: false,
+  tags: [],
+};
+
+const formatPriceBucket = ({ min, max }) => (max === null ? `$${min}+` : `$${min} – $${max}`);
+
+// Categories in tree order, each with its depth for indentation
+const flattenCategoryTree = (categories, parentId = null, depth = 0) => {
+  return categories
+    .filter(category => category.parentId === parentId)
+    .flatMap(category => [
+      { ...category, depth },
+      ...flattenCategoryTree(categories, category.id, depth + 1),
+    ]);
+};
+
+// Query params for the current filters; price buckets are `min <= price < max`
+const toQueryParams = (filters, search, sortBy) => {
+  const params = { facets: true, limit: PAGE_LIMIT };
+  if (search) params.search = search;
+  if (sortBy) params.sort = sortBy;
+  if (filters.category) params.category = filters.category;
+  if (filters.seller) params.seller = filters.seller;
+  if (filters.minRating) params.minRating = filters.minRating;
+  if (filters.inStockOnly) params.inStock = true;
+  if (filters.tags.length > 0) params.tags = filters.tags.join(',');
+
+  if (filters.price) {
+    params.minPrice = filters.price.min;
+    // Prices have cents, so "below max" is "at most one cent less"
+    if (filters.price.max !== null) params.maxPrice = (filters.price.max - 0.01).toFixed(2);
+  }
+  return params;
+};
+
 const Products = () => {
   // State for products data and UI states
   const [products, setProducts] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [facets, setFacets] = useState(null);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [loading, setLoading] = useState(true);
+  const [searching, setSearching] = useState(false);
   const [error, setError] = useState(null);
-  
+
   // Filter states - each filter is independent and combinable
   const [searchQuery, setSearchQuery] = useState('');
-  const [selectedCategory, setSelectedCategory] = useState('all');
-  const [priceRange, setPriceRange] = useState({ min: '', max: '' });
+  // The query actually sent to the server, trailing searchQuery by the debounce
+  const [activeSearch, setActiveSearch] = useState('');
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
   const [sortBy, setSortBy] = useState('');
-  
+
   // Mobile filter toggle
   const [showFilters, setShowFilters] = useState(false);
 
   useEffect(() => {
+    const timer = setTimeout(() => setActiveSearch(searchQuery.trim()), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [searchQuery]);
+
+  useEffect(() => {
+    // Ignore responses for filters the user has already moved on from
+    let cancelled = false;
+
     const fetchProducts = async () => {
       try {
-        setLoading(true);
+        // The full-page spinner is only for the first load; it would unmount the filters
+        setSearching(true);
         setError(null);
-        const response = await productsAPI.getAll();
-        
+        const response = await productsAPI.getAll(toQueryParams(filters, activeSearch, sortBy));
+
+        if (cancelled) return;
         if (response.success) {
           setProducts(response.data.products || []);
+          setTotal(response.data.pagination?.total || 0);
+          setNextCursor(response.data.pagination?.nextCursor || null);
+          setFacets(response.data.facets || null);
         } else {
           setError('Failed to load products');
         }
       } catch (err) {
-        setError(err.response?.data?.message || 'Failed to load products. Please try again.');
+        if (!cancelled) {
+          setError(err.response?.data?.message || 'Failed to load products. Please try again.');
+        }
       } finally {
-        setLoading(false);
+        if (!cancelled) {
+          setLoading(false);
+          setSearching(false);
+        }
       }
     };
 
     fetchProducts();
-  }, []);
-
-  /**
-   * STEP 1: Extract unique categories from products
-   * - Starts with 'all' option for showing all products
-   * - Uses Set to get unique category names
-   * - filter(Boolean) removes undefined/null categories
-   */
-  const categories = ['all', ...new Set(products.map(p => p.category?.name).filter(Boolean))];
-
-  /**
-   * STEP 2: Apply all filters (AND logic - must pass all conditions)
-   * 
-   * Filter Conditions:
-   * 1. Search: Name OR Description contains search query (case-insensitive)
-   * 2. Category: Matches selected category (or 'all' for no filter)
-   * 3. Price Min: Product price >= min price (or no min set)
-   * 4. Price Max: Product price <= max price (or no max set)
-   * 
-   * All conditions must be true for product to appear in results
-   */
-  let filteredProducts = products.filter((product) => {
-    // Search filter: check both name and description
-    const matchesSearch = product.name.toLowerCase().includes(searchQuery.toLowerCase()) ||
-      product.description?.toLowerCase().includes(searchQuery.toLowerCase());
-    
-    // Category filter: 'all' bypasses filter, otherwise must match exactly
-    const matchesCategory = selectedCategory === 'all' || 
-      product.category?.name === selectedCategory;
-    
-    // Price range filters: empty string means no limit
-    const matchesPriceMin = !priceRange.min || product.price >= parseFloat(priceRange.min);
-    const matchesPriceMax = !priceRange.max || product.price <= parseFloat(priceRange.max);
-    
-    // Return true only if ALL conditions are met (AND logic)
-    return matchesSearch && matchesCategory && matchesPriceMin && matchesPriceMax;
-  });
-
-  /**
-   * STEP 3: Sort filtered products (applied after filtering)
-   * 
-   * Sort Options:
-   * - price_asc: Low to high (ascending price)
-   * - price_desc: High to low (descending price)
-   * - name: Alphabetical A-Z (localeCompare for proper string sorting)
-   * - default: No sorting (products remain in original API order)
-   * 
-   * Note: Creating new array [...filteredProducts] to avoid mutating state
-   */
-  if (sortBy === 'price_asc') {
-    filteredProducts = [...filteredProducts].sort((a, b) => a.price - b.price);
-  } else if (sortBy === 'price_desc') {
-    filteredProducts = [...filteredProducts].sort((a, b) => b.price - a.price);
-  } else if (sortBy === 'name') {
-    filteredProducts = [...filteredProducts].sort((a, b) => a.name.localeCompare(b.name));
-  }
+    return () => {
+      cancelled = true;
+    };
+  }, [activeSearch, filters, sortBy]);
+
+  const handleLoadMore = async () => {
+    setLoadingMore(true);
+    try {
+      const params = { ...toQueryParams(filters, activeSearch, sortBy), cursor: nextCursor, facets: false };
+      const response = await productsAPI.getAll(params);
+      if (response.success) {
+        setProducts(prev => [...prev, ...(response.data.products || [])]);
+        setNextCursor(response.data.pagination?.nextCursor || null);
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load more products.');
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  const setFilter = (name, value) => {
+    setFilters(prev => ({ ...prev, [name]: value }));
+  };
+
+  const toggleTag = (tag) => {
+    setFilters(prev => ({
+      ...prev,
+      tags: prev.tags.includes(tag) ? prev.tags.filter(t => t !== tag) : [...prev.tags, tag],
+    }));
+  };
+
+  const clearFilters = () => {
+    setSearchQuery('');
+    setFilters(EMPTY_FILTERS);
+    setSortBy('');
+  };
 
   if (loading) {
     return (
@@ -136,14 +196,14 @@ const Products = () => {
     );
   }
 
-  if (error) {
+  if (error && !facets) {
     return (
       <div className="products-container">
         <div className="error-container">
           <h2>Oops! Something went wrong</h2>
           <p>{error}</p>
-          <button 
-            onClick={() => window.location.reload()} 
+          <button
+            onClick={() => window.location.reload()}
             className="btn btn-primary"
           >
             Try Again
@@ -153,19 +213,15 @@ const Products = () => {
     );
   }
 
-  const clearFilters = () => {
-    setSearchQuery('');
-    setSelectedCategory('all');
-    setPriceRange({ min: '', max: '' });
-    setSortBy('');
-  };
+  const hasActiveFilters = JSON.stringify(filters) !== JSON.stringify(EMPTY_FILTERS) || sortBy;
+  const categoryOptions = flattenCategoryTree(facets?.categories || []);
 
   return (
     <div className="products-container">
       <div className="products-header">
         <h1>Our Products</h1>
         <p className="subtitle">Discover amazing products at great prices</p>
-        
+
         <div className="search-bar">
           <input
             type="text"
@@ -176,14 +232,14 @@ const Products = () => {
         </div>
 
         {/* Filter Toggle Button (Mobile Only) */}
-        <button 
+        <button
           className="filter-toggle-btn"
           onClick={() => setShowFilters(!showFilters)}
           aria-expanded={showFilters}
         >
           <span className="filter-icon">🔍</span>
           Filters {showFilters ? '▲' : '▼'}
-          {(selectedCategory !== 'all' || priceRange.min || priceRange.max || sortBy) && (
+          {hasActiveFilters && (
             <span className="filter-active-badge">•</span>
           )}
         </button>
@@ -193,13 +249,80 @@ const Products = () => {
             <label htmlFor="category">Category:</label>
             <select
               id="category"
-              value={selectedCategory}
-              onChange={(e) => setSelectedCategory(e.target.value)}
+              value={filters.category}
+              onChange={(e) => setFilter('category', e.target.value)}
               className="filter-select"
             >
-              {categories.map((cat) => (
-                <option key={cat} value={cat}>
-                  {cat === 'all' ? 'All Categories' : cat}
+              <option value="">All Categories</option>
+              {categoryOptions.map((category) => (
+                <option
+                  key={category.id}
+                  value={category.id}
+                  disabled={category.count === 0 && filters.category !== category.id}
+                >
+                  {'\u00A0\u00A0'.repeat(category.depth)}{category.name} ({category.count})
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div className="filter-group">
+            <label htmlFor="price">Price:</label>
+            <select
+              id="price"
+              value={filters.price ? String(filters.price.min) : ''}
+              onChange={(e) => {
+                const bucket = facets?.price.find(b => String(b.min) === e.target.value);
+                setFilter('price', bucket ? { min: bucket.min, max: bucket.max } : null);
+              }}
+              className="filter-select"
+            >
+              <option value="">Any Price</option>
+              {facets?.price.map((bucket) => (
+                <option
+                  key={bucket.min}
+                  value={bucket.min}
+                  disabled={bucket.count === 0 && filters.price?.min !== bucket.min}
+                >
+                  {formatPriceBucket(bucket)} ({bucket.count})
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div className="filter-group">
+            <label htmlFor="seller">Seller:</label>
+            <select
+              id="seller"
+              value={filters.seller}
+              onChange={(e) => setFilter('seller', e.target.value)}
+              className="filter-select"
+            >
+              <option value="">All Sellers</option>
+              {facets?.sellers.map((seller) => (
+                <option key={seller.id} value={seller.id}>
+                  {seller.name} ({seller.count})
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div className="filter-group">
+            <label htmlFor="rating">Rating:</label>
+            <select
+              id="rating"
+              value={filters.minRating}
+              onChange={(e) => setFilter('minRating', e.target.value)}
+              className="filter-select"
+            >
+              <option value="">Any Rating</option>
+              {facets?.ratings.map((band) => (
+                <option
+                  key={band.minRating}
+                  value={band.minRating}
+                  disabled={band.count === 0 && filters.minRating !== String(band.minRating)}
+                >
+                  {band.minRating}★ & up ({band.count})
                 </option>
               ))}
             </select>
@@ -213,61 +336,86 @@ const Products = () => {
               onChange={(e) => setSortBy(e.target.value)}
               className="filter-select"
             >
-              <option value="">Default</option>
+              <option value="">{activeSearch ? 'Best Match' : 'Default'}</option>
               <option value="price_asc">Price: Low to High</option>
               <option value="price_desc">Price: High to Low</option>
+              <option value="rating">Top Rated</option>
+              <option value="newest">Newest</option>
               <option value="name">Name: A-Z</option>
             </select>
           </div>
 
-          <div className="filter-group price-filter">
-            <label>Price Range:</label>
-            <div className="price-inputs">
-              <input
-                type="number"
-                placeholder="Min"
-                value={priceRange.min}
-                onChange={(e) => setPriceRange({ ...priceRange, min: e.target.value })}
-                className="price-input"
-              />
-              <span>-</span>
-              <input
-                type="number"
-                placeholder="Max"
-                value={priceRange.max}
-                onChange={(e) => setPriceRange({ ...priceRange, max: e.target.value })}
-                className="price-input"
-              />
-            </div>
-          </div>
+          <label className="filter-checkbox">
+            <input
+              type="checkbox"
+              checked={filters.inStockOnly}
+              onChange={(e) => setFilter('inStockOnly', e.target.checked)}
+            />
+            In stock only ({facets?.availability.inStock ?? 0})
+          </label>
 
           <button onClick={clearFilters} className="btn btn-outline btn-small">
             Clear Filters
           </button>
+
+          {facets?.tags.length > 0 && (
+            <div className="tag-facets">
+              {facets.tags.map((tag) => (
+                <button
+                  key={tag.value}
+                  type="button"
+                  onClick={() => toggleTag(tag.value)}
+                  className={`tag-chip ${filters.tags.includes(tag.value) ? 'selected' : ''}`}
+                  aria-pressed={filters.tags.includes(tag.value)}
+                >
+                  {tag.value} ({tag.count})
+                </button>
+              ))}
+            </div>
+          )}
         </div>
 
         <div className="results-count">
-          Showing {filteredProducts.length} of {products.length} products
+          {searching ? 'Searching...' : `Showing ${products.length} of ${total} products`}
         </div>
       </div>
 
-      {filteredProducts.length === 0 ? (
+      {error && (
+        <div className="error-message">
+          {error}
+        </div>
+      )}
+
+      {products.length === 0 ? (
         <div className="no-products">
-          <p>No products found{searchQuery && ` matching "${searchQuery}"`}</p>
+          <p>No products found{activeSearch && ` matching "${activeSearch}"`}</p>
           <button onClick={clearFilters} className="btn btn-primary">
             Clear Filters
           </button>
         </div>
       ) : (
-        <div className="products-grid">
-          {filteredProducts.map((product) => (
-            <ProductCard key={product._id || product.id} product={product} />
-          ))}
-        </div>
+        <>
+          <div className="products-grid">
+            {products.map((product) => (
+              <ProductCard key={product._id || product.id} product={product} />
+            ))}
+          </div>
+
+          {nextCursor && (
+            <div className="load-more">
+              <button
+                onClick={handleLoadMore}
+                disabled={loadingMore || searching}
+                className="btn btn-outline"
+              >
+                {loadingMore ? 'Loading...' : 'Load More'}
+              </button>
+            </div>
+          )}
+        </>
       )}
     </div>
   );
 };
 
 export default Products;
-
@@ -0,0 +1,180 @@
+import { useState } from 'react';
+import { useNavigate, Navigate, Link } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+
+// Same rules the server applies in POST /auth/register
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+const ADDRESS_FIELDS = ['street', 'city', 'state', 'zipCode', 'country'];
+
+const validate = (form) => {
+  if (!form.firstName.trim() || !form.lastName.trim()) {
+    return 'Please enter your first and last name';
+  }
+  if (!EMAIL_PATTERN.test(form.email)) {
+    return 'Please enter a valid email address';
+  }
+  if (form.password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`;
+  }
+  if (form.password !== form.confirmPassword) {
+    return 'Passwords do not match';
+  }
+  // The address is optional, but a started one must be complete enough to ship to
+  const address = ADDRESS_FIELDS.map(field => form[field].trim());
+  if (address.some(Boolean) && !['street', 'city', 'zipCode', 'country'].every(field => form[field].trim())) {
+    return 'Please complete the address (street, city, ZIP code and country) or leave it empty';
+  }
+  return null;
+};
+
+const Register = () => {
+  const [form, setForm] = useState({
+    firstName: '',
+    lastName: '',
+    email: '',
+    password: '',
+    confirmPassword: '',
+    phone: '',
+    street: '',
+    city: '',
+    state: '',
+    zipCode: '',
+    country: '',
+  });
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const { register, isAuthenticated } = useAuth();
+  const navigate = useNavigate();
+
+  // Redirect if already authenticated
+  if (isAuthenticated) {
+    return <Navigate to="/products" replace />;
+  }
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    const validationError = validate(form);
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+
+    const hasAddress = ADDRESS_FIELDS.some(field => form[field].trim());
+    const details = {
+      firstName: form.firstName.trim(),
+      lastName: form.lastName.trim(),
+      email: form.email.trim(),
+      password: form.password,
+      phone: form.phone.trim() || undefined,
+      address: hasAddress
+        ? Object.fromEntries(ADDRESS_FIELDS.map(field => [field, form[field].trim()]))
+        : undefined,
+    };
+
+    setLoading(true);
+    try {
+      // Signs the new buyer in straight away; the verification email is already on its way
+      const result = await register(details);
+
+      if (result.success) {
+        navigate('/products');
+      } else {
+        setError(result.error || 'Registration failed. Please try again.');
+      }
+    } catch (err) {
+      setError('An unexpected error occurred. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const input = (name, label, props = {}) => (
+    <div className="form-group">
+      <label htmlFor={name}>{label}</label>
+      <input
+        id={name}
+        name={name}
+        type="text"
+        value={form[name]}
+        onChange={handleInputChange}
+        disabled={loading}
+        {...props}
+      />
+    </div>
+  );
+
+  return (
+    <div className="login-container">
+      <div className="login-card register-card">
+        <h1>Create Account</h1>
+        <p className="subtitle">Sign up to start shopping</p>
+
+        <form onSubmit={handleSubmit} className="login-form">
+          {error && (
+            <div className="error-message">
+              {error}
+            </div>
+          )}
+
+          <div className="form-row">
+            {input('firstName', 'First Name', { autoComplete: 'given-name' })}
+            {input('lastName', 'Last Name', { autoComplete: 'family-name' })}
+          </div>
+
+          {input('email', 'Email', { type: 'email', autoComplete: 'email', placeholder: 'you@example.com' })}
+
+          <div className="form-row">
+            {input('password', 'Password', {
+              type: 'password',
+              autoComplete: 'new-password',
+              placeholder: `At least ${MIN_PASSWORD_LENGTH} characters`,
+            })}
+            {input('confirmPassword', 'Confirm Password', { type: 'password', autoComplete: 'new-password' })}
+          </div>
+
+          {input('phone', 'Phone (optional)', { type: 'tel', autoComplete: 'tel' })}
+
+          <fieldset className="register-address">
+            <legend>Shipping Address (optional)</legend>
+            {input('street', 'Street', { autoComplete: 'street-address' })}
+            <div className="form-row">
+              {input('city', 'City', { autoComplete: 'address-level2' })}
+              {input('state', 'State', { autoComplete: 'address-level1' })}
+            </div>
+            <div className="form-row">
+              {input('zipCode', 'ZIP Code', { autoComplete: 'postal-code' })}
+              {input('country', 'Country', { autoComplete: 'country-name' })}
+            </div>
+          </fieldset>
+
+          <button
+            type="submit"
+            className="btn btn-primary"
+            disabled={loading}
+          >
+            {loading ? 'Creating account...' : 'Create Account'}
+          </button>
+        </form>
+
+        <p className="login-links">
+          Already have an account? <Link to="/login">Sign in</Link>
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default Register;
@@ -0,0 +1,121 @@
+import { useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { authAPI } from '../services/api';
+
+/**
+ * Reset Password Page
+ * 
+ * Target of the link in the password reset email (/reset-password?token=...).
+ * A reset signs the user out everywhere, so any local session is cleared too.
+ */
+const ResetPassword = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const { isAuthenticated, logout } = useAuth();
+
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [error, setError] = useState(token ? '' : 'This reset link is incomplete. Please request a new one.');
+  const [done, setDone] = useState(false);
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (password.length < 8) {
+      setError('Password must be at least 8 characters long');
+      return;
+    }
+    if (password !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      await authAPI.resetPassword(token, password);
+      if (isAuthenticated) {
+        logout();
+      }
+      setDone(true);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Could not reset the password. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (done) {
+    return (
+      <div className="login-container">
+        <div className="login-card">
+          <h1>Password Reset</h1>
+          <div className="success-message">
+            Your password has been reset. Please sign in with your new password.
+          </div>
+          <Link to="/login" className="btn btn-primary">
+            Sign In
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="login-container">
+      <div className="login-card">
+        <h1>Choose a New Password</h1>
+        <p className="subtitle">You will be signed out of all devices</p>
+
+        <form onSubmit={handleSubmit} className="login-form">
+          {error && (
+            <div className="error-message">
+              {error}
+            </div>
+          )}
+
+          <div className="form-group">
+            <label htmlFor="password">New Password</label>
+            <input
+              id="password"
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              placeholder="At least 8 characters"
+              disabled={loading || !token}
+              autoComplete="new-password"
+            />
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="confirmPassword">Confirm New Password</label>
+            <input
+              id="confirmPassword"
+              type="password"
+              value={confirmPassword}
+              onChange={(e) => setConfirmPassword(e.target.value)}
+              disabled={loading || !token}
+              autoComplete="new-password"
+            />
+          </div>
+
+          <button
+            type="submit"
+            className="btn btn-primary"
+            disabled={loading || !token}
+          >
+            {loading ? 'Saving...' : 'Reset Password'}
+          </button>
+        </form>
+
+        <p className="login-links">
+          <Link to="/forgot-password">Request a new link</Link>
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default ResetPassword;
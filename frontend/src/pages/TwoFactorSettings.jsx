@@ -0,0 +1,201 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { authAPI } from '../services/api';
+
+const TwoFactorSettings = () => {
+  const [status, setStatus] = useState(null);
+  // Secret and otpauth:// URI while enrollment waits for the first code
+  const [enrollment, setEnrollment] = useState(null);
+  // Shown once, right after enabling 2FA or regenerating them
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [code, setCode] = useState('');
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const loadStatus = async () => {
+    try {
+      const response = await authAPI.getTwoFactor();
+      setStatus(response.data);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Could not load two-factor settings.');
+    }
+  };
+
+  useEffect(() => {
+    loadStatus();
+  }, []);
+
+  // Run an action that needs a code, then refresh the status
+  const runAction = async (action) => {
+    setError('');
+    setMessage('');
+    setLoading(true);
+    try {
+      await action();
+      setCode('');
+      await loadStatus();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Something went wrong. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleStartSetup = () => runAction(async () => {
+    const response = await authAPI.setupTwoFactor();
+    setEnrollment(response.data);
+    setRecoveryCodes(null);
+  });
+
+  const handleVerify = (e) => {
+    e.preventDefault();
+    runAction(async () => {
+      const response = await authAPI.verifyTwoFactor(code.trim());
+      setEnrollment(null);
+      setRecoveryCodes(response.data.recoveryCodes);
+      setMessage('Two-factor authentication is now enabled.');
+    });
+  };
+
+  const handleRegenerate = (e) => {
+    e.preventDefault();
+    runAction(async () => {
+      const response = await authAPI.regenerateRecoveryCodes(code.trim());
+      setRecoveryCodes(response.data.recoveryCodes);
+      setMessage('New recovery codes generated. The old ones no longer work.');
+    });
+  };
+
+  const handleDisable = () => runAction(async () => {
+    await authAPI.disableTwoFactor({ code: code.trim() });
+    setRecoveryCodes(null);
+    setMessage('Two-factor authentication has been disabled.');
+  });
+
+  const codeInput = (
+    <div className="form-group">
+      <label htmlFor="code">Authentication Code</label>
+      <input
+        id="code"
+        type="text"
+        value={code}
+        onChange={(e) => setCode(e.target.value)}
+        placeholder="123456"
+        disabled={loading}
+        autoComplete="one-time-code"
+        inputMode="numeric"
+      />
+    </div>
+  );
+
+  return (
+    <div className="login-container">
+      <div className="login-card">
+        <h1>Two-Factor Authentication</h1>
+        <p className="subtitle">Protect your account with codes from an authenticator app</p>
+
+        {error && (
+          <div className="error-message">
+            {error}
+          </div>
+        )}
+        {message && (
+          <div className="success-message">
+            {message}
+          </div>
+        )}
+
+        {status?.required && !status.enabled && (
+          <div className="error-message">
+            Two-factor authentication is required for your role. Set it up to continue using your account.
+          </div>
+        )}
+
+        {recoveryCodes && (
+          <>
+            <p>
+              Save these recovery codes somewhere safe. Each one signs you in once if you lose
+              your authenticator. They will not be shown again.
+            </p>
+            <ul className="recovery-codes">
+              {recoveryCodes.map(recoveryCode => (
+                <li key={recoveryCode}>{recoveryCode}</li>
+              ))}
+            </ul>
+          </>
+        )}
+
+        {status && !status.available && (
+          <p>Two-factor authentication is available for seller and admin accounts.</p>
+        )}
+
+        {status?.available && !status.enabled && !enrollment && (
+          <button
+            type="button"
+            className="btn btn-primary"
+            onClick={handleStartSetup}
+            disabled={loading}
+          >
+            {loading ? 'Starting...' : 'Set Up Two-Factor Authentication'}
+          </button>
+        )}
+
+        {enrollment && (
+          <form onSubmit={handleVerify} className="login-form">
+            <p>
+              Add this account to your authenticator app by opening the{' '}
+              <a href={enrollment.otpauthUri}>setup link</a> on your phone, or enter the key manually:
+            </p>
+            <div className="two-factor-secret">{enrollment.secret}</div>
+            <p>Then enter the 6-digit code the app shows.</p>
+
+            {codeInput}
+
+            <button
+              type="submit"
+              className="btn btn-primary"
+              disabled={loading || !code.trim()}
+            >
+              {loading ? 'Verifying...' : 'Enable'}
+            </button>
+          </form>
+        )}
+
+        {status?.enabled && (
+          <form onSubmit={handleRegenerate} className="login-form">
+            <p>
+              Two-factor authentication is on. {status.recoveryCodesRemaining} recovery code(s) left.
+            </p>
+
+            {codeInput}
+
+            <button
+              type="submit"
+              className="btn btn-primary"
+              disabled={loading || !code.trim()}
+            >
+              New Recovery Codes
+            </button>
+            {!status.required && (
+              <button
+                type="button"
+                className="btn btn-outline btn-danger"
+                onClick={handleDisable}
+                disabled={loading || !code.trim()}
+              >
+                Disable Two-Factor Authentication
+              </button>
+            )}
+          </form>
+        )}
+
+        <p className="login-links">
+          <Link to="/profile">Back to profile</Link>
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
@@ -1,6 +1,7 @@
 import { useState } from 'react';
 import { useAuth } from '../context/AuthContext';
 import { useNavigate } from 'react-router-dom';
+import SessionsPanel from '../components/SessionsPanel';
 
 const UserProfile = () => {
   const { user, logout } = useAuth();
@@ -109,6 +110,8 @@ const UserProfile = () => {
                 </div>
               )}
 
+              <SessionsPanel />
+
               <div className="profile-actions">
                 <button 
                   onClick={() => setIsEditing(true)} 
@@ -116,6 +119,20 @@ const UserProfile = () => {
                 >
                   Edit Profile
                 </button>
+                <button 
+                  onClick={() => navigate('/profile/password')} 
+                  className="btn btn-outline"
+                >
+                  Change Password
+                </button>
+                {(user?.role === 'seller' || user?.role === 'admin') && (
+                  <button 
+                    onClick={() => navigate('/profile/two-factor')} 
+                    className="btn btn-outline"
+                  >
+                    Two-Factor Authentication
+                  </button>
+                )}
                 <button 
                   onClick={() => navigate('/orders')} 
                   className="btn btn-outline"
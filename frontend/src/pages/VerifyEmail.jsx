@@ -0,0 +1,92 @@
+import { useState, useEffect, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { authAPI } from '../services/api';
+
+/**
+ * Email Verification Page
+ * 
+ * Landing page for the link in the verification email (/verify-email?token=...).
+ * Public route: the link may be opened in a browser where the user is not logged in.
+ * If the link is invalid or expired, a logged-in user can request a new one.
+ */
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const { user, isAuthenticated } = useAuth();
+
+  const [status, setStatus] = useState(token ? 'verifying' : 'error');
+  const [message, setMessage] = useState(token ? '' : 'This verification link is incomplete.');
+  const [resendMessage, setResendMessage] = useState('');
+  // Tokens are single-use: make sure StrictMode's double effect does not spend it twice
+  const submitted = useRef(false);
+
+  useEffect(() => {
+    if (!token || submitted.current) return;
+    submitted.current = true;
+
+    const verify = async () => {
+      try {
+        const response = await authAPI.verifyEmail(token);
+        setStatus('verified');
+        setMessage(response.message);
+      } catch (err) {
+        setStatus('error');
+        setMessage(err.response?.data?.message || 'Verification failed. Please try again.');
+      }
+    };
+
+    verify();
+  }, [token]);
+
+  const handleResend = async () => {
+    try {
+      const response = await authAPI.resendVerification(user.email);
+      setResendMessage(response.message);
+    } catch (err) {
+      setResendMessage('Could not send a new link. Please try again later.');
+    }
+  };
+
+  return (
+    <div className="login-container">
+      <div className="login-card">
+        <h1>Email Verification</h1>
+
+        {status === 'verifying' && (
+          <div className="loading">
+            <div className="spinner"></div>
+            <p>Verifying your email address...</p>
+          </div>
+        )}
+
+        {status === 'verified' && (
+          <>
+            <div className="success-message">{message}</div>
+            <Link to={isAuthenticated ? '/products' : '/login'} className="btn btn-primary">
+              {isAuthenticated ? 'Continue Shopping' : 'Sign In'}
+            </Link>
+          </>
+        )}
+
+        {status === 'error' && (
+          <>
+            <div className="error-message">{message}</div>
+            {isAuthenticated && user?.email ? (
+              <button onClick={handleResend} className="btn btn-primary">
+                Send a New Link
+              </button>
+            ) : (
+              <Link to="/login" className="btn btn-primary">
+                Sign In
+              </Link>
+            )}
+            {resendMessage && <p className="subtitle">{resendMessage}</p>}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
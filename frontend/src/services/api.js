@@ -18,14 +18,28 @@ const API_URL = 'http://localhost:3000/api';
  *    - Token is added as "Bearer <token>" following JWT best practices
  * 
  * 3. Response Interceptor:
- *    - Global error handling for authentication failures (401)
- *    - Auto-logout and redirect to login on token expiration
- *    - Prevents need for repetitive error handling in components
+ *    - Access tokens are short-lived; on a 401 the refresh token is exchanged
+ *      for a new pair and the failed request is replayed transparently
+ *    - Concurrent 401s share one refresh call (refresh tokens are single-use)
+ *    - Only when the refresh fails (logged out, revoked, expired) are auth
+ *      data cleared and the user redirected to login
  * 
  * 4. API Organization:
- *    - Grouped by feature (auth, products, cart) for maintainability
+ *    - Grouped by feature (auth, products, orders, cart) for maintainability
  *    - Returns response.data directly to reduce boilerplate in components
  *    - Async/await pattern for cleaner error handling
+ * 
+ * 5. Optimistic Concurrency:
+ *    - Products and orders carry a `version`; updates send it as If-Match
+ *    - The server answers 412 when someone else saved in the meantime
+ *    - Such errors are flagged as conflicts carrying the latest record, so
+ *      components can show what changed instead of silently overwriting it
+ * 
+ * 6. Two-Factor Authentication:
+ *    - With 2FA on, login answers with a challenge token instead of tokens;
+ *      the code is sent with it to /auth/login/2fa to finish signing in
+ *    - When an admin requires 2FA for the user's role, every other request is
+ *      refused (403, twoFactorSetupRequired) and the user is sent to setup
  */
 
 // Create axios instance with base configuration
@@ -54,6 +68,41 @@ api.interceptors.request.use(
   }
 );
 
+const clearAuth = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  localStorage.removeItem('user');
+};
+
+// Requests that must not trigger a refresh themselves
+const AUTH_ENDPOINTS = ['/auth/register', '/auth/login', '/auth/login/2fa', '/auth/refresh', '/auth/logout', '/auth/reset-password'];
+
+const TWO_FACTOR_SETUP_PATH = '/profile/two-factor';
+
+// In-flight refresh shared by every request that failed meanwhile
+let refreshPromise = null;
+
+const refreshTokens = () => {
+  if (!refreshPromise) {
+    const refreshToken = localStorage.getItem('refreshToken');
+    // Plain axios so the refresh call bypasses these interceptors
+    refreshPromise = (refreshToken
+      ? axios.post(`${API_URL}/auth/refresh`, { refreshToken })
+      : Promise.reject(new Error('No refresh token'))
+    )
+      .then((response) => {
+        const { token, refreshToken: nextRefreshToken } = response.data.data;
+        localStorage.setItem('token', token);
+        localStorage.setItem('refreshToken', nextRefreshToken);
+        return token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
 /**
  * Response Interceptor
  * Handles global error cases, particularly authentication failures
@@ -62,36 +111,163 @@ api.interceptors.response.use(
   (response) => {
     return response;
   },
-  (error) => {
+  async (error) => {
+    // Flag edit conflicts (412 Precondition Failed) and attach the current record
+    if (error.response?.status === 412) {
+      error.isConflict = true;
+      error.latest = error.response.data?.data;
+    }
+
+    // Required 2FA is not set up yet: nothing but the setup page works until it is
+    if (
+      error.response?.status === 403 &&
+      error.response.data?.data?.twoFactorSetupRequired &&
+      window.location.pathname !== TWO_FACTOR_SETUP_PATH
+    ) {
+      window.location.href = TWO_FACTOR_SETUP_PATH;
+    }
+
     // Handle 401 Unauthorized errors globally
-    // This occurs when token is invalid/expired
-    if (error.response?.status === 401) {
-      // Clear auth data and redirect to login
-      localStorage.removeItem('token');
-      localStorage.removeItem('user');
-      window.location.href = '/login';
+    // This occurs when the access token is invalid/expired
+    const request = error.config;
+    if (
+      error.response?.status === 401 &&
+      request &&
+      !request._retried &&
+      !AUTH_ENDPOINTS.includes(request.url)
+    ) {
+      try {
+        const token = await refreshTokens();
+        request._retried = true;
+        request.headers.Authorization = `Bearer ${token}`;
+        return api(request);
+      } catch (refreshError) {
+        // Session is gone: clear auth data and redirect to login
+        clearAuth();
+        window.location.href = '/login';
+      }
     }
     return Promise.reject(error);
   }
 );
 
+// If-Match header naming the version of a record the user was looking at
+const ifMatch = (record) => (record.version ? { 'If-Match': `"${record.version}"` } : {});
+
+/**
+ * True when a request failed because the record changed since it was loaded.
+ * `error.latest` then holds the current record to show to the user.
+ */
+export const isConflictError = (error) => Boolean(error?.isConflict);
+
 // Authentication API calls
 export const authAPI = {
+  // Every new account is a buyer; returns the user with a token pair like login
+  register: async (details) => {
+    const response = await api.post('/auth/register', details);
+    return response.data;
+  },
+  
   login: async (email, password) => {
     const response = await api.post('/auth/login', { email, password });
     return response.data;
   },
   
-  logout: () => {
-    localStorage.removeItem('token');
-    localStorage.removeItem('user');
+  // Second login step for accounts with 2FA: a TOTP code or a recovery code
+  loginTwoFactor: async (challengeToken, { code, recoveryCode }) => {
+    const response = await api.post('/auth/login/2fa', { challengeToken, code, recoveryCode });
+    return response.data;
+  },
+  
+  verifyEmail: async (token) => {
+    const response = await api.post('/auth/verify-email', { token });
+    return response.data;
+  },
+  
+  resendVerification: async (email) => {
+    const response = await api.post('/auth/resend-verification', { email });
+    return response.data;
+  },
+  
+  forgotPassword: async (email) => {
+    const response = await api.post('/auth/forgot-password', { email });
+    return response.data;
+  },
+  
+  resetPassword: async (token, password) => {
+    const response = await api.post('/auth/reset-password', { token, password });
+    return response.data;
+  },
+  
+  // Changing the password ends every session; keep this one going with the new tokens
+  changePassword: async (currentPassword, newPassword) => {
+    const response = await api.put('/auth/password', { currentPassword, newPassword });
+    const { token, refreshToken } = response.data.data;
+    localStorage.setItem('token', token);
+    localStorage.setItem('refreshToken', refreshToken);
+    return response.data;
+  },
+  
+  // Devices the user is signed in on; `current` marks this one
+  getSessions: async () => {
+    const response = await api.get('/auth/sessions');
+    return response.data;
+  },
+  
+  revokeSession: async (id) => {
+    const response = await api.delete(`/auth/sessions/${id}`);
+    return response.data;
+  },
+  
+  revokeOtherSessions: async () => {
+    const response = await api.delete('/auth/sessions');
+    return response.data;
+  },
+  
+  getTwoFactor: async () => {
+    const response = await api.get('/auth/2fa');
+    return response.data;
+  },
+  
+  // Returns the secret and otpauth:// URI; 2FA is enabled once a code is verified
+  setupTwoFactor: async () => {
+    const response = await api.post('/auth/2fa/setup');
+    return response.data;
+  },
+  
+  verifyTwoFactor: async (code) => {
+    const response = await api.post('/auth/2fa/verify', { code });
+    return response.data;
+  },
+  
+  regenerateRecoveryCodes: async (code) => {
+    const response = await api.post('/auth/2fa/recovery-codes', { code });
+    return response.data;
+  },
+  
+  disableTwoFactor: async ({ code, recoveryCode }) => {
+    const response = await api.delete('/auth/2fa', { data: { code, recoveryCode } });
+    return response.data;
+  },
+  
+  // Revoke the session server-side, then forget the tokens locally
+  logout: async () => {
+    const refreshToken = localStorage.getItem('refreshToken');
+    try {
+      await api.post('/auth/logout', { refreshToken });
+    } catch (error) {
+      // Logging out locally must not depend on the server being reachable
+    } finally {
+      clearAuth();
+    }
   },
 };
 
 // Products API calls
 export const productsAPI = {
-  getAll: async () => {
-    const response = await api.get('/products');
+  // params: search, category, sort, page, limit, ... (see GET /api/products)
+  getAll: async (params = {}) => {
+    const response = await api.get('/products', { params });
     return response.data;
   },
   
@@ -99,6 +275,36 @@ export const productsAPI = {
     const response = await api.get(`/products/${id}`);
     return response.data;
   },
+  
+  // Pass the product as loaded so the update only applies to that version
+  update: async (product, updates) => {
+    const response = await api.put(`/products/${product.id}`, updates, {
+      headers: ifMatch(product),
+    });
+    return response.data;
+  },
+};
+
+// Orders API calls
+export const ordersAPI = {
+  // Newest first. With `limit` (and then the previous response's nextCursor as
+  // `cursor`) the data is `{ orders, pagination }`; without, a plain array
+  getAll: async (params = {}) => {
+    const response = await api.get('/orders', { params });
+    return response.data;
+  },
+  
+  getById: async (id) => {
+    const response = await api.get(`/orders/${id}`);
+    return response.data;
+  },
+  
+  updateStatus: async (order, status) => {
+    const response = await api.put(`/orders/${order.id}/status`, { status }, {
+      headers: ifMatch(order),
+    });
+    return response.data;
+  },
 };
 
 // Cart API calls
@@ -108,18 +314,23 @@ export const cartAPI = {
     return response.data;
   },
   
-  addToCart: async (productId, quantity = 1) => {
-    const response = await api.post('/cart', { productId, quantity });
+  // Products with variants are added per variant; `variantId` is null otherwise
+  addToCart: async (productId, quantity = 1, variantId = null) => {
+    const response = await api.post('/cart', { productId, variantId, quantity });
     return response.data;
   },
   
-  updateCartItem: async (productId, quantity) => {
-    const response = await api.put('/cart', { productId, quantity });
+  updateCartItem: async (productId, quantity, variantId = null) => {
+    const response = await api.put(`/cart/${productId}`, { quantity }, {
+      params: variantId ? { variantId } : {},
+    });
     return response.data;
   },
   
-  removeFromCart: async (productId) => {
-    const response = await api.delete(`/cart/${productId}`);
+  removeFromCart: async (productId, variantId = null) => {
+    const response = await api.delete(`/cart/${productId}`, {
+      params: variantId ? { variantId } : {},
+    });
     return response.data;
   },
 };